@@ -0,0 +1,365 @@
+// ---- Pomox reference room server ---------------------------------------------------
+// A dependency-free WebSocket relay for co-working rooms (protocol in
+// server/README.md). It holds each room's timer, so everyone shares one
+// deadline and a client that reconnects simply takes the room's state again:
+//
+//   npm run room-server          # ws://localhost:8788
+//
+// Rooms live in memory and disappear an hour after the last person leaves.
+import { createHash, randomInt } from "node:crypto";
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.PORT) || 8788;
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const HOST_GRACE_MS = 2 * 60 * 1000; // a disconnected host keeps the room this long
+const PARTICIPANT_GRACE_MS = 10 * 60 * 1000;
+const EMPTY_ROOM_MS = 60 * 60 * 1000;
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// ---- WebSocket framing (RFC 6455) --------------------------------------------------
+// Just enough for JSON text messages: no extensions, and fragmented messages
+// are joined back together.
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+function frame(opcode, payload) {
+  const len = payload.length;
+  const head = len < 126 ? Buffer.from([0x80 | opcode, len]) : len < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+  if (len >= 126) {
+    head[0] = 0x80 | opcode;
+    head[1] = len < 65536 ? 126 : 127;
+    if (len < 65536) head.writeUInt16BE(len, 2);
+    else head.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([head, payload]);
+}
+
+function acceptSocket(req, socket, head, onMessage, onClose) {
+  const key = req.headers["sec-websocket-key"];
+  if (req.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  socket.setNoDelay(true);
+
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let closed = false;
+  const conn = {
+    alive: true,
+    send(message) {
+      if (!closed) socket.write(frame(0x1, Buffer.from(JSON.stringify(message))));
+    },
+    ping() {
+      if (!closed) socket.write(frame(0x9, Buffer.alloc(0)));
+    },
+    close(code = 1000) {
+      if (closed) return;
+      const body = Buffer.alloc(2);
+      body.writeUInt16BE(code);
+      socket.end(frame(0x8, body));
+      finish();
+    },
+  };
+  function finish() {
+    if (closed) return;
+    closed = true;
+    onClose(conn);
+  }
+
+  function receive(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2) {
+      const fin = buffer[0] & 0x80;
+      const opcode = buffer[0] & 0x0f;
+      const masked = buffer[1] & 0x80;
+      let len = buffer[1] & 0x7f;
+      let offset = 2;
+      if (len === 126) {
+        if (buffer.length < 4) return;
+        len = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (len === 127) {
+        if (buffer.length < 10) return;
+        len = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (!masked || len > MAX_MESSAGE_BYTES) return conn.close(1009);
+      if (buffer.length < offset + 4 + len) return;
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      buffer = buffer.subarray(offset + 4 + len);
+      conn.alive = true;
+
+      if (opcode === 0x8) return conn.close();
+      if (opcode === 0x9) socket.write(frame(0xa, payload));
+      if (opcode !== 0x1 && opcode !== 0x0) continue;
+      fragments.push(payload);
+      if (!fin) continue;
+      const text = Buffer.concat(fragments).toString("utf8");
+      fragments = [];
+      if (text.length > MAX_MESSAGE_BYTES) return conn.close(1009);
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        message = null;
+      }
+      // Every message is an object; `null`, numbers and lists are turned away too.
+      if (message == null || typeof message !== "object" || Array.isArray(message)) {
+        conn.send({ type: "error", message: "Messages must be JSON." });
+        continue;
+      }
+      onMessage(conn, message);
+    }
+  }
+  // Frames that arrived with the upgrade request come first, once the caller
+  // has the connection.
+  if (head?.length) queueMicrotask(() => receive(head));
+  socket.on("data", receive);
+  socket.on("close", finish);
+  socket.on("error", finish);
+  return conn;
+}
+
+// ---- Rooms -------------------------------------------------------------------------
+// The sequence is the classic one: focus and short breaks, with a long break
+// every `longEvery` focus sessions, using the settings of whoever created the room.
+const rooms = new Map(); // code → room
+let sessionIds = 0;
+
+function roomSteps(s) {
+  const steps = [];
+  for (let i = 1; i <= s.longEvery; i++) {
+    steps.push({ type: "focus", min: s.pomodoroMin });
+    steps.push({ type: i === s.longEvery ? "long" : "short", min: i === s.longEvery ? s.longMin : s.shortMin });
+  }
+  return steps;
+}
+
+const clampInt = (v, min, max, fallback) => (Number.isInteger(v) ? Math.max(min, Math.min(max, v)) : fallback);
+
+function roomSettings(s = {}) {
+  return {
+    pomodoroMin: clampInt(s.pomodoroMin, 1, 180, 25),
+    shortMin: clampInt(s.shortMin, 1, 60, 5),
+    longMin: clampInt(s.longMin, 1, 90, 15),
+    longEvery: clampInt(s.longEvery, 2, 12, 4),
+    autoStart: s.autoStart !== false,
+  };
+}
+
+function idleSession(room, step) {
+  const durationMs = room.steps[step].min * 60 * 1000;
+  return { id: `${room.code}-${++sessionIds}`, step, durationMs, endsAt: null, remainingMs: durationMs, sessionStartedAt: null };
+}
+
+function newCode() {
+  let code;
+  do code = Array.from({ length: 6 }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join("");
+  while (rooms.has(code));
+  return code;
+}
+
+function createRoom(settings, hostId) {
+  const room = { code: newCode(), hostId, control: "host", participants: new Map(), cycles: 0, lastEnd: null, timeout: null, emptySince: null };
+  room.settings = roomSettings(settings);
+  room.steps = roomSteps(room.settings);
+  room.session = idleSession(room, 0);
+  rooms.set(room.code, room);
+  return room;
+}
+
+// Ends the current session with `outcome` and moves on to step `to`.
+function endSession(room, outcome, at, to) {
+  const s = room.session;
+  room.lastEnd = { id: s.id, outcome, at };
+  if (outcome === "completed" && room.steps[s.step].type === "focus") room.cycles += 1;
+  room.session = idleSession(room, to);
+  if (outcome === "completed" && room.settings.autoStart) start(room, at);
+}
+
+function start(room, now) {
+  const s = room.session;
+  if (s.endsAt != null) return;
+  s.endsAt = now + s.remainingMs;
+  s.sessionStartedAt ??= now;
+}
+
+function schedule(room) {
+  clearTimeout(room.timeout);
+  const s = room.session;
+  if (s.endsAt == null) return;
+  room.timeout = setTimeout(() => {
+    endSession(room, "completed", s.endsAt, (s.step + 1) % room.steps.length);
+    broadcast(room);
+  }, Math.max(0, s.endsAt - Date.now()));
+}
+
+function runCommand(room, { action, mode }) {
+  const now = Date.now();
+  const s = room.session;
+  const next = (s.step + 1) % room.steps.length;
+  if (action === "start") start(room, now);
+  else if (action === "pause" && s.endsAt != null) {
+    s.remainingMs = Math.max(0, s.endsAt - now);
+    s.endsAt = null;
+  } else if (action === "skip") endSession(room, "skipped", now, next);
+  else if (action === "reset") endSession(room, "reset", now, s.step);
+  else if (action === "mode") {
+    const offsets = room.steps.map((_, k) => (s.step + k) % room.steps.length);
+    const to = offsets.find((i) => room.steps[i].type === mode);
+    if (to !== undefined) endSession(room, "reset", now, to);
+  }
+}
+
+function snapshot(room) {
+  return {
+    code: room.code,
+    hostId: room.hostId,
+    control: room.control,
+    settings: room.settings,
+    session: room.session,
+    cycles: room.cycles,
+    lastEnd: room.lastEnd,
+    participants: [...room.participants.values()].map((p) => ({
+      id: p.id,
+      name: p.name,
+      connected: !!p.conn,
+      away: p.away,
+      task: p.task,
+    })),
+  };
+}
+
+function broadcast(room) {
+  schedule(room);
+  const state = snapshot(room);
+  for (const p of room.participants.values()) p.conn?.send({ type: "state", room: state, you: p.id, serverNow: Date.now() });
+}
+
+const text = (v, max) => (typeof v === "string" ? v.trim().slice(0, max) : "");
+
+// ---- Messages ----------------------------------------------------------------------
+function onMessage(conn, msg) {
+  if (msg.type === "ping") return conn.send({ type: "pong", t: msg.t, serverNow: Date.now() });
+
+  if (msg.type === "join") {
+    const id = text(msg.clientId, 64);
+    if (!id) return conn.send({ type: "error", message: "A client id is required." });
+    let room;
+    if (msg.room) {
+      room = rooms.get(text(msg.room, 12).toUpperCase());
+      if (!room) return conn.send({ type: "error", code: "unknown-room", message: `There is no room ${msg.room}.` });
+    } else {
+      room = createRoom(msg.settings, id);
+    }
+    leave(conn);
+    const known = room.participants.get(id);
+    known?.conn?.close(4000); // the same person reconnecting, e.g. after a network change
+    const p = known ?? { id, away: false, task: null };
+    Object.assign(p, { name: text(msg.name, 40) || "Someone", conn, since: Date.now() });
+    room.participants.set(id, p);
+    room.emptySince = null;
+    conn.room = room;
+    conn.participant = p;
+    return broadcast(room);
+  }
+
+  const room = conn.room;
+  const p = conn.participant;
+  if (!room || room.participants.get(p.id) !== p) return conn.send({ type: "error", message: "Join a room first." });
+
+  if (msg.type === "status") {
+    p.away = !!msg.away;
+    p.task = text(msg.task, 80) || null;
+    if (msg.name !== undefined) p.name = text(msg.name, 40) || p.name;
+  } else if (msg.type === "command") {
+    if (room.control === "host" && p.id !== room.hostId) return conn.send({ type: "error", code: "host-only", message: "Only the host controls this room's timer." });
+    runCommand(room, msg);
+  } else if (msg.type === "control") {
+    if (p.id !== room.hostId) return conn.send({ type: "error", code: "host-only", message: "Only the host can change this." });
+    room.control = msg.control === "everyone" ? "everyone" : "host";
+  } else if (msg.type === "leave") {
+    room.participants.delete(p.id);
+    if (room.hostId === p.id) promoteHost(room);
+    conn.room = null;
+  } else {
+    return conn.send({ type: "error", message: `Unknown message type ${msg.type}.` });
+  }
+  broadcast(room);
+}
+
+function leave(conn) {
+  const room = conn.room;
+  if (!room || room.participants.get(conn.participant.id)?.conn !== conn) return;
+  conn.participant.conn = null;
+  conn.participant.since = Date.now();
+  conn.room = null;
+  broadcast(room);
+}
+
+function promoteHost(room) {
+  const next = [...room.participants.values()].find((p) => p.conn);
+  if (next) room.hostId = next.id;
+}
+
+// Drops people who have been gone a while, hands the room to someone else if
+// the host is one of them, and forgets rooms nobody has been in for an hour.
+function sweep() {
+  const now = Date.now();
+  for (const room of rooms.values()) {
+    let changed = false;
+    for (const p of room.participants.values()) {
+      if (!p.conn && now - p.since > PARTICIPANT_GRACE_MS) {
+        room.participants.delete(p.id);
+        changed = true;
+      }
+    }
+    const host = room.participants.get(room.hostId);
+    if (!host || (!host.conn && now - host.since > HOST_GRACE_MS)) {
+      const before = room.hostId;
+      promoteHost(room);
+      changed ||= room.hostId !== before;
+    }
+    const anyone = [...room.participants.values()].some((p) => p.conn);
+    if (!anyone) room.emptySince ??= now;
+    if (!anyone && now - room.emptySince > EMPTY_ROOM_MS) {
+      clearTimeout(room.timeout);
+      rooms.delete(room.code);
+    } else if (changed) {
+      broadcast(room);
+    }
+  }
+}
+
+// ---- Server ------------------------------------------------------------------------
+const connections = new Set();
+const server = createServer((req, res) => {
+  res.writeHead(req.url === "/health" ? 200 : 426, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(req.url === "/health" ? { ok: true, rooms: rooms.size } : { error: "Connect with a WebSocket." }));
+});
+
+server.on("upgrade", (req, socket, head) => {
+  const conn = acceptSocket(req, socket, head, onMessage, (c) => {
+    connections.delete(c);
+    leave(c);
+  });
+  if (conn) connections.add(conn);
+});
+
+// Pings find connections that died without closing (sleeping laptops, dropped Wi-Fi).
+setInterval(() => {
+  for (const conn of connections) {
+    if (!conn.alive) conn.close(1001);
+    else {
+      conn.alive = false;
+      conn.ping();
+    }
+  }
+  sweep();
+}, 30 * 1000);
+
+server.listen(PORT, () => console.log(`Pomox room server on ws://localhost:${PORT}`));
@@ -0,0 +1,41 @@
+import { spawn } from "node:child_process";
+import { connect } from "node:net";
+import { afterAll, beforeAll, expect, it } from "vitest";
+
+const port = 19700 + Math.floor(Math.random() * 1000);
+let server;
+
+beforeAll(async () => {
+  server = spawn(process.execPath, [new URL("./room-server.js", import.meta.url).pathname], {
+    env: { ...process.env, PORT: String(port) },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  await new Promise((resolve) => server.stdout.on("data", (d) => { if (String(d).includes("Pomox room server on")) resolve(); }));
+});
+
+afterAll(() => server.kill());
+
+// A masked text frame, as browsers send them.
+function frame(message) {
+  const payload = Buffer.from(JSON.stringify(message));
+  const mask = Buffer.from([1, 2, 3, 4]);
+  return Buffer.concat([Buffer.from([0x81, 0x80 | payload.length]), mask, payload.map((b, i) => b ^ mask[i % 4])]);
+}
+
+it("reads a message sent in the same packet as the upgrade request", async () => {
+  const upgrade = "GET / HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n";
+  const received = await new Promise((resolve, reject) => {
+    let text = "";
+    const socket = connect(port, "localhost", () => socket.write(Buffer.concat([Buffer.from(upgrade), frame({ type: "ping", t: 7 })])));
+    socket.on("data", (d) => {
+      text += d.toString("latin1");
+      if (text.includes("pong")) {
+        socket.destroy();
+        resolve(text);
+      }
+    });
+    socket.on("error", reject);
+  });
+  expect(received).toMatch(/^HTTP\/1\.1 101 /);
+  expect(received).toContain('{"type":"pong","t":7');
+});
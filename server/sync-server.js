@@ -0,0 +1,142 @@
+// ---- Pomox reference sync server ---------------------------------------------------
+// A dependency-free implementation of the sync API in server/README.md, meant
+// for self-hosting a small team or for testing the protocol locally:
+//
+//   POMOX_SYNC_TOKENS=alice-secret,bob-secret node server/sync-server.js
+//
+// Every token gets its own data space. Without POMOX_SYNC_TOKENS any token is
+// accepted, which is only suitable for local testing. Data is kept in memory
+// and written to POMOX_SYNC_DATA (default ./pomox-sync-data.json).
+import { createHash } from "node:crypto";
+import { existsSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.POMOX_SYNC_DATA || "./pomox-sync-data.json";
+const TOKENS = (process.env.POMOX_SYNC_TOKENS || "").split(",").map((t) => t.trim()).filter(Boolean);
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+// A data file that can't be parsed (say, from a disk that filled up) is moved
+// aside rather than overwritten, and the server starts empty. Devices still
+// hold their data and send all of it when sync is turned off and on again.
+function loadSpaces() {
+  if (!existsSync(DATA_FILE)) return {};
+  const text = readFileSync(DATA_FILE, "utf8");
+  try {
+    const data = JSON.parse(text);
+    if (isObject(data)) return data;
+  } catch {
+    // handled below
+  }
+  const aside = `${DATA_FILE}.corrupt-${Date.now()}`;
+  renameSync(DATA_FILE, aside);
+  console.error(`${DATA_FILE} isn't valid sync data; starting empty. The old file was moved to ${aside}.`);
+  return {};
+}
+
+// { [space]: { seq, entries: { [id]: { entry, seq } }, docs: { [key]: { value, updatedAt, seq } } } }
+const spaces = loadSpaces();
+
+let saveTimer = null;
+function save() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    writeFileSync(`${DATA_FILE}.tmp`, JSON.stringify(spaces));
+    renameSync(`${DATA_FILE}.tmp`, DATA_FILE);
+  }, 200);
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function spaceFor(req) {
+  const token = /^Bearer (.+)$/.exec(req.headers.authorization || "")?.[1];
+  if (!token || (TOKENS.length && !TOKENS.includes(token))) throw new HttpError(401, "Invalid or missing token");
+  const id = createHash("sha256").update(token).digest("hex").slice(0, 16);
+  return (spaces[id] ??= { seq: 0, entries: {}, docs: {} });
+}
+
+// Entries are merged by id; an edited entry (newer `updatedAt`) replaces the old one.
+const stamp = (e) => e.updatedAt ?? e.endedAt ?? 0;
+
+function applyPush(space, body) {
+  if (body.entries.some((e) => typeof e?.id !== "string")) throw new HttpError(400, "Every entry needs an id");
+  for (const [key, doc] of Object.entries(body.docs)) {
+    if (typeof doc?.updatedAt !== "number") throw new HttpError(400, `Document "${key}" needs an updatedAt`);
+  }
+  for (const entry of body.entries) {
+    const known = space.entries[entry.id];
+    if (known && stamp(known.entry) >= stamp(entry)) continue;
+    space.entries[entry.id] = { entry, seq: ++space.seq };
+  }
+  for (const [key, doc] of Object.entries(body.docs)) {
+    const known = space.docs[key];
+    if (known && known.updatedAt >= doc.updatedAt) continue;
+    space.docs[key] = { value: doc.value, updatedAt: doc.updatedAt, seq: ++space.seq };
+  }
+}
+
+function changesSince(space, since) {
+  const entries = Object.values(space.entries).filter((e) => e.seq > since).map((e) => e.entry);
+  const docs = {};
+  for (const [key, doc] of Object.entries(space.docs)) {
+    if (doc.seq > since) docs[key] = { value: doc.value, updatedAt: doc.updatedAt };
+  }
+  return { cursor: String(space.seq), entries, docs };
+}
+
+async function readBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, "Request too large");
+    chunks.push(chunk);
+  }
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+  } catch {
+    throw new HttpError(400, "Body must be JSON");
+  }
+  if (!isObject(body)) throw new HttpError(400, "Body must be a JSON object");
+  return body;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+async function handle(req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (req.method === "GET" && pathname === "/v1/health") return send(res, 200, { ok: true });
+  if (req.method !== "POST" || pathname !== "/v1/sync") throw new HttpError(404, "Not found");
+
+  const space = spaceFor(req);
+  const body = await readBody(req);
+  const since = Number(body.since) || 0;
+  const pushed = { entries: Array.isArray(body.entries) ? body.entries : [], docs: isObject(body.docs) ? body.docs : {} };
+  applyPush(space, pushed);
+  if (pushed.entries.length || Object.keys(pushed.docs).length) save();
+  send(res, 200, changesSince(space, since));
+}
+
+createServer((req, res) => {
+  handle(req, res).catch((err) => send(res, err.status || 500, { error: err.status ? err.message : "Internal error" }));
+}).listen(PORT, () => {
+  console.log(`Pomox sync server on http://localhost:${PORT} (data in ${DATA_FILE})`);
+  if (!TOKENS.length) console.log("POMOX_SYNC_TOKENS is not set: any token is accepted. Use this for local testing only.");
+});
@@ -0,0 +1,103 @@
+import { spawn } from "node:child_process";
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+const entry = (id, extra = {}) => ({ id, mode: "focus", startedAt: 1000, endedAt: 2000, plannedSec: 1, actualSec: 1, outcome: "completed", ...extra });
+
+let dir;
+let server;
+let port = 18700 + Math.floor(Math.random() * 1000);
+
+// Starts sync-server.js on its own port and data file, resolving once it listens.
+function startServer() {
+  port += 1;
+  const child = spawn(process.execPath, [new URL("./sync-server.js", import.meta.url).pathname], {
+    env: { ...process.env, PORT: String(port), POMOX_SYNC_DATA: join(dir, "data.json"), POMOX_SYNC_TOKENS: "" },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  const output = { stderr: "" };
+  child.stderr.on("data", (d) => { output.stderr += d; });
+  return new Promise((resolve, reject) => {
+    child.stdout.on("data", (d) => { if (String(d).includes("Pomox sync server on")) resolve({ child, output }); });
+    child.on("exit", (code) => reject(new Error(`sync server exited with ${code}: ${output.stderr}`)));
+  });
+}
+
+async function post(body, token = "alice") {
+  const res = await fetch(`http://localhost:${port}/v1/sync`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "pomox-sync-"));
+});
+
+afterEach(() => {
+  server?.child.kill();
+  server = null;
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe("merge rules", () => {
+  beforeEach(async () => {
+    server = await startServer();
+  });
+
+  it("keeps the newest copy of each document", async () => {
+    await post({ since: "0", entries: [], docs: { settings: { value: { pomodoroMin: 50 }, updatedAt: 200 } } });
+    const stale = await post({ since: "0", entries: [], docs: { settings: { value: { pomodoroMin: 30 }, updatedAt: 100 } } });
+    expect(stale.body.docs.settings).toEqual({ value: { pomodoroMin: 50 }, updatedAt: 200 });
+
+    const newer = await post({ since: stale.body.cursor, entries: [], docs: { settings: { value: { pomodoroMin: 40 }, updatedAt: 300 } } });
+    expect(newer.body.docs.settings).toEqual({ value: { pomodoroMin: 40 }, updatedAt: 300 });
+  });
+
+  it("replaces an entry only with a newer edit", async () => {
+    await post({ since: "0", entries: [entry("a", { updatedAt: 5000, actualSec: 2 })], docs: {} });
+    const older = await post({ since: "0", entries: [entry("a", { updatedAt: 4000 }), entry("b")], docs: {} });
+    expect(older.body.entries.map((e) => [e.id, e.actualSec])).toEqual([["a", 2], ["b", 1]]);
+
+    const newer = await post({ since: older.body.cursor, entries: [entry("a", { updatedAt: 6000, actualSec: 3 })], docs: {} });
+    expect(newer.body.entries).toEqual([entry("a", { updatedAt: 6000, actualSec: 3 })]);
+  });
+
+  it("keeps each token's data apart", async () => {
+    await post({ since: "0", entries: [entry("a")], docs: {} }, "alice");
+    expect((await post({ since: "0" }, "bob")).body).toEqual({ cursor: "0", entries: [], docs: {} });
+  });
+
+  it("rejects bodies that aren't JSON objects", async () => {
+    expect(await post("null")).toEqual({ status: 400, body: { error: "Body must be a JSON object" } });
+    expect(await post("[1]")).toEqual({ status: 400, body: { error: "Body must be a JSON object" } });
+    expect(await post("{")).toEqual({ status: 400, body: { error: "Body must be JSON" } });
+    expect(await post({ entries: [{}] })).toEqual({ status: 400, body: { error: "Every entry needs an id" } });
+  });
+});
+
+describe("data file", () => {
+  it("reloads what was saved", async () => {
+    server = await startServer();
+    await post({ since: "0", entries: [entry("a")], docs: {} });
+    await new Promise((r) => setTimeout(r, 400));
+    server.child.kill();
+
+    server = await startServer();
+    expect((await post({ since: "0" })).body.entries).toEqual([entry("a")]);
+  });
+
+  it("moves a corrupt file aside and starts empty", async () => {
+    writeFileSync(join(dir, "data.json"), "{\"half\":");
+    server = await startServer();
+    await vi.waitFor(() => expect(server.output.stderr).toMatch(/isn't valid sync data; starting empty/));
+    const aside = readdirSync(dir).find((f) => f.startsWith("data.json.corrupt-"));
+    expect(readFileSync(join(dir, aside), "utf8")).toBe("{\"half\":");
+    expect(existsSync(join(dir, "data.json"))).toBe(false);
+    expect((await post({ since: "0" })).body).toEqual({ cursor: "0", entries: [], docs: {} });
+  });
+});
@@ -0,0 +1,26 @@
+import React from "react";
+import { ToggleField } from "./ui.jsx";
+
+// ---- Announcer -----------------------------------------------------------------------
+// A polite live region for screen readers. Each announcement is a new node
+// (keyed by `id`), so the same words are read again when they come up twice.
+export default function Announcer({ announcement }) {
+  return (
+    <div role="status" aria-live="polite" className="sr-only">
+      {announcement && <p key={announcement.id}>{announcement.text}</p>}
+    </div>
+  );
+}
+
+// ---- Announcement settings -----------------------------------------------------------
+export function AnnounceSettings({ themeObj, announce, onChange }) {
+  const set = (patch) => onChange({ ...announce, ...patch });
+  return (
+    <div className="space-y-3">
+      <h3 className={themeObj.fieldLabel}>Screen reader announcements</h3>
+      <ToggleField themeObj={themeObj} label="When a session ends" checked={announce.end} onChange={(on) => set({ end: on })} />
+      <ToggleField themeObj={themeObj} label="Every minute remaining" checked={announce.minutes} onChange={(on) => set({ minutes: on })} />
+      <ToggleField themeObj={themeObj} label="Count down the last 10 seconds" checked={announce.lastTen} onChange={(on) => set({ lastTen: on })} />
+    </div>
+  );
+}
@@ -1,57 +1,63 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { dayKey, emptyDay, splitByDay, summarizeDays } from "./history.js";
+import DataActions from "./DataActions.jsx";
+import StatsView from "./StatsView.jsx";
+import TaskPanel from "./TaskPanel.jsx";
+import { pomodorosByTask } from "./tasks.js";
+import SequenceEditor from "./SequenceEditor.jsx";
+import { allPresets, classicSteps, findPreset, focusProgress, makePreset, nextIndexOfType, parseCustomLength } from "./sequences.js";
+import { createTabCoordinator } from "./tabs.js";
+import { cancelSessionNotification, listenForNotificationActions, notifiesWhenClosed, scheduleSessionNotification, showSessionNotification } from "./notify.js";
+import { NumberField, ProgressRing, Stat, ToggleField } from "./ui.jsx";
+import CommandPalette from "./CommandPalette.jsx";
+import InterruptionBar from "./InterruptionBar.jsx";
+import GoalProgress, { GoalSettings } from "./Goals.jsx";
+import { goalStreaks, goalValue, weekStart, weekValue } from "./stats.js";
+import ShortcutSettings, { ShortcutHelp } from "./ShortcutSettings.jsx";
+import { DEFAULT_SHORTCUTS, actionForCombo, comboFromEvent, formatCombo, isTypingTarget, pressesTarget } from "./shortcuts.js";
+import SoundSettings from "./SoundSettings.jsx";
+import ThemeEditor from "./ThemeEditor.jsx";
+import { SYSTEM_THEME, THEME_CLASSES, allThemes, makeTheme, resolveTheme, themeStyle } from "./themes.js";
+import { createSoundEngine } from "./sound.js";
+import { DEFAULT_SETTINGS, STORAGE_PREFIX, onStorageProblem } from "./storage.js";
+import { useMedia, useStoredState } from "./hooks.js";
+import useTimer from "./useTimer.js";
+import ShareLink, { LinkPrompt } from "./ShareLink.jsx";
+import { hashForView, parseLink, settingsChanges, shareLink, viewFromHash, withoutLinkParams } from "./links.js";
+import MiniTimer from "./MiniTimer.jsx";
+import { canPictureInPicture, openMiniPopup, openPictureInPicture } from "./miniWindow.js";
+import { drawFavicon, resetFavicon } from "./favicon.js";
+import useSync from "./useSync.js";
+import SyncSettings from "./SyncSettings.jsx";
+import { buildEvent, publish, sampleEvent } from "./events.js";
+import { appendLog, deliver, wantsEvent } from "./webhooks.js";
+import WebhookSettings from "./WebhookSettings.jsx";
+import useRoom from "./useRoom.js";
+import RoomPanel from "./RoomPanel.jsx";
+import BreakActivity, { BreakSettings } from "./BreakActivity.jsx";
+import { DEFAULT_BREAKS, breakActivity } from "./breaks.js";
+import usePresence from "./usePresence.js";
+import AwayPrompt, { AwaySettings } from "./AwayPrompt.jsx";
+import FlowSettings from "./FlowSettings.jsx";
+import Announcer, { AnnounceSettings } from "./Announcer.jsx";
 
-const BEEP_BASE64 =
-  "data:audio/mp3;base64,//uQZAAAAAAAAAAAAAAAAAAAAAAAWGluZwAAAA8AAAACAAACcQCAAAACAAACcQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA";
-
-const DEFAULTS = {
-  pomodoroMin: 25,
-  shortMin: 5,
-  longMin: 15,
-  longEvery: 4,
-  autoStart: true,
-  sound: true,
-  notify: true,
-};
-
-const STORAGE_KEY = "pomox-kyaw-v1";
-const todayKey = () => new Date().toISOString().slice(0, 10);
+const OWNER_SETTLE_MS = 1000;
 
 // ---- Helpers ----------------------------------------------------------------
-function useLocalStorageState(key, initial) {
-  const [state, setState] = useState(() => {
-    try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : initial;
-    } catch {
-      return initial;
-    }
-  });
-  useEffect(() => {
-    try { localStorage.setItem(key, JSON.stringify(state)); } catch {}
-  }, [key, state]);
-  return [state, setState];
-}
-
-function useInterval(callback, delay) {
-  const saved = useRef(callback);
-  useEffect(() => { saved.current = callback; }, [callback]);
+// Joins the tab group. `onCommand` runs here when another tab forwards a button
+// press to this one; `send` returns false when this tab should act itself.
+function useTabCoordinator(onCommand) {
+  const [isOwner, setIsOwner] = useState(false);
+  const saved = useRef(onCommand);
+  const coordinator = useRef(null);
+  useEffect(() => { saved.current = onCommand; }, [onCommand]);
   useEffect(() => {
-    if (delay == null) return;
-    const id = setInterval(() => saved.current(), delay);
-    return () => clearInterval(id);
-  }, [delay]);
-}
-
-function useMedia(query) {
-  const [matches, setMatches] = useState(false);
-  useEffect(() => {
-    const mq = window.matchMedia(query);
-    const onChange = () => setMatches(mq.matches);
-    onChange();
-    mq.addEventListener?.("change", onChange);
-    return () => mq.removeEventListener?.("change", onChange);
-  }, [query]);
-  return matches;
+    const c = createTabCoordinator(STORAGE_PREFIX, { onOwnerChange: setIsOwner, onCommand: (cmd) => saved.current(cmd) });
+    coordinator.current = c;
+    return () => c.close();
+  }, []);
+  return [isOwner, (cmd) => coordinator.current?.send(cmd) ?? false];
 }
 
 function formatTime(totalSeconds) {
@@ -62,106 +68,237 @@ function formatTime(totalSeconds) {
 
 function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
 
+// What to say when a session of `mode` ends and `next` is up. The actions are
+// the notification buttons handled by `notificationAction` in App. In flow
+// mode focus doesn't end at zero; it goes into overtime.
+function endMessage(mode, next, flow = false) {
+  if (flow && mode === "focus") {
+    return { title: "Focus time's up", body: "You're in overtime now. Take a break when you're ready.", actions: [{ action: "skip", title: "Take break" }] };
+  }
+  const nextName = next.label || (next.type === "focus" ? "focus" : "break");
+  const actions = [
+    { action: "start", title: `Start ${nextName}` },
+    { action: "skip", title: "Skip" },
+  ];
+  if (mode === "focus") return { title: "Focus complete", body: next.label ? `Up next: ${next.label}` : "Time for a break!", actions };
+  return { title: "Break finished", body: next.label ? `Up next: ${next.label}` : "Back to focus ✨", actions };
+}
+
+// What the announcer says `remaining` seconds before the end, or null. Nothing
+// at the very start: the full length is no news.
+function countdownText(announce, remaining, plannedSec) {
+  if (remaining <= 0 || remaining >= plannedSec) return null;
+  if (announce.lastTen && remaining <= 10) return `${remaining}`;
+  if (announce.minutes && remaining % 60 === 0) return `${remaining / 60} ${remaining === 60 ? "minute" : "minutes"} left`;
+  return null;
+}
+
 const MODES = [
   { id: "focus", label: "Pomodoro" },
   { id: "short", label: "Short Break" },
   { id: "long", label: "Long Break" },
 ];
 
-// ---- Theme tokens ------------------------------------------------------------
-const THEMES = {
-  redesigned: {
-    id: "redesigned",
-    bg: "min-h-screen w-full bg-gradient-to-br from-cyan-950 via-slate-900 to-emerald-950 text-slate-50",
-    cardA: "bg-slate-900/60 border border-cyan-500/30 rounded-3xl p-4 md:p-6 shadow-xl backdrop-blur",
-    cardB: "bg-slate-900/60 border border-emerald-500/30 rounded-3xl p-4 md:p-6 shadow-xl backdrop-blur",
-    h1: "text-[1.5rem] md:text-3xl font-extrabold tracking-tight text-cyan-100",
-    sub: "text-slate-300 text-sm md:text-base",
-    tabsWrap: "inline-flex w-full rounded-2xl bg-slate-800/70 p-1 border border-cyan-500/30",
-    tabActive: "bg-gradient-to-r from-cyan-400 to-emerald-400 text-slate-900 shadow",
-    tabIdle: "text-slate-200 hover:bg-slate-700/50",
-    statWrap: "rounded-2xl bg-slate-800/70 border border-slate-700 p-3",
-    statLabel: "text-xs text-cyan-300",
-    statValue: "text-base md:text-lg font-bold text-emerald-300",
-    kbd: "kbd",
-    btnPrimary: "bg-cyan-400 text-slate-900 border-cyan-300 hover:bg-cyan-300",
-    btnSecondary: "bg-emerald-400 text-slate-900 border-emerald-300 hover:bg-emerald-300",
-    btnGhost: "bg-slate-800/50 text-slate-200 border border-slate-600 hover:bg-slate-700",
-    fieldLabel: "text-sm text-slate-200 mb-1",
-    input: "w-full md:w-24 px-3 py-2 rounded-xl bg-slate-800 border border-slate-600 text-slate-100 focus:outline-none focus:ring-2 focus:ring-cyan-400",
-    toggleOn: "bg-emerald-400",
-    toggleOff: "bg-slate-600",
-    ringTrack: "rgba(255,255,255,0.15)",
-    ringGradId: "grad-redesigned",
-    headerBadge:
-      "inline-flex items-center gap-2 rounded-full bg-gradient-to-r from-cyan-500 to-emerald-500 text-slate-900 px-3 py-1 text-xs font-medium border border-cyan-300/50 mb-2",
-    headerBtn: "px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-slate-600 text-slate-100 text-sm",
-    footer: "mt-10 text-xs text-slate-400 text-center",
-    switcher: "px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-slate-600 text-slate-100 text-sm",
-    highlightText: "text-slate-300",
-  },
-  sunrise: {
-    id: "sunrise",
-    bg: "min-h-screen w-full bg-gradient-to-br from-amber-50 via-rose-50 to-white text-slate-800",
-    cardA: "bg-white rounded-3xl p-4 md:p-6 shadow-xl border border-amber-100",
-    cardB: "bg-white rounded-3xl p-4 md:p-6 shadow-xl border border-rose-100",
-    h1: "mt-2 text-[1.5rem] md:text-3xl font-extrabold tracking-tight text-slate-900",
-    sub: "text-slate-600 text-sm md:text-base",
-    tabsWrap: "inline-flex w-full rounded-2xl bg-amber-50 p-1 border border-amber-200",
-    tabActive: "bg-white text-slate-900 shadow-sm border border-amber-200",
-    tabIdle: "text-slate-600 hover:bg-white/60",
-    statWrap: "rounded-2xl bg-amber-50 border border-amber-200 p-3",
-    statLabel: "text-xs text-amber-700",
-    statValue: "text-base md:text-lg font-bold text-slate-900",
-    kbd: "kbd",
-    btnPrimary: "bg-amber-500 text-white border-amber-400 hover:bg-amber-400",
-    btnSecondary: "bg-rose-500 text-white border-rose-400 hover:bg-rose-400",
-    btnGhost: "bg-white text-slate-700 border-slate-200 hover:bg-slate-50",
-    fieldLabel: "text-sm text-slate-600 mb-1",
-    input: "w-full md:w-24 px-3 py-2 rounded-xl bg-white border border-slate-200 focus:outline-none focus:ring-2 focus:ring-amber-200",
-    toggleOn: "bg-rose-500",
-    toggleOff: "bg-slate-200",
-    ringTrack: "#f1f5f9",
-    ringGradId: "grad-sunrise",
-    headerBadge:
-      "inline-flex items-center gap-2 rounded-full bg-gradient-to-r from-amber-200 to-rose-200 text-amber-800 px-3 py-1 text-xs font-medium border border-amber-300/50 mb-2",
-    headerBtn:
-      "px-3 py-2 rounded-xl bg-white hover:bg-amber-50 border border-amber-200 text-slate-800 text-sm shadow-sm",
-    footer: "mt-10 text-xs text-slate-500 text-center",
-    switcher: "px-3 py-2 rounded-xl bg-white hover:bg-rose-50 border border-rose-200 text-slate-800 text-sm shadow-sm",
-    highlightText: "text-slate-600",
-  },
-};
-
 // ---- App --------------------------------------------------------------------
 export default function App() {
-  const [settings, setSettings] = useLocalStorageState(STORAGE_KEY + ":settings", DEFAULTS);
-  const [mode, setMode] = useLocalStorageState(STORAGE_KEY + ":mode", "focus");
-  const [cycleCount, setCycleCount] = useLocalStorageState(STORAGE_KEY + ":cycles", 0);
-  const [isRunning, setIsRunning] = useState(false);
-  const [remaining, setRemaining] = useLocalStorageState(STORAGE_KEY + ":remaining", settings.pomodoroMin * 60);
-  const [theme, setTheme] = useLocalStorageState(STORAGE_KEY + ":theme", "redesigned");
-
-  // ---- Audio refs (added) ----
-  const audioRef = useRef(null);           // <audio> element
-  const audioCtxRef = useRef(null);        // Web Audio fallback
-  const audioUnlockedRef = useRef(false);  // iOS/Safari unlock flag
+  const [settings, setSettings] = useStoredState("settings");
+  const shortcuts = { ...DEFAULT_SHORTCUTS, ...settings.shortcuts };
+  const [customPresets, setCustomPresets] = useStoredState("presets");
+  const preset = findPreset(settings.presetId, customPresets, settings);
+  const [theme, setTheme] = useStoredState("theme");
+  const [customThemes, setCustomThemes] = useStoredState("themes");
+  const [view, setViewState] = useState(() => viewFromHash(window.location.hash));
+  const [overlay, setOverlay] = useState(null); // "help" | "palette"
+  const [noteFor, setNoteFor] = useState(null); // interruption awaiting an optional note
+  const [daysOff, setDaysOff] = useStoredState("daysOff");
+  const [celebrated, setCelebrated] = useStoredState("celebrated");
+  const [celebration, setCelebration] = useState(null);
+  const [tasks, setTasks] = useStoredState("tasks");
+  const [activeTaskId, setActiveTaskId] = useStoredState("activeTask");
+  const [history, setHistory] = useStoredState("history");
+  const [storageProblem, setStorageProblem] = useState(null);
+  const [pip, setPip] = useState(null); // Picture-in-Picture window showing the mini timer
+  const [webhooks, setWebhooks] = useStoredState("webhooks");
+  const [webhookLog, setWebhookLog] = useStoredState("webhookLog");
+
+  const activeTask = tasks.find((t) => t.id === activeTaskId);
+  const announce = { ...DEFAULT_SETTINGS.announce, ...settings.announce };
+  const [announcement, setAnnouncement] = useState(null); // { id, text } for the live region
+  const say = useCallback((text) => setAnnouncement((prev) => ({ id: (prev?.id ?? 0) + 1, text })), []);
+
+  const soundRef = useRef(null);
+  const sound = () => (soundRef.current ??= createSoundEngine());
+
+  // Only the owning tab finishes sessions, so history is written exactly once.
+  const [isOwner, sendToOwner] = useTabCoordinator(runCommand);
+
+  // In a room the room's lengths apply and its server runs the timer; the
+  // owning tab follows along instead of ending sessions by itself.
+  const roomApi = useRoom({
+    active: isOwner,
+    task: activeTask && !activeTask.done ? activeTask.title : null,
+    onState: (s) => send({ type: "follow", session: s.session, lastEnd: s.lastEnd, cycles: s.cycles }),
+  });
+  const { room } = roomApi;
+  const steps = room.code && room.settings ? classicSteps(room.settings) : preset.steps;
+
+  // Nobody around: focus pauses, and auto-start stops after a few sessions
+  // have passed without a sign of anyone. Rooms keep their own timer running.
+  const awaySettings = { ...DEFAULT_SETTINGS.away, ...settings.away };
+  const [unattended, setUnattended] = useState(0);
+  const flow = { ...DEFAULT_SETTINGS.flow, ...settings.flow };
+  const flowing = flow.enabled && !room.code;
+  const lastEnd = useRef(null); // when the latest session ended here, logged or not
+  const presence = usePresence({
+    enabled: isOwner && awaySettings.enabled && !room.code,
+    idleMs: awaySettings.idleMin * 60 * 1000,
+    onActive: () => setUnattended(0),
+  });
+  const {
+    index: stepIndex,
+    current,
+    mode,
+    timer,
+    cycles: cycleCount,
+    isRunning,
+    now,
+    remainingMs,
+    elapsedMs,
+    overtime,
+    send,
+  } = useTimer({
+    steps,
+    autoStart: settings.autoStart && !(awaySettings.enabled && unattended >= awaySettings.unattended),
+    taskId: activeTaskId,
+    flow: flowing ? { breakRatio: flow.breakRatio } : null,
+    owner: isOwner && !room.code,
+    onLog: (entry) => setHistory((prev) => [...prev, entry]),
+    onEnd: ({ mode: ended, next, at }) => {
+      lastEnd.current = at;
+      setUnattended((n) => n + 1);
+      const { title, body, actions } = endMessage(ended, next);
+      ringAndNotify(title, body, { actions, deadline: at }, ended === "focus" ? settings.focusEndSound : settings.breakEndSound);
+      if (announce.end) say(`${title}. ${body}`);
+    },
+    onEvent: (raw) => {
+      if (raw.type === "overtime") {
+        const { title, body, actions } = endMessage("focus", null, true);
+        ringAndNotify(title, body, { actions }, settings.focusEndSound);
+        if (announce.end) say(`${title}. ${body}`);
+      }
+      emitSessionEvent(raw);
+    },
+  });
+  const remaining = Math.ceil(remainingMs / 1000);
+  const timeText = overtime ? `+${formatTime(Math.floor(-remainingMs / 1000))}` : formatTime(remaining);
+
+  const countdown = isRunning && !overtime ? countdownText(announce, remaining, Math.round(timer.durationMs / 1000)) : null;
+  useEffect(() => {
+    if (countdown) say(countdown);
+  }, [countdown, say]);
+
+  // Like the timer, sync runs in the owning tab only.
+  const docSetters = { settings: setSettings, presets: setCustomPresets, themes: setCustomThemes, daysOff: setDaysOff };
+  const { sync, queued: syncQueued, syncing, offline: syncOffline, configure: configureSync, syncNow } = useSync({
+    active: isOwner,
+    history,
+    setHistory,
+    docs: { settings, presets: customPresets, themes: customThemes, daysOff },
+    setDoc: (key, value) => docSetters[key](value),
+  });
+
+  // A room's session carries on here after leaving, as this timer's own.
+  useEffect(() => {
+    if (isOwner && !room.code && timer.followed != null) send({ type: "unfollow" });
+  }, [isOwner, room.code, timer.followed, send]);
+
+  // Each absence pauses focus once; answering the prompt from another tab
+  // leaves this one's `away` as it was until the next sign of activity.
+  const pausedFor = useRef(null);
+  useEffect(() => {
+    if (presence.away == null || presence.away === pausedFor.current || !isRunning || mode !== "focus") return;
+    pausedFor.current = presence.away;
+    send({ type: "away", since: presence.away });
+  }, [presence.away, isRunning, mode, send]);
 
   const isSmall = useMedia("(max-width: 768px)");
   const ringSize = isSmall ? 180 : 230;
   const ringStroke = isSmall ? 12 : 16;
 
-  const themeObj = THEMES[theme] || THEMES.redesigned;
+  const prefersDark = useMedia("(prefers-color-scheme: dark)");
+  const prefersContrast = useMedia("(prefers-contrast: more)");
+  const palette = resolveTheme(theme, customThemes, prefersDark, prefersContrast);
+  const themeObj = THEME_CLASSES;
 
-  const [stats, setStats] = useLocalStorageState(STORAGE_KEY + ":stats", {
-    [todayKey()]: { focusSec: 0, sessions: 0 },
-  });
+  useEffect(() => {
+    document.querySelector('meta[name="theme-color"]')?.setAttribute("content", palette.colors.bgVia);
+  }, [palette.colors.bgVia]);
+
+  useEffect(() => onStorageProblem(setStorageProblem), []);
+
+  // Views are history entries, so back / forward move between them.
+  useEffect(() => {
+    const onHash = () => setViewState(viewFromHash(window.location.hash));
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, []);
 
+  function setView(next) {
+    if (next !== view) window.location.hash = hashForView(next);
+  }
+
+  // Picture-in-Picture where supported, else a popup, else the mini layout in place.
+  async function openMiniTimer() {
+    if (pip) { pip.focus(); return; }
+    if (canPictureInPicture()) {
+      try {
+        const win = await openPictureInPicture();
+        win.addEventListener("pagehide", () => setPip(null));
+        setPip(win);
+        return;
+      } catch {
+        // e.g. opened without a user gesture; a popup may still work
+      }
+    }
+    if (!openMiniPopup(window.location.pathname + hashForView("mini"))) setView("mini");
+  }
+
+  // ---- Links ----------------------------------------------------------------
+  // A shared link is read once and dropped from the address bar. Settings the
+  // user has customised are only replaced after asking; `start` runs once the
+  // settings are settled, so the session gets the linked length.
+  const [link, setLink] = useState(() => parseLink(window.location.search));
+  const linkChanges = link?.settings ? settingsChanges(settings, link.settings) : [];
+  const askAboutLink = linkChanges.some((c) => c.customised);
+
+  useEffect(() => {
+    const rest = withoutLinkParams(window.location.search);
+    if (rest !== window.location.search) window.history.replaceState(null, "", window.location.pathname + rest + window.location.hash);
+  }, []);
+
+  const followLinkRef = useRef(null);
+  useEffect(() => {
+    followLinkRef.current = () => {
+      if (linkChanges.length) {
+        setSettings({ ...settings, ...link.settings });
+        setLink({ ...link, settings: null });
+        return;
+      }
+      if (link.start) dispatch({ type: "start", mode: link.start });
+      setLink(null);
+    };
+  });
+  // A starting link goes to the owning tab like a button press. Ownership is
+  // settled shortly after load, so a tab that isn't the owner by then forwards it.
   useEffect(() => {
-    if (isRunning) return;
-    const map = { focus: settings.pomodoroMin, short: settings.shortMin, long: settings.longMin };
-    setRemaining(map[mode] * 60);
-  }, [mode, settings.pomodoroMin, settings.shortMin, settings.longMin]);
+    if (!link || askAboutLink) return;
+    if (isOwner) {
+      followLinkRef.current();
+      return;
+    }
+    const id = setTimeout(() => followLinkRef.current(), OWNER_SETTLE_MS);
+    return () => clearTimeout(id);
+  }, [link, askAboutLink, isOwner]);
 
   useEffect(() => {
     if (!settings.notify || !("Notification" in window)) return;
@@ -171,246 +308,633 @@ export default function App() {
   useEffect(() => {
     const label =
       mode === "focus" ? "Focus" : mode === "short" ? "Break" : "Long Break";
-    document.title = `${formatTime(remaining)} — ${label} | Pomox`;
-  }, [remaining, mode]);
-
-  useInterval(() => {
-    setRemaining((prev) => {
-      if (prev <= 1) {
-        onFinish();
-        return 0;
-      }
-      return prev - 1;
-    });
+    document.title = `${timeText} — ${label} | Pomox`;
+  }, [timeText, mode]);
 
-    if (mode === "focus") {
-      incrementTodayFocus(1);
+  // ---- Sound ----------------------------------------------------------------
+  function unlockAudio() {
+    sound().unlock().catch(() => {});
+  }
+
+  function playSound(id) {
+    if (settings.sound) sound().play(id, settings.volume).catch(() => {});
+  }
+
+  function ringAndNotify(title, body, options, soundId = mode === "focus" ? settings.focusEndSound : settings.breakEndSound) {
+    playSound(soundId);
+    if (settings.notify) showSessionNotification(title, body, options).catch(() => {});
+  }
+
+  // Notification buttons act on the session after the one that ended at
+  // `deadline`. If the page slept through the deadline, that session is
+  // finished first. Once a later session has ended too, the click is stale and
+  // does nothing. Overtime notifications carry no deadline: they only take the break.
+  function notificationAction({ action, deadline }) {
+    if (deadline == null) {
+      if (action === "skip" && overtime) send({ type: "skip" });
+      return;
     }
-  }, isRunning ? 1000 : null);
+    if (isRunning && timer.endsAt === deadline) send({ type: "tick" });
+    else if (history.reduce((latest, e) => Math.max(latest, e.endedAt), lastEnd.current ?? 0) !== deadline) return;
+    if (action === "start") send({ type: "start" });
+    else if (action === "skip") send({ type: "skip" });
+  }
 
-  function incrementTodayFocus(deltaSec) {
-    setStats((prev) => {
-      const k = todayKey();
-      const day = prev[k] || { focusSec: 0, sessions: 0 };
-      return { ...prev, [k]: { ...day, focusSec: day.focusSec + deltaSec } };
-    });
+  // Interruptions live on the timer until the session is logged, so every tab
+  // sees them and they survive a reload.
+  const focusStarted = mode === "focus" && timer.sessionStartedAt != null;
+
+  // The note may arrive after the session ended; then it goes onto the logged entry.
+  function noteInterruption(at, note) {
+    if (timer.interruptions?.some((i) => i.at === at)) {
+      send({ type: "note", at, note });
+      return;
+    }
+    const withNote = (list) => list.map((i) => (i.at === at ? { ...i, note } : i));
+    setHistory((prev) => prev.map((e) => (e.interruptions?.some((i) => i.at === at) ? { ...e, interruptions: withNote(e.interruptions), updatedAt: Date.now() } : e)));
   }
 
-  function incSessionsToday() {
-    setStats((prev) => {
-      const k = todayKey();
-      const day = prev[k] || { focusSec: 0, sessions: 0 };
-      return { ...prev, [k]: { ...day, sessions: day.sessions + 1 } };
-    });
+  function selectPreset(id) {
+    const next = findPreset(id, customPresets, settings);
+    setSettings({ ...settings, presetId: next.id });
+    send({ type: "load", steps: next.steps, step: 0 });
   }
 
-  // ---- Sound utils (added) --------------------------------------------------
-  async function unlockAudio() {
-    if (audioUnlockedRef.current) return;
-
-    try {
-      const Ctx = window.AudioContext || window.webkitAudioContext;
-      if (Ctx) {
-        if (!audioCtxRef.current) audioCtxRef.current = new Ctx();
-        if (audioCtxRef.current.state === "suspended") {
-          await audioCtxRef.current.resume();
-        }
-      }
-    } catch {}
-
-    try {
-      if (audioRef.current) {
-        audioRef.current.muted = false;
-        audioRef.current.volume = 1;
-        audioRef.current.currentTime = 0;
-        await audioRef.current.play().catch(() => {});
-        audioRef.current.pause();
-      }
-    } catch {}
+  function updatePreset(updated) {
+    setCustomPresets(customPresets.map((p) => (p.id === updated.id ? updated : p)));
+  }
 
-    audioUnlockedRef.current = true;
+  function duplicatePreset() {
+    const copy = makePreset(`${preset.name} (copy)`, steps);
+    setCustomPresets([...customPresets, copy]);
+    setSettings({ ...settings, presetId: copy.id });
   }
 
-  async function webAudioBeep(duration = 0.5, freq = 880) {
-    try {
-      const Ctx = window.AudioContext || window.webkitAudioContext;
-      if (!Ctx) return;
-      const ctx = audioCtxRef.current || new Ctx();
-      audioCtxRef.current = ctx;
-      if (ctx.state === "suspended") await ctx.resume();
-
-      const osc = ctx.createOscillator();
-      const gain = ctx.createGain();
-      osc.type = "sine";
-      osc.frequency.setValueAtTime(freq, ctx.currentTime);
-
-      gain.gain.setValueAtTime(0.0001, ctx.currentTime);
-      gain.gain.exponentialRampToValueAtTime(0.2, ctx.currentTime + 0.01);
-      gain.gain.exponentialRampToValueAtTime(0.0001, ctx.currentTime + duration);
-
-      osc.connect(gain);
-      gain.connect(ctx.destination);
-      osc.start();
-      osc.stop(ctx.currentTime + duration);
-    } catch {}
+  function deletePreset() {
+    setCustomPresets(customPresets.filter((p) => p.id !== preset.id));
+    dispatch({ type: "preset", id: "classic" });
   }
 
-  async function playBeep() {
-    if (!settings.sound) return;
-    try {
-      const el = audioRef.current;
-      if (el) {
-        el.muted = false;
-        el.volume = 1;
-        el.currentTime = 0;
-        await el.play();
-        return;
-      }
-    } catch {}
-    await webAudioBeep();
+  function restore(data) {
+    const nextSettings = { ...DEFAULT_SETTINGS, ...data.settings };
+    const nextPreset = findPreset(nextSettings.presetId, data.presets, nextSettings);
+    const nextStep = data.step ?? Math.max(0, nextIndexOfType(nextPreset.steps, 0, data.mode || "focus"));
+    setSettings(nextSettings);
+    setCustomPresets(data.presets);
+    send({ type: "load", steps: nextPreset.steps, step: nextStep, cycles: data.cycles });
+    setTheme(data.theme);
+    setCustomThemes(data.themes);
+    setDaysOff(data.daysOff);
+    setHistory(data.history);
+    setTasks(data.tasks);
+    setActiveTaskId(data.activeTask);
+  }
+
+  // Session events go to in-page listeners and webhooks. Like history, they
+  // come from the owning tab only.
+  const recordDelivery = (entry) => setWebhookLog((log) => appendLog(log, entry));
+
+  function emitSessionEvent(raw) {
+    const taskId = raw.entry ? raw.entry.taskId : activeTaskId;
+    const task = raw.mode === "focus" ? tasks.find((t) => t.id === taskId) : null;
+    const event = buildEvent(raw, { task, preset });
+    publish(event);
+    webhooks.filter((h) => wantsEvent(h, event.type)).forEach((h) => deliver(h, event, recordDelivery));
   }
 
-  function ringAndNotify(title, body) {
-    // fire-and-forget
-    playBeep();
-    if (settings.notify && "Notification" in window && Notification.permission === "granted") {
-      try { new Notification(title, { body }); } catch {}
+  function runCommand(command) {
+    const { type, id } = command;
+    if (roomApi.inRoom && ["startPause", "start", "reset", "skip", "void", "mode", "preset", "custom"].includes(type)) {
+      roomCommand(command);
+      return;
     }
+    if (type === "startPause") send({ type: "toggle" });
+    else if (type === "start") {
+      // From a link: a fresh session of that type, unless one is already running.
+      if (isRunning) return;
+      send({ type: "select", mode: command.mode });
+      send({ type: "start" });
+    }
+    else if (type === "reset" || type === "skip" || type === "void") send({ type });
+    else if (type === "mode") send({ type: "select", mode: id });
+    else if (type === "preset") selectPreset(id);
+    else if (type === "custom") send({ type: "custom", mode: command.mode, min: command.min });
+    else if (type === "interrupt") send({ type: "interrupt", kind: command.kind, at: command.at });
+    else if (type === "back") send({ type: "back", choice: command.choice });
+    else if (type === "note") noteInterruption(command.at, command.note);
+    else if (type === "notification") notificationAction(command);
+    else if (type === "sync") syncNow();
   }
 
-  function onFinish() {
-    setIsRunning(false);
-    if (mode === "focus") {
-      setCycleCount((c) => c + 1);
-      incSessionsToday();
-      ringAndNotify("Focus complete", "Time for a break!");
-      const nextIsLong = (cycleCount + 1) % settings.longEvery === 0;
-      const nextMode = nextIsLong ? "long" : "short";
-      setMode(nextMode);
-      const nextLen = nextIsLong ? settings.longMin : settings.shortMin;
-      setRemaining(nextLen * 60);
-      if (settings.autoStart) setIsRunning(true);
-    } else {
-      ringAndNotify("Break finished", "Back to focus ✨");
-      setMode("focus");
-      setRemaining(settings.pomodoroMin * 60);
-      if (settings.autoStart) setIsRunning(true);
+  // The room's server decides; its answer comes back as the state to follow.
+  // Presets, custom lengths and voiding don't apply while in a room.
+  function roomCommand(command) {
+    const { type, id } = command;
+    if (type === "startPause") roomApi.command(roomApi.live?.session.endsAt != null ? "pause" : "start");
+    else if (type === "reset" || type === "skip") roomApi.command(type);
+    else if (type === "mode") roomApi.command("mode", { mode: id });
+    else if (type === "start" && roomApi.live?.session.endsAt == null) {
+      roomApi.command("mode", { mode: command.mode });
+      roomApi.command("start");
     }
   }
 
-  const startPause = () => { unlockAudio(); setIsRunning((r) => !r); };
-  const reset = () => {
-    unlockAudio();
-    const map = { focus: settings.pomodoroMin, short: settings.shortMin, long: settings.longMin };
-    setRemaining(map[mode] * 60);
-    setIsRunning(false);
-  };
-  const skip = () => { unlockAudio(); setIsRunning(false); onFinish(); };
+  const dispatch = (command) => { if (!sendToOwner(command)) runCommand(command); };
+  const dispatchRef = useRef(dispatch);
+  useEffect(() => { dispatchRef.current = dispatch; });
 
+  useEffect(() => listenForNotificationActions(({ action, deadline }) => {
+    dispatchRef.current({ type: "notification", action, deadline });
+  }), []);
+
+  // Only the owning tab schedules, so one notification fires per session end.
+  const upNext = steps[(stepIndex + 1) % steps.length];
   useEffect(() => {
-    const onKey = (e) => {
-      if (e.target instanceof HTMLInputElement) return;
-      if (e.code === "Space") { e.preventDefault(); unlockAudio(); startPause(); }
-      else if (e.key.toLowerCase() === "r") { unlockAudio(); reset(); }
-      else if (e.key.toLowerCase() === "n") { unlockAudio(); skip(); }
-      else if (e.key.toLowerCase() === "t") { toggleTheme(); }
+    if (!isOwner || !settings.notify) return;
+    if (timer.endsAt == null || overtime) { cancelSessionNotification(); return; }
+    const { title, body, actions } = endMessage(mode, { type: upNext.type, label: upNext.label }, flowing);
+    scheduleSessionNotification(timer.endsAt, title, body, { actions, deadline: timer.endsAt });
+  }, [isOwner, settings.notify, timer.endsAt, overtime, mode, upNext.type, upNext.label, flowing]);
+
+  // A soft reminder every few minutes of overtime.
+  const nudges = overtime && flow.reminderMin > 0 ? Math.floor(-remainingMs / (flow.reminderMin * 60000)) : 0;
+  const nudged = useRef(0);
+  useEffect(() => {
+    if (isOwner && settings.sound && nudges > nudged.current) sound().play("nudge", settings.volume).catch(() => {});
+    nudged.current = nudges;
+  }, [isOwner, nudges, settings.sound, settings.volume]);
+
+  // Ticking and ambient noise only play in the tab that owns the timer.
+  const ticking = isOwner && isRunning && settings.sound && settings.tick;
+  const ambient = isOwner && isRunning && mode === "focus" ? settings.ambient : "off";
+  useEffect(() => { if (soundRef.current || ticking) sound().setTicking(ticking, settings.volume * 0.5); }, [ticking, settings.volume]);
+  useEffect(() => { if (soundRef.current || ambient !== "off") sound().setAmbient(ambient, settings.ambientVolume); }, [ambient, settings.ambientVolume]);
+  useEffect(() => () => soundRef.current?.dispose(), []);
+
+  const startPause = () => { unlockAudio(); dispatch({ type: "startPause" }); };
+  const reset = () => { unlockAudio(); dispatch({ type: "reset" }); };
+  const skip = () => { unlockAudio(); dispatch({ type: "skip" }); };
+
+  function interrupt(kind) {
+    if (!focusStarted) return;
+    const at = Date.now();
+    dispatch({ type: "interrupt", kind, at });
+    setNoteFor({ at, kind });
+  }
+
+  function runShortcut(action) {
+    if (action === "startPause") startPause();
+    else if (action === "reset") reset();
+    else if (action === "skip") skip();
+    else if (action === "modeFocus" || action === "modeShort" || action === "modeLong") {
+      if (!isRunning) dispatch({ type: "mode", id: action.slice(4).toLowerCase() });
+    }
+    else if (action === "interruptInternal") interrupt("internal");
+    else if (action === "interruptExternal") interrupt("external");
+    else if (action === "void") dispatch({ type: "void" });
+    else if (action === "theme") toggleTheme();
+    else if (action === "stats") setView(view === "stats" ? "timer" : "stats");
+    else if (action === "mini") openMiniTimer();
+    else if (action === "help") setOverlay("help");
+    else if (action === "palette") setOverlay("palette");
+  }
+
+  const onKeyRef = useRef(null);
+  useEffect(() => {
+    onKeyRef.current = (e) => {
+      if (overlay || e.repeat || e.defaultPrevented) return;
+      const combo = comboFromEvent(e);
+      const action = actionForCombo(shortcuts, combo);
+      if (!action || (action !== "palette" && (isTypingTarget(e.target) || pressesTarget(e.target, combo)))) return;
+      e.preventDefault();
+      runShortcut(action);
     };
+  });
+  useEffect(() => {
+    const onKey = (e) => onKeyRef.current(e);
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [startPause, theme]);
+  }, []);
+
+  // Everything the palette can do; timer commands go through dispatch like the buttons.
+  function paletteCommands() {
+    const list = [
+      { id: "startPause", group: "Timer", label: isRunning ? "Pause" : "Start", run: startPause },
+      { id: "reset", group: "Timer", label: "Reset session", run: reset },
+      { id: "skip", group: "Timer", label: "Skip to next session", run: skip },
+      { id: "view", group: "View", label: view === "stats" ? "Back to timer" : "Open stats", run: () => setView(view === "stats" ? "timer" : "stats") },
+      { id: "help", group: "View", label: "Show keyboard shortcuts", run: () => setOverlay("help") },
+      { id: "mini", group: "View", label: "Open mini timer", run: openMiniTimer },
+      { id: "share", group: "Settings", label: "Copy share link", run: () => navigator.clipboard?.writeText(shareLink(settings)).catch(() => {}) },
+    ];
+    if (focusStarted) {
+      list.push(
+        { id: "internal", group: "Interruption", label: "Log internal interruption", run: () => interrupt("internal") },
+        { id: "external", group: "Interruption", label: "Log external interruption", run: () => interrupt("external") }
+      );
+      if (!roomApi.inRoom) list.push({ id: "void", group: "Timer", label: "Void this pomodoro", run: () => dispatch({ type: "void" }) });
+    }
+    if (!isRunning) {
+      MODES.filter((m) => steps.some((s) => s.type === m.id)).forEach((m) =>
+        list.push({ id: `mode-${m.id}`, group: "Mode", label: `Switch to ${m.label}`, run: () => dispatch({ type: "mode", id: m.id }) })
+      );
+      allPresets(customPresets, settings).forEach((p) =>
+        list.push({ id: `preset-${p.id}`, group: "Preset", label: p.name, run: () => dispatch({ type: "preset", id: p.id }) })
+      );
+    }
+    [{ id: SYSTEM_THEME, name: "System" }, ...allThemes(customThemes)].forEach((t) =>
+      list.push({ id: `theme-${t.id}`, group: "Theme", label: t.name, run: () => setTheme(t.id) })
+    );
+    tasks.filter((t) => !t.done).forEach((t) =>
+      list.push({ id: `task-${t.id}`, group: "Task", label: t.title, run: () => setActiveTaskId(t.id) })
+    );
+    if (activeTaskId) list.push({ id: "task-none", group: "Task", label: "Clear active task", run: () => setActiveTaskId(null) });
+    return list;
+  }
+
+  function customLengthCommands(query) {
+    const parsed = parseCustomLength(query);
+    if (!parsed || !steps.some((s) => s.type === parsed.type)) return [];
+    const label = MODES.find((m) => m.id === parsed.type).label;
+    return [{
+      id: "custom",
+      group: "One-off",
+      label: `Start ${label} for ${parsed.min} min`,
+      run: () => { unlockAudio(); dispatch({ type: "custom", mode: parsed.type, min: parsed.min }); },
+    }];
+  }
 
-  function toggleTheme() { setTheme(theme === "redesigned" ? "sunrise" : "redesigned"); }
+  // T steps through System, the built-in themes and then the user's own.
+  const themeIds = [SYSTEM_THEME, ...allThemes(customThemes).map((t) => t.id)];
+  function toggleTheme() { setTheme(themeIds[(themeIds.indexOf(theme) + 1) % themeIds.length]); }
 
-  const total = useMemo(() => {
-    const map = { focus: settings.pomodoroMin * 60, short: settings.shortMin * 60, long: settings.longMin * 60 };
-    return map[mode];
-  }, [mode, settings]);
-  const pct = clamp(1 - remaining / Math.max(total, 1), 0, 1);
+  function updateTheme(updated) {
+    setCustomThemes(customThemes.map((t) => (t.id === updated.id ? updated : t)));
+  }
 
-  const day = stats[todayKey()] || { focusSec: 0, sessions: 0 };
+  function duplicateTheme() {
+    const copy = makeTheme(`${palette.name} (copy)`, palette.colors);
+    setCustomThemes([...customThemes, copy]);
+    setTheme(copy.id);
+  }
+
+  function deleteTheme() {
+    setCustomThemes(customThemes.filter((t) => t.id !== palette.id));
+    setTheme(SYSTEM_THEME);
+  }
+
+  function importTheme(imported) {
+    setCustomThemes([...customThemes, imported]);
+    setTheme(imported.id);
+  }
+
+  const pct = clamp(1 - remainingMs / Math.max(timer.durationMs, 1), 0, 1);
+
+  // The tab icon follows the session; redrawn only when the ring visibly moves.
+  const sessionStarted = timer.sessionStartedAt != null;
+  const faviconStep = Math.floor(pct * 60);
+  useEffect(() => {
+    if (sessionStarted) drawFavicon(faviconStep / 60, mode, !isRunning);
+    else resetFavicon();
+  }, [sessionStarted, faviconStep, mode, isRunning]);
+
+  const cycles = focusProgress(steps, stepIndex);
+  const dayStartHour = settings.dayStartHour;
+  const today = dayKey(now, dayStartHour);
+  const loggedDays = useMemo(() => summarizeDays(history, dayStartHour), [history, dayStartHour]);
+  const day = loggedDays[today] || emptyDay();
+
+  // Breaks rotate through the activities, one break after another.
+  const breaks = { ...DEFAULT_BREAKS, ...settings.breaks };
+  const breaksTaken = useMemo(() => history.filter((e) => e.mode !== "focus").length, [history]);
+  const activity = mode === "focus" ? null : breakActivity(breaks, mode, breaksTaken, current.min * 60);
+  // Only the part of a running session that falls on today counts for today.
+  const liveSec = mode === "focus" && timer.sessionStartedAt != null
+    ? splitByDay(timer.sessionStartedAt, now, elapsedMs(now) / 1000, dayStartHour)[today] || 0
+    : 0;
+  const focusTodaySec = day.focusSec + Math.round(liveSec);
+  const overtimeTodaySec = day.overtimeSec + (overtime ? Math.floor(-remainingMs / 1000) : 0);
+  const showOvertime = flowing || overtimeTodaySec > 0;
+
+  // Goals count the running session's focus time too, so a minutes goal is met
+  // the moment it is crossed rather than when the session ends.
+  const days = { ...loggedDays, [today]: { ...day, focusSec: focusTodaySec } };
+  const todayGoal = goalValue(days[today], settings.goalMetric);
+  const weekGoal = weekValue(days, settings.goalMetric, now, dayStartHour);
+  const dailyMet = settings.dailyGoal > 0 && todayGoal >= settings.dailyGoal;
+  const weeklyMet = settings.weeklyGoal > 0 && weekGoal >= settings.weeklyGoal;
+  const goalStreak = goalStreaks(days, settings.goalMetric, settings.dailyGoal, daysOff, now, dayStartHour);
+  const thisWeek = weekStart(today);
+
+  // Celebrate each goal once per day / week, from the owning tab only.
+  const celebrateRef = useRef(null);
+  useEffect(() => {
+    celebrateRef.current = (goals) => {
+      setCelebrated({ ...celebrated, ...(goals.includes("day") && { day: today }), ...(goals.includes("week") && { week: thisWeek }) });
+      const title = goals.includes("week") ? "Weekly goal reached!" : "Daily goal reached!";
+      const unit = settings.goalMetric === "minutes" ? "minutes of focus" : "sessions";
+      const body = goals.includes("week") ? `${weekGoal} ${unit} this week.` : `${todayGoal} ${unit} today.`;
+      setCelebration(title);
+      ringAndNotify(title, body, { tag: "pomox-goal" }, "celebrate");
+    };
+  });
+  useEffect(() => {
+    if (!isOwner) return;
+    const goals = [];
+    if (dailyMet && celebrated.day !== today) goals.push("day");
+    if (weeklyMet && celebrated.week !== thisWeek) goals.push("week");
+    if (goals.length) celebrateRef.current(goals);
+  }, [isOwner, dailyMet, weeklyMet, today, thisWeek, celebrated.day, celebrated.week]);
+  useEffect(() => {
+    if (!celebration) return;
+    const id = setTimeout(() => setCelebration(null), 8000);
+    return () => clearTimeout(id);
+  }, [celebration]);
+  const live = timer.interruptions || [];
+  const interruptionsToday = {
+    internal: day.internal + live.filter((i) => i.kind === "internal").length,
+    external: day.external + live.filter((i) => i.kind === "external").length,
+  };
+
+  const miniTimer = (onExpand) => (
+    <MiniTimer
+      themeObj={themeObj}
+      style={themeStyle(palette)}
+      progress={pct}
+      overtime={overtime}
+      time={timeText}
+      label={current.label || MODES.find((m) => m.id === mode).label}
+      isRunning={isRunning}
+      onStartPause={startPause}
+      onSkip={skip}
+      onExpand={onExpand}
+    />
+  );
+
+  // #/mini: the popup opened by openMiniTimer, or the page itself when popups are blocked.
+  if (view === "mini") {
+    return miniTimer(() => {
+      if (window.opener) { window.opener.focus(); window.close(); }
+      else setView("timer");
+    });
+  }
 
   return (
-    <div className={`${themeObj.bg} flex items-center justify-center p-4 md:p-5`}>
-      {/* audio element with important attrs */}
-      <audio ref={audioRef} src={BEEP_BASE64} preload="auto" playsInline muted={false} />
+    <div className={`${themeObj.bg} flex items-center justify-center p-4 md:p-5`} style={themeStyle(palette)}>
       <div className="w-full max-w-5xl">
-        <Header theme={theme} themeObj={themeObj} onToggleTheme={toggleTheme} />
-
-        <div className="grid md:grid-cols-2 gap-4 md:gap-6 mt-6">
-          {/* LEFT: Timer Card */}
-          <div className={themeObj.cardA}>
-            <ModeTabs themeObj={themeObj} mode={mode} setMode={(id) => { setMode(id); }} isRunning={isRunning} />
-
-            <div className="mt-6 flex flex-col sm:flex-row items-stretch sm:items-center gap-6">
-              <div className="self-center">
-                <ProgressRing size={ringSize} stroke={ringStroke} progress={pct} themeObj={themeObj}>
-                  <div className="text-center">
-                    <div className={`text-5xl md:text-[3.25rem] font-semibold tabular-nums tracking-tight ${theme === 'redesigned' ? 'text-slate-50 drop-shadow' : 'text-slate-900'}`}>
-                      {formatTime(remaining)}
-                    </div>
-                    <div className={`text-xs md:text-sm ${themeObj.highlightText}`}>{labelForMode(mode)}</div>
+        <Announcer announcement={announcement} />
+        {storageProblem && <StorageNotice themeObj={themeObj} problem={storageProblem} onDismiss={() => setStorageProblem(null)} />}
+        <Header
+          themeObj={themeObj}
+          themeName={palette.name}
+          themeLabel={theme === SYSTEM_THEME ? "System" : palette.name}
+          onToggleTheme={toggleTheme}
+          themeKey={shortcuts.theme}
+          view={view}
+          onToggleView={() => setView(view === "stats" ? "timer" : "stats")}
+          onOpenMini={openMiniTimer}
+          presets={allPresets(customPresets, settings)}
+          presetId={preset.id}
+          onSelectPreset={(id) => dispatch({ type: "preset", id })}
+          isRunning={isRunning}
+        />
+
+        {view === "stats" ? (
+          <StatsView themeObj={themeObj} history={history} dayStartHour={dayStartHour} />
+        ) : (
+          <div className="grid md:grid-cols-2 gap-4 md:gap-6 mt-6">
+            {/* LEFT: Timer Card + Tasks */}
+            <div className="space-y-4 md:space-y-6">
+              <div className={themeObj.cardA}>
+                <ModeTabs themeObj={themeObj} mode={mode} setMode={(id) => dispatch({ type: "mode", id })} isRunning={isRunning} available={steps.map((s) => s.type)} />
+                <SequenceDots steps={steps} index={stepIndex} themeObj={themeObj} />
+
+                <div id="timer-panel" role="tabpanel" aria-labelledby={`mode-tab-${mode}`} className="mt-6 flex flex-col sm:flex-row items-stretch sm:items-center gap-6">
+                  <div className="self-center">
+                    <ProgressRing size={ringSize} stroke={ringStroke} progress={pct} overtime={overtime} goal={settings.dailyGoal > 0 ? Math.min(1, todayGoal / settings.dailyGoal) : null} themeObj={themeObj}>
+                      <div className="text-center">
+                        <div className={`text-5xl md:text-[3.25rem] font-semibold tabular-nums tracking-tight ${themeObj.digits}`}>
+                          {timeText}
+                        </div>
+                        <div className={`text-xs md:text-sm ${themeObj.highlightText}`}>{current.label || labelForMode(mode)}</div>
+                      {mode === "focus" && activeTask && (
+                        <div className={`mt-1 max-w-[10rem] truncate text-xs ${themeObj.statLabel}`} title={activeTask.title}>
+                          {activeTask.title}
+                        </div>
+                      )}
+                      </div>
+                    </ProgressRing>
                   </div>
-                </ProgressRing>
-              </div>
 
-              <div className="flex-1 space-y-3">
-                <ControlButton themeObj={themeObj} onClick={startPause} variant={isRunning ? "secondary" : "primary"}>
-                  {isRunning ? "Pause" : "Start"}
-                </ControlButton>
-                <div className="grid grid-cols-2 gap-3">
-                  <ControlButton themeObj={themeObj} onClick={reset} variant="ghost">Reset</ControlButton>
-                  <ControlButton themeObj={themeObj} onClick={skip} variant="ghost">Skip</ControlButton>
+                  <div className="flex-1 space-y-3">
+                    <ControlButton themeObj={themeObj} onClick={startPause} variant={isRunning ? "secondary" : "primary"}>
+                      {isRunning ? "Pause" : "Start"}
+                    </ControlButton>
+                    <div className="grid grid-cols-2 gap-3">
+                      <ControlButton themeObj={themeObj} onClick={reset} variant="ghost">Reset</ControlButton>
+                      <ControlButton themeObj={themeObj} onClick={skip} variant="ghost">{overtime ? "Take break" : "Skip"}</ControlButton>
+                    </div>
+                    <div className={`text-xs ${themeObj.highlightText}`}>
+                      Shortcuts: {["startPause", "reset", "skip", "theme"].filter((a) => shortcuts[a]).map((a) => (
+                        <React.Fragment key={a}><kbd className={themeObj.kbd}>{formatCombo(shortcuts[a])}</kbd>{" "}</React.Fragment>
+                      ))}
+                      {shortcuts.help && <>· <kbd className={themeObj.kbd}>{formatCombo(shortcuts.help)}</kbd> for all</>}
+                    </div>
+                    <InterruptionBar
+                      themeObj={themeObj}
+                      active={focusStarted}
+                      interruptions={timer.interruptions || []}
+                      noteFor={noteFor}
+                      onInterrupt={interrupt}
+                      onNote={(at, note) => dispatch({ type: "note", at, note })}
+                      onDismissNote={() => setNoteFor(null)}
+                      onVoid={roomApi.inRoom ? null : () => dispatch({ type: "void" })}
+                    />
+                    {!isOwner && (
+                      <div className={`text-xs ${themeObj.statLabel}`} title="Another Pomox tab runs the timer; this one mirrors it.">
+                        ⧉ Synced with another tab
+                      </div>
+                    )}
+                  </div>
                 </div>
-                <div className={`text-xs ${themeObj.highlightText}`}>
-                  Shortcuts: <kbd className={themeObj.kbd}>Space</kbd>, <kbd className={themeObj.kbd}>R</kbd>, <kbd className={themeObj.kbd}>N</kbd>, <kbd className={themeObj.kbd}>T</kbd> (theme)
+
+                {timer.away && <AwayPrompt themeObj={themeObj} away={timer.away} onChoose={(choice) => dispatch({ type: "back", choice })} />}
+
+                {activity && (
+                  <BreakActivity
+                    key={`${stepIndex}-${cycleCount}`}
+                    themeObj={themeObj}
+                    activity={activity}
+                    elapsedSec={timer.sessionStartedAt != null ? elapsedMs(now) / 1000 : null}
+                    endEarly={breaks.endEarly}
+                    onEnd={() => dispatch({ type: "skip" })}
+                  />
+                )}
+
+                <GoalProgress
+                  themeObj={themeObj}
+                  metric={settings.goalMetric}
+                  daily={settings.dailyGoal}
+                  weekly={settings.weeklyGoal}
+                  today={todayGoal}
+                  week={weekGoal}
+                  streak={goalStreak}
+                  isDayOff={daysOff.includes(today)}
+                  onToggleDayOff={() => setDaysOff(daysOff.includes(today) ? daysOff.filter((d) => d !== today) : [...daysOff, today])}
+                  celebration={celebration}
+                />
+
+                <div className={`mt-6 grid grid-cols-2 ${showOvertime ? "sm:grid-cols-5" : "sm:grid-cols-4"} gap-3 md:gap-4`}>
+                  <Stat themeObj={themeObj} label="Cycles Done" value={`${cycles.done}/${cycles.total}`} />
+                  <Stat themeObj={themeObj} label="Focus Today" value={formatTime(focusTodaySec)} />
+                  {showOvertime && <Stat themeObj={themeObj} label="Overtime Today" value={formatTime(overtimeTodaySec)} />}
+                  <Stat themeObj={themeObj} label="Sessions Today" value={`${day.sessions}`} />
+                  <Stat themeObj={themeObj} label="Interruptions" value={`${interruptionsToday.internal} int · ${interruptionsToday.external} ext`} />
                 </div>
               </div>
-            </div>
 
-            <div className="mt-6 grid grid-cols-3 gap-3 md:gap-4">
-              <Stat themeObj={themeObj} label="Cycles Done" value={`${cycleCount % settings.longEvery}/${settings.longEvery}`} />
-              <Stat themeObj={themeObj} label="Focus Today" value={formatTime(day.focusSec)} />
-              <Stat themeObj={themeObj} label="Sessions Today" value={`${day.sessions}`} />
-            </div>
-          </div>
+              <TaskPanel
+                themeObj={themeObj}
+                tasks={tasks}
+                setTasks={setTasks}
+                activeTaskId={activeTaskId}
+                setActiveTaskId={setActiveTaskId}
+                counts={pomodorosByTask(history)}
+              />
 
-          {/* RIGHT: Settings */}
-          <div className={themeObj.cardB}>
-            <h2 className={`text-lg font-semibold ${theme === 'redesigned' ? 'text-slate-50' : 'text-slate-900'}`}>Settings</h2>
-            <div className="mt-4 space-y-5">
-              <NumberField themeObj={themeObj} label="Pomodoro (min)" value={settings.pomodoroMin} onChange={(v) => setSettings({ ...settings, pomodoroMin: clamp(v, 1, 180) })} />
-              <NumberField themeObj={themeObj} label="Short Break (min)" value={settings.shortMin} onChange={(v) => setSettings({ ...settings, shortMin: clamp(v, 1, 60) })} />
-              <NumberField themeObj={themeObj} label="Long Break (min)" value={settings.longMin} onChange={(v) => setSettings({ ...settings, longMin: clamp(v, 1, 90) })} />
-              <NumberField themeObj={themeObj} label="Long Break Every" suffix="sessions" value={settings.longEvery} onChange={(v) => setSettings({ ...settings, longEvery: clamp(v, 2, 12) })} />
-
-              <ToggleField themeObj={themeObj} label="Auto-start next session" checked={settings.autoStart} onChange={(c) => setSettings({ ...settings, autoStart: c })} />
-              <ToggleField themeObj={themeObj} label="Play sound on end" checked={settings.sound} onChange={(c) => setSettings({ ...settings, sound: c })} />
-              <ToggleField themeObj={themeObj} label="Desktop notifications" checked={settings.notify} onChange={(c) => setSettings({ ...settings, notify: c })} />
+              <RoomPanel themeObj={themeObj} roomApi={roomApi} settings={settings} />
             </div>
 
-            <div className="mt-6 grid grid-cols-2 gap-3">
-              <button
-                className={theme === 'redesigned' ? 'px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-slate-600 text-slate-100 text-sm' : 'px-3 py-2 rounded-xl bg-white hover:bg-amber-50 border border-amber-200 text-slate-800 text-sm shadow-sm'}
-                onClick={() => { localStorage.removeItem(STORAGE_KEY + ":settings"); window.location.reload(); }}
-              >
-                Reset Settings
-              </button>
-              <button
-                className={theme === 'redesigned' ? 'px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-slate-600 text-slate-100 text-sm' : 'px-3 py-2 rounded-xl bg-white hover:bg-rose-50 border border-rose-200 text-slate-800 text-sm shadow-sm'}
-                onClick={() => {
-                  localStorage.removeItem(STORAGE_KEY + ":stats");
-                  localStorage.removeItem(STORAGE_KEY + ":cycles");
-                  setStats({ [todayKey()]: { focusSec: 0, sessions: 0 } });
-                  setCycleCount(0);
-                }}
-              >
-                Clear Stats
-              </button>
+            {/* RIGHT: Settings */}
+            <div className={themeObj.cardB}>
+              <h2 className={themeObj.h2}>Settings</h2>
+              <div className="mt-4 space-y-5">
+                {preset.id === "classic" && (
+                  <>
+                    <NumberField themeObj={themeObj} label="Pomodoro (min)" value={settings.pomodoroMin} onChange={(v) => setSettings({ ...settings, pomodoroMin: clamp(v, 1, 180) })} />
+                    <NumberField themeObj={themeObj} label="Short Break (min)" value={settings.shortMin} onChange={(v) => setSettings({ ...settings, shortMin: clamp(v, 1, 60) })} />
+                    <NumberField themeObj={themeObj} label="Long Break (min)" value={settings.longMin} onChange={(v) => setSettings({ ...settings, longMin: clamp(v, 1, 90) })} />
+                    <NumberField themeObj={themeObj} label="Long Break Every" suffix="sessions" value={settings.longEvery} onChange={(v) => setSettings({ ...settings, longEvery: clamp(v, 2, 12) })} />
+                  </>
+                )}
+                <SequenceEditor themeObj={themeObj} preset={preset} onChange={updatePreset} onDuplicate={duplicatePreset} onDelete={deletePreset} />
+
+                <ToggleField themeObj={themeObj} label="Auto-start next session" checked={settings.autoStart} onChange={(c) => setSettings({ ...settings, autoStart: c })} />
+                <ToggleField themeObj={themeObj} label="Desktop notifications" checked={settings.notify} onChange={(c) => setSettings({ ...settings, notify: c })} />
+                {settings.notify && !notifiesWhenClosed() && (
+                  <p className={`-mt-2 text-xs ${themeObj.highlightText}`}>
+                    This browser notifies you while a Pomox tab is open, even in the background. With every tab closed, only a session ending within a few minutes still notifies.
+                  </p>
+                )}
+
+                <SoundSettings
+                  themeObj={themeObj}
+                  settings={settings}
+                  onChange={(patch) => setSettings({ ...settings, ...patch })}
+                  onPreview={(id) => sound().play(id, settings.volume).catch(() => {})}
+                  onCustomChanged={() => sound().forgetCustomSound()}
+                />
+
+                <GoalSettings
+                  themeObj={themeObj}
+                  settings={settings}
+                  onChange={(patch) => setSettings({ ...settings, ...patch })}
+                  daysOff={daysOff}
+                  onDaysOffChange={setDaysOff}
+                  today={today}
+                />
+
+                <AwaySettings
+                  themeObj={themeObj}
+                  away={awaySettings}
+                  onChange={(a) => setSettings({ ...settings, away: a })}
+                  detector={presence.detector}
+                  onAllowDetector={presence.allowDetector}
+                />
+
+                <FlowSettings themeObj={themeObj} flow={flow} onChange={(f) => setSettings({ ...settings, flow: f })} />
+
+                <BreakSettings themeObj={themeObj} breaks={breaks} onChange={(b) => setSettings({ ...settings, breaks: b })} />
+
+                <AnnounceSettings themeObj={themeObj} announce={announce} onChange={(a) => setSettings({ ...settings, announce: a })} />
+
+                <ShortcutSettings themeObj={themeObj} bindings={shortcuts} onChange={(b) => setSettings({ ...settings, shortcuts: b })} />
+
+                <ThemeEditor
+                  themeObj={themeObj}
+                  pref={theme}
+                  themes={allThemes(customThemes)}
+                  palette={palette}
+                  onSelect={setTheme}
+                  onChange={updateTheme}
+                  onDuplicate={duplicateTheme}
+                  onDelete={deleteTheme}
+                  onImport={importTheme}
+                />
+              </div>
+
+              <div className="mt-6 grid grid-cols-2 gap-3">
+                <button
+                  className={themeObj.headerBtn}
+                  onClick={() => setSettings(DEFAULT_SETTINGS)}
+                >
+                  Reset Settings
+                </button>
+                <button
+                  className={themeObj.headerBtn}
+                  onClick={() => {
+                    setHistory([]);
+                    send({ type: "load", steps, step: stepIndex, cycles: 0 });
+                  }}
+                >
+                  Clear Stats
+                </button>
+              </div>
+
+              <ShareLink themeObj={themeObj} settings={settings} />
+
+              <SyncSettings
+                themeObj={themeObj}
+                sync={sync}
+                queued={syncQueued}
+                syncing={syncing}
+                offline={syncOffline}
+                onChange={configureSync}
+                onSyncNow={() => dispatch({ type: "sync" })}
+              />
+
+              <WebhookSettings
+                themeObj={themeObj}
+                hooks={webhooks}
+                log={webhookLog}
+                onChange={setWebhooks}
+                onTest={(hook) => deliver(hook, sampleEvent(), recordDelivery)}
+              />
+
+              <DataActions
+                themeObj={themeObj}
+                snapshot={{ settings, step: stepIndex, cycles: cycleCount, theme, themes: customThemes, history, tasks, activeTask: activeTaskId, presets: customPresets, daysOff }}
+                onRestore={restore}
+              />
             </div>
           </div>
-        </div>
+        )}
 
-        <Footer theme={theme} themeObj={themeObj} onToggleTheme={toggleTheme} />
+        <Footer themeObj={themeObj} help={shortcuts.help} palette={shortcuts.palette} />
+
+        {overlay === "help" && <ShortcutHelp themeObj={themeObj} bindings={shortcuts} onClose={() => setOverlay(null)} />}
+        {askAboutLink && (
+          <LinkPrompt
+            themeObj={themeObj}
+            changes={linkChanges}
+            onApply={() => { unlockAudio(); setSettings({ ...settings, ...link.settings }); setLink({ ...link, settings: null }); }}
+            onKeep={() => setLink({ ...link, settings: null })}
+          />
+        )}
+        {pip && createPortal(miniTimer(() => { pip.close(); window.focus(); }), pip.document.body)}
+        {overlay === "palette" && (
+          <CommandPalette themeObj={themeObj} commands={paletteCommands()} dynamic={customLengthCommands} onClose={() => setOverlay(null)} />
+        )}
       </div>
     </div>
   );
@@ -418,21 +942,35 @@ export default function App() {
 
 function labelForMode(mode) { return mode === "focus" ? "Stay focused" : mode === "short" ? "Quick breather" : "Deep break"; }
 
-function Header({ theme, themeObj, onToggleTheme }) {
+function Header({ themeObj, themeName, themeLabel, themeKey, onToggleTheme, view, onToggleView, onOpenMini, presets, presetId, onSelectPreset, isRunning }) {
   return (
     <header className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 md:gap-4">
       <div>
-        {theme === 'sunrise' ? (
-          <div className={themeObj.headerBadge}><span>Sunrise Edition</span></div>
-        ) : (
-          <div className={themeObj.headerBadge}><span>Midnight Edition</span></div>
-        )}
+        <div className={themeObj.headerBadge}><span>{themeName}</span></div>
         <h1 className={themeObj.h1}>Pomodoro</h1>
         <p className={themeObj.sub}>Lock in!</p>
       </div>
       <div className="flex flex-wrap gap-2">
+        <select
+          value={presetId}
+          onChange={(e) => onSelectPreset(e.target.value)}
+          disabled={isRunning}
+          title={isRunning ? "Pause or reset to switch presets" : "Session preset"}
+          aria-label="Session preset"
+          className={`${themeObj.headerBtn} disabled:opacity-50`}
+        >
+          {presets.map((p) => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+        <button onClick={onToggleView} className={themeObj.headerBtn}>
+          {view === "stats" ? "⏱ Timer" : "📊 Stats"}
+        </button>
+        <button onClick={onOpenMini} className={themeObj.headerBtn} title="A small timer that stays visible while you work elsewhere">
+          ▣ Mini
+        </button>
         <button onClick={onToggleTheme} className={themeObj.switcher}>
-          {theme === 'redesigned' ? 'Switch to Sunrise' : 'Switch to Midnight'} (T)
+          🎨 {themeLabel}{themeKey && ` (${formatCombo(themeKey)})`}
         </button>
         <a
           href="https://github.com/kyaw-nyc/pomox"
@@ -447,30 +985,67 @@ function Header({ theme, themeObj, onToggleTheme }) {
   );
 }
 
-function Footer({ theme, themeObj }) {
+function Footer({ themeObj, help, palette }) {
   return (
     <footer className={`${themeObj.footer} flex flex-col items-center gap-2`}>
-      <div>Built with React & Tailwind v4 · Shortcuts: Space / R / N · Theme: T</div>
+      <div>
+        Built with React & Tailwind v4
+        {help && <> · Shortcuts: {formatCombo(help)}</>}
+        {palette && <> · Commands: {formatCombo(palette)}</>}
+      </div>
     </footer>
   );
 }
 
-function ModeTabs({ themeObj, mode, setMode, isRunning }) {
+// Shown when the browser won't keep what Pomox saves; see storage.js.
+function StorageNotice({ themeObj, problem, onDismiss }) {
+  const message = problem.kind === "full"
+    ? "Browser storage is full, so recent changes won't survive closing Pomox. Export a backup or clear old stats to free up space."
+    : problem.kind === "corrupt"
+    ? "Some saved data couldn't be read and was reset to its defaults."
+    : "This browser isn't letting Pomox save (private browsing or blocked site data). Changes last until you close the tab.";
+  return (
+    <div role="alert" className={`mb-4 flex items-start justify-between gap-3 rounded-xl px-4 py-3 text-sm ${themeObj.tabActive}`}>
+      <span>⚠ {message}</span>
+      <button className="shrink-0 underline underline-offset-2" onClick={onDismiss}>Dismiss</button>
+    </div>
+  );
+}
+
+// A tablist with one tab stop: the arrow keys, Home and End move between tabs
+// and Enter or Space switches. Unavailable tabs stay focusable so their reason
+// can be read out.
+function ModeTabs({ themeObj, mode, setMode, isRunning, available }) {
+  const tabs = useRef([]);
+  function onKeyDown(e, i) {
+    const to = { ArrowLeft: i - 1, ArrowRight: i + 1, Home: 0, End: MODES.length - 1 }[e.key];
+    if (to == null) return;
+    e.preventDefault();
+    tabs.current[(to + MODES.length) % MODES.length]?.focus();
+  }
   return (
-    <div className={themeObj.tabsWrap}>
-      {MODES.map((m) => {
+    <div role="tablist" aria-label="Session type" className={themeObj.tabsWrap}>
+      {MODES.map((m, i) => {
         const active = m.id === mode;
-        const disabled = isRunning;
+        const disabled = isRunning || !available.includes(m.id);
+        const reason = isRunning ? "Pause or reset to change mode" : disabled ? "Not part of this sequence" : "";
         return (
           <button
             key={m.id}
-            onClick={() => { if (!disabled) setMode(m.id); }}
-            disabled={disabled}
+            ref={(el) => { tabs.current[i] = el; }}
+            id={`mode-tab-${m.id}`}
+            type="button"
+            role="tab"
+            aria-selected={active}
+            aria-controls="timer-panel"
             aria-disabled={disabled}
-            tabIndex={disabled ? -1 : 0}
-            title={disabled ? "Pause or reset to change mode" : ""}
+            aria-description={reason || undefined}
+            tabIndex={active ? 0 : -1}
+            onClick={() => { if (!disabled) setMode(m.id); }}
+            onKeyDown={(e) => onKeyDown(e, i)}
+            title={reason}
             className={
-              "flex-1 px-3 py-2 rounded-lg text-sm md:text-base transition text-center " +
+              "flex-1 px-3 py-2 rounded-lg text-sm md:text-base motion-safe:transition text-center " +
               (active ? themeObj.tabActive : themeObj.tabIdle) +
               (disabled ? " opacity-50 cursor-not-allowed" : "")
             }
@@ -483,97 +1058,27 @@ function ModeTabs({ themeObj, mode, setMode, isRunning }) {
   );
 }
 
-function ControlButton({ themeObj, children, onClick, variant = "primary" }) {
-  const base = "w-full px-4 py-2 rounded-xl text-base font-semibold transition border text-center";
-  const map = { primary: themeObj.btnPrimary, secondary: themeObj.btnSecondary, ghost: themeObj.btnGhost };
+// One dot per step of the active sequence; the current one is stretched.
+function SequenceDots({ steps, index, themeObj }) {
   return (
-    <button className={`${base} ${map[variant]}`} onClick={onClick}>
-      {children}
-    </button>
-  );
-}
-
-function Stat({ themeObj, label, value }) {
-  return (
-    <div className={themeObj.statWrap}>
-      <div className={themeObj.statLabel}>{label}</div>
-      <div className={themeObj.statValue}>{value}</div>
-    </div>
-  );
-}
-
-function NumberField({ themeObj, label, value, onChange, suffix }) {
-  const [draft, setDraft] = useState(String(value));
-  useEffect(() => setDraft(String(value)), [value]);
-  return (
-    <label className="block">
-      <div className={themeObj.fieldLabel}>{label}</div>
-      <div className="flex items-center gap-2">
-        <input
-          className={themeObj.input}
-          type="number"
-          min={1}
-          max={999}
-          value={draft}
-          onChange={(e) => setDraft(e.target.value)}
-          onBlur={() => {
-            const n = parseInt(draft || "0", 10);
-            if (!Number.isFinite(n)) return setDraft(String(value));
-            onChange(n);
-          }}
+    <div className="mt-3 flex items-center justify-center gap-1.5" aria-label={`Step ${index + 1} of ${steps.length}`}>
+      {steps.map((s, i) => (
+        <span
+          key={i}
+          title={`${s.label || MODES.find((m) => m.id === s.type)?.label} · ${s.min} min`}
+          className={`h-1.5 rounded-full motion-safe:transition-all ${i === index ? "w-5" : "w-1.5"} ${s.type === "focus" ? themeObj.toggleOn : themeObj.toggleOff} ${i < index ? "opacity-40" : ""}`}
         />
-        {suffix && <span className={themeObj.highlightText}>{suffix}</span>}
-      </div>
-    </label>
-  );
-}
-
-function ToggleField({ themeObj, label, checked, onChange }) {
-  return (
-    <label className="flex items-center justify-between gap-3 select-none">
-      <span className={themeObj.highlightText}>{label}</span>
-      <button
-        onClick={() => onChange(!checked)}
-        className={`relative inline-flex h-7 w-12 items-center rounded-full transition ${checked ? themeObj.toggleOn : themeObj.toggleOff}`}
-        aria-pressed={checked}
-      >
-        <span className={`inline-block h-5 w-5 transform rounded-full bg-white ${checked ? 'translate-x-6' : 'translate-x-1'} transition`} />
-      </button>
-    </label>
+      ))}
+    </div>
   );
 }
 
-function ProgressRing({ size = 200, stroke = 12, progress = 0, children, themeObj }) {
-  const r = (size - stroke) / 2;
-  const c = 2 * Math.PI * r;
-  const dash = c * progress;
+function ControlButton({ themeObj, children, onClick, variant = "primary" }) {
+  const base = "w-full px-4 py-2 rounded-xl text-base font-semibold motion-safe:transition border text-center";
+  const map = { primary: themeObj.btnPrimary, secondary: themeObj.btnSecondary, ghost: themeObj.btnGhost };
   return (
-    <div className="relative" style={{ width: size, height: size }}>
-      <svg width={size} height={size} className="block">
-        <circle cx={size / 2} cy={size / 2} r={r} stroke={themeObj.ringTrack} strokeWidth={stroke} fill="none" />
-        <circle
-          cx={size / 2}
-          cy={size / 2}
-          r={r}
-          stroke={`url(#${themeObj.ringGradId})`}
-          strokeWidth={stroke}
-          fill="none"
-          strokeDasharray={`${dash} ${c}`}
-          strokeLinecap="round"
-          transform={`rotate(-90 ${size / 2} ${size / 2})`}
-        />
-        <defs>
-          <linearGradient id="grad-redesigned" x1="0" x2="1" y1="0" y2="1">
-            <stop offset="0%" stopColor="#22d3ee" />
-            <stop offset="100%" stopColor="#34d399" />
-          </linearGradient>
-          <linearGradient id="grad-sunrise" x1="0" x2="1" y1="0" y2="1">
-            <stop offset="0%" stopColor="#fb923c" />
-            <stop offset="100%" stopColor="#f43f5e" />
-          </linearGradient>
-        </defs>
-      </svg>
-      <div className="absolute inset-0 grid place-items-center">{children}</div>
-    </div>
+    <button className={`${base} ${map[variant]}`} onClick={onClick}>
+      {children}
+    </button>
   );
 }
@@ -0,0 +1,54 @@
+import React from "react";
+import { NumberField, ToggleField } from "./ui.jsx";
+
+const clock = (ts) => new Date(ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+// ---- Away prompt (timer card) ------------------------------------------------------
+// Shown while a focus session is paused because nobody seemed to be around.
+export default function AwayPrompt({ themeObj, away, onChoose }) {
+  return (
+    <div role="alert" className={`mt-6 ${themeObj.statWrap}`}>
+      <p className="font-semibold">Welcome back</p>
+      <p className="mt-1 text-sm">
+        Nobody seemed to be around from {clock(away.since)}, so the pomodoro paused there. What happened?
+      </p>
+      <div className="mt-3 flex flex-wrap gap-2">
+        <button type="button" className={themeObj.headerBtn} onClick={() => onChoose("keep")}>I was working, keep it</button>
+        <button type="button" className={themeObj.headerBtn} onClick={() => onChoose("trim")}>Trim the time away</button>
+        <button type="button" className={themeObj.headerBtn} onClick={() => onChoose("discard")}>Discard this pomodoro</button>
+      </div>
+    </div>
+  );
+}
+
+// ---- Away settings -------------------------------------------------------------------
+// `detector` is the Idle Detection API permission (see usePresence.js).
+export function AwaySettings({ themeObj, away, onChange, detector, onAllowDetector }) {
+  const set = (patch) => onChange({ ...away, ...patch });
+  return (
+    <div className="space-y-3">
+      <h3 className={themeObj.fieldLabel}>When you're away</h3>
+      <ToggleField themeObj={themeObj} label="Pause focus when nobody's around" checked={away.enabled} onChange={(on) => set({ enabled: on })} />
+      {away.enabled && (
+        <>
+          <NumberField themeObj={themeObj} label="Away after" suffix="min without activity" value={away.idleMin} onChange={(v) => set({ idleMin: Math.max(1, Math.min(60, v)) })} />
+          <NumberField
+            themeObj={themeObj}
+            label="Stop auto-starting after"
+            suffix="sessions in a row with nobody around"
+            value={away.unattended}
+            onChange={(v) => set({ unattended: Math.max(1, Math.min(10, v)) })}
+          />
+          {detector === "prompt" && (
+            <button type="button" className={themeObj.headerBtn} onClick={onAllowDetector}>Use system idle detection</button>
+          )}
+          <p className={`text-xs ${themeObj.highlightText}`}>
+            {detector === "granted"
+              ? "Using system idle detection: activity in any app counts, and locking the screen counts as away."
+              : "Only activity in this tab is seen, so leaving it hidden for that long counts as away too."}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
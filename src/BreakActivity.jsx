@@ -0,0 +1,146 @@
+import React, { useState } from "react";
+import { BREAK_CATEGORIES, BREATH_PHASES, BREATH_PHASE_SEC, DEFAULT_STRETCHES, EYE_REST_SEC, breathingAt, makeStretch } from "./breaks.js";
+import { ToggleField } from "./ui.jsx";
+
+// The square grows while breathing in and shrinks while breathing out; each
+// phase eases to its end size over the phase's length.
+const PHASE_SCALE = [1, 1, 0.55, 0.55];
+
+function Breathing({ themeObj, rounds, elapsedSec, state }) {
+  return (
+    <div className="flex items-center gap-4">
+      <div className="grid size-20 shrink-0 place-items-center rounded-2xl border border-(--px-control-border)">
+        <div
+          className={`size-16 rounded-xl motion-safe:transition-transform motion-safe:ease-in-out ${themeObj.toggleOn}`}
+          style={{ transform: `scale(${elapsedSec == null ? 0.55 : PHASE_SCALE[state.phase]})`, transitionDuration: `${BREATH_PHASE_SEC}s` }}
+        />
+      </div>
+      <div>
+        {elapsedSec == null ? (
+          <p className="text-sm">In for {BREATH_PHASE_SEC}, hold for {BREATH_PHASE_SEC}, out for {BREATH_PHASE_SEC}, hold for {BREATH_PHASE_SEC}. {rounds} rounds.</p>
+        ) : state.done ? (
+          <p className="text-sm">All {rounds} rounds done. Breathe normally.</p>
+        ) : (
+          <>
+            <p className="text-lg font-semibold">{BREATH_PHASES[state.phase]} <span className="tabular-nums">{state.secLeft}</span></p>
+            <p className={`text-xs ${themeObj.highlightText}`}>Round {state.round} of {rounds}</p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function EyeRest({ elapsedSec }) {
+  const left = elapsedSec == null ? EYE_REST_SEC : Math.max(0, EYE_REST_SEC - Math.floor(elapsedSec));
+  return (
+    <p className="text-sm">
+      {left > 0 ? (
+        <>
+          Look at something about 20 feet (6 m) away
+          {elapsedSec != null && <> for <span className="tabular-nums font-semibold">{left}</span> more seconds</>}
+          {elapsedSec == null && " for 20 seconds"}. Blink slowly.
+        </>
+      ) : (
+        "Done. Your eyes thank you."
+      )}
+    </p>
+  );
+}
+
+function Stretches({ themeObj, cards, index, onNext }) {
+  const done = index >= cards.length;
+  const current = cards[Math.min(index, cards.length - 1)];
+  return (
+    <div>
+      <div className={`text-xs ${themeObj.highlightText}`}>{done ? "All done" : `${index + 1} of ${cards.length}`}</div>
+      <p className="mt-1 font-semibold">{current.title}</p>
+      <p className="text-sm">{current.text}</p>
+      {!done && (
+        <button type="button" className={`mt-2 ${themeObj.headerBtn}`} onClick={onNext}>
+          {index + 1 < cards.length ? "Next" : "Done"}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// ---- Break activity (timer card) ---------------------------------------------------
+// `elapsedSec` is null until the break is started. Remount it (via `key`) for
+// every break, so the stretch cards start from the first one.
+export default function BreakActivity({ themeObj, activity, elapsedSec, endEarly, onEnd }) {
+  const [cardIndex, setCardIndex] = useState(0);
+  const label = BREAK_CATEGORIES.find((c) => c.id === activity.category).label;
+  const breathing = activity.category === "breathing" && elapsedSec != null ? breathingAt(elapsedSec, activity.rounds) : { done: false, phase: 0 };
+  const done =
+    elapsedSec != null &&
+    (activity.category === "breathing" ? breathing.done : activity.category === "eyes" ? elapsedSec >= EYE_REST_SEC : cardIndex >= activity.cards.length);
+
+  return (
+    <div className={`mt-6 ${themeObj.statWrap}`}>
+      <div className={themeObj.statLabel}>{label}</div>
+      <div className="mt-2">
+        {activity.category === "breathing" && <Breathing themeObj={themeObj} rounds={activity.rounds} elapsedSec={elapsedSec} state={breathing} />}
+        {activity.category === "eyes" && <EyeRest elapsedSec={elapsedSec} />}
+        {activity.category === "stretch" && <Stretches themeObj={themeObj} cards={activity.cards} index={cardIndex} onNext={() => setCardIndex(cardIndex + 1)} />}
+      </div>
+      {elapsedSec == null && <p className={`mt-2 text-xs ${themeObj.highlightText}`}>Start the break to begin.</p>}
+      {done && endEarly && (
+        <button type="button" className={`mt-3 ${themeObj.headerBtn}`} onClick={onEnd}>End break now</button>
+      )}
+    </div>
+  );
+}
+
+function StretchRow({ themeObj, stretch, onChange, onRemove }) {
+  const set = (patch) => onChange({ ...stretch, ...patch });
+  return (
+    <li className="space-y-2 rounded-xl border border-(--px-control-border) p-3">
+      <div className="flex gap-2">
+        <input className={`${themeObj.inputBare} min-w-0 flex-1`} placeholder="Title" aria-label="Title" value={stretch.title} onChange={(e) => set({ title: e.target.value })} />
+        <select className={themeObj.inputBare} aria-label="Break" value={stretch.breaks} onChange={(e) => set({ breaks: e.target.value })}>
+          <option value="short">Short break</option>
+          <option value="long">Long break</option>
+        </select>
+        <button type="button" className="px-1.5 text-sm opacity-70 hover:opacity-100" aria-label={`Remove ${stretch.title || "card"}`} onClick={onRemove}>✕</button>
+      </div>
+      <textarea className={`${themeObj.inputBare} w-full text-sm`} rows={2} placeholder="What to do" aria-label="What to do" value={stretch.text} onChange={(e) => set({ text: e.target.value })} />
+    </li>
+  );
+}
+
+// ---- Break settings ------------------------------------------------------------------
+export function BreakSettings({ themeObj, breaks, onChange }) {
+  const set = (patch) => onChange({ ...breaks, ...patch });
+  const setStretches = (stretches) => set({ stretches });
+
+  return (
+    <div className="space-y-3">
+      <h3 className={themeObj.fieldLabel}>Break activities</h3>
+      {BREAK_CATEGORIES.map((c) => (
+        <ToggleField key={c.id} themeObj={themeObj} label={c.label} checked={breaks[c.id]} onChange={(on) => set({ [c.id]: on })} />
+      ))}
+      <ToggleField themeObj={themeObj} label="Allow ending a break early once its activity is done" checked={breaks.endEarly} onChange={(on) => set({ endEarly: on })} />
+      {breaks.stretch && (
+        <details>
+          <summary className={`cursor-pointer text-sm ${themeObj.highlightText}`}>Stretch & movement cards ({breaks.stretches.length})</summary>
+          <ul className="mt-2 space-y-2">
+            {breaks.stretches.map((s) => (
+              <StretchRow
+                key={s.id}
+                themeObj={themeObj}
+                stretch={s}
+                onChange={(next) => setStretches(breaks.stretches.map((x) => (x.id === s.id ? next : x)))}
+                onRemove={() => setStretches(breaks.stretches.filter((x) => x.id !== s.id))}
+              />
+            ))}
+          </ul>
+          <div className="mt-2 flex flex-wrap gap-2">
+            <button type="button" className={themeObj.headerBtn} onClick={() => setStretches([...breaks.stretches, makeStretch("short")])}>Add card</button>
+            <button type="button" className={themeObj.headerBtn} onClick={() => setStretches(DEFAULT_STRETCHES)}>Restore default cards</button>
+          </div>
+        </details>
+      )}
+    </div>
+  );
+}
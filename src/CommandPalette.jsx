@@ -0,0 +1,62 @@
+import React, { useState } from "react";
+import { Modal } from "./ui.jsx";
+
+// ---- Command palette ------------------------------------------------------------------
+// `commands` are { id, group, label, run }. `dynamic(query)` adds commands
+// built from what was typed, such as a one-off "focus 40".
+export default function CommandPalette({ themeObj, commands, dynamic, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = [
+    ...dynamic(query),
+    ...commands.filter((c) => words.every((w) => `${c.group} ${c.label}`.toLowerCase().includes(w))),
+  ];
+  const selected = Math.min(active, matches.length - 1);
+
+  function run(command) {
+    onClose();
+    command.run();
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown") { e.preventDefault(); setActive((selected + 1) % matches.length); }
+    else if (e.key === "ArrowUp") { e.preventDefault(); setActive((selected - 1 + matches.length) % matches.length); }
+    else if (e.key === "Enter" && matches[selected]) { e.preventDefault(); run(matches[selected]); }
+  }
+
+  return (
+    <Modal themeObj={themeObj} title="Command palette" onClose={onClose}>
+      <input
+        autoFocus
+        className={`${themeObj.inputBare} w-full`}
+        placeholder='Type a command, or e.g. "focus 40"'
+        value={query}
+        onChange={(e) => { setQuery(e.target.value); setActive(0); }}
+        onKeyDown={onKeyDown}
+        role="combobox"
+        aria-expanded="true"
+        aria-controls="pomox-commands"
+        aria-activedescendant={matches[selected] ? `cmd-${matches[selected].id}` : undefined}
+      />
+      <ul id="pomox-commands" role="listbox" className="mt-3 space-y-1">
+        {matches.map((c, i) => (
+          <li
+            key={c.id}
+            id={`cmd-${c.id}`}
+            role="option"
+            aria-selected={i === selected}
+            className={`flex items-center justify-between gap-3 px-3 py-2 rounded-lg cursor-pointer text-sm ${i === selected ? themeObj.tabActive : themeObj.tabIdle}`}
+            onMouseEnter={() => setActive(i)}
+            onClick={() => run(c)}
+          >
+            <span className="truncate">{c.label}</span>
+            <span className="shrink-0 text-xs opacity-70">{c.group}</span>
+          </li>
+        ))}
+        {!matches.length && <li className={`px-3 py-2 text-sm ${themeObj.highlightText}`}>No matching commands.</li>}
+      </ul>
+    </Modal>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useRef, useState } from "react";
+import { applyBackup, buildBackup, downloadFile, historyToCSV, historyToICS, parseBackup } from "./backup.js";
+import { dayKey } from "./history.js";
+
+const stamp = () => dayKey(Date.now());
+
+// ---- Import / export ------------------------------------------------------------
+export default function DataActions({ themeObj, snapshot, onRestore }) {
+  const fileRef = useRef(null);
+  const [strategy, setStrategy] = useState("merge");
+  const [status, setStatus] = useState(null); // { ok, text }
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const incoming = parseBackup(await file.text());
+      const next = applyBackup(snapshot, incoming, strategy);
+      const added = next.history.length - (strategy === "merge" ? snapshot.history.length : 0);
+      onRestore(next);
+      setStatus({ ok: true, text: strategy === "merge" ? `Merged ${added} new sessions.` : `Restored ${added} sessions and settings.` });
+    } catch (err) {
+      setStatus({ ok: false, text: err.name === "BackupError" ? err.message : `Couldn't read ${file.name}.` });
+    }
+  }
+
+  return (
+    <div className="mt-6">
+      <h3 className={themeObj.fieldLabel}>Backup & export</h3>
+      <div className="grid grid-cols-3 gap-2">
+        <button
+          className={themeObj.headerBtn}
+          onClick={() => downloadFile(`pomox-backup-${stamp()}.json`, "application/json", JSON.stringify(buildBackup(snapshot), null, 2))}
+        >
+          JSON
+        </button>
+        <button className={themeObj.headerBtn} onClick={() => downloadFile(`pomox-daily-${stamp()}.csv`, "text/csv", historyToCSV(snapshot.history, snapshot.settings.dayStartHour))}>
+          CSV
+        </button>
+        <button className={themeObj.headerBtn} onClick={() => downloadFile(`pomox-sessions-${stamp()}.ics`, "text/calendar", historyToICS(snapshot.history, snapshot.tasks))}>
+          Calendar
+        </button>
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-3">
+        <button className={themeObj.headerBtn} onClick={() => fileRef.current?.click()}>
+          Import backup…
+        </button>
+        {["merge", "replace"].map((s) => (
+          <label key={s} className={`flex items-center gap-1 text-sm ${themeObj.highlightText}`}>
+            <input type="radio" name="import-strategy" value={s} checked={strategy === s} onChange={() => setStrategy(s)} />
+            {s === "merge" ? "Merge" : "Replace"}
+          </label>
+        ))}
+        <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={onFile} />
+      </div>
+
+      {status && (
+        <p role="status" className={`mt-2 text-sm ${status.ok ? themeObj.highlightText : "text-rose-500"}`}>
+          {status.text}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import React from "react";
+import { NumberField, ToggleField } from "./ui.jsx";
+
+// Fixed break lengths, or the break as a share of the focus time actually spent.
+const BREAK_RATIOS = [
+  { value: 0, label: "Fixed length" },
+  { value: 5, label: "1/5 of the focus time" },
+  { value: 4, label: "1/4 of the focus time" },
+  { value: 3, label: "1/3 of the focus time" },
+];
+
+// ---- Flow settings -----------------------------------------------------------------
+// Flow mode lets a focus session run past 00:00 until you take the break;
+// co-working rooms always stop at 00:00.
+export default function FlowSettings({ themeObj, flow, onChange }) {
+  const set = (patch) => onChange({ ...flow, ...patch });
+  return (
+    <div className="space-y-3">
+      <h3 className={themeObj.fieldLabel}>Flow mode</h3>
+      <ToggleField themeObj={themeObj} label="Keep counting past 00:00 until I take the break" checked={flow.enabled} onChange={(on) => set({ enabled: on })} />
+      {flow.enabled && (
+        <>
+          <NumberField
+            themeObj={themeObj}
+            label="Remind me every"
+            min={0}
+            suffix="min of overtime (0 = never)"
+            value={flow.reminderMin}
+            onChange={(v) => set({ reminderMin: Math.max(0, Math.min(60, v)) })}
+          />
+          <label className="flex items-center justify-between gap-3">
+            <span className={`text-sm ${themeObj.highlightText}`}>Break length</span>
+            <select className={themeObj.inputBare} value={flow.breakRatio} onChange={(e) => set({ breakRatio: Number(e.target.value) })}>
+              {BREAK_RATIOS.map((r) => <option key={r.value} value={r.value}>{r.label}</option>)}
+            </select>
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import React, { useState } from "react";
+import { GOAL_METRICS } from "./stats.js";
+import { NumberField } from "./ui.jsx";
+
+const unitOf = (metric) => GOAL_METRICS.find((m) => m.id === metric)?.unit || "";
+
+function Bar({ themeObj, label, value, target }) {
+  const pct = Math.min(1, value / target);
+  return (
+    <div>
+      <div className={`flex justify-between text-xs ${themeObj.highlightText}`}>
+        <span>{label}</span>
+        <span className="tabular-nums">{value} / {target} {pct >= 1 && "✓"}</span>
+      </div>
+      <div
+        className={`mt-1 h-1.5 rounded-full ${themeObj.toggleOff}`}
+        role="progressbar"
+        aria-label={label}
+        aria-valuemin={0}
+        aria-valuemax={target}
+        aria-valuenow={value}
+      >
+        <div className={`h-full rounded-full motion-safe:transition-all ${themeObj.toggleOn}`} style={{ width: `${pct * 100}%` }} />
+      </div>
+    </div>
+  );
+}
+
+// ---- Goal progress (timer card) ---------------------------------------------------
+export default function GoalProgress({ themeObj, metric, daily, weekly, today, week, streak, isDayOff, onToggleDayOff, celebration }) {
+  if (!daily && !weekly) return null;
+  const unit = unitOf(metric);
+  return (
+    <div className="mt-4 space-y-2">
+      {celebration && (
+        <div role="status" className={`rounded-xl px-3 py-2 text-sm font-medium ${themeObj.tabActive}`}>🎉 {celebration}</div>
+      )}
+      {daily > 0 && <Bar themeObj={themeObj} label={`Today · ${unit}`} value={today} target={daily} />}
+      {weekly > 0 && <Bar themeObj={themeObj} label={`This week · ${unit}`} value={week} target={weekly} />}
+      <div className={`flex items-center justify-between text-xs ${themeObj.highlightText}`}>
+        <span>
+          {daily > 0 && <>🔥 {streak.current}-day goal streak · best {streak.longest}</>}
+        </span>
+        <button className="underline underline-offset-2 opacity-80 hover:opacity-100" onClick={onToggleDayOff}>
+          {isDayOff ? "Day off — undo" : "Take today off"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ---- Goal settings --------------------------------------------------------------------
+export function GoalSettings({ themeObj, settings, onChange, daysOff, onDaysOffChange, today }) {
+  const [date, setDate] = useState("");
+  const upcoming = daysOff.filter((d) => d >= today).sort();
+
+  return (
+    <div className="space-y-3">
+      <label className="block">
+        <div className={themeObj.fieldLabel}>Goal measured in</div>
+        <select className={`${themeObj.inputBare} w-full`} value={settings.goalMetric} onChange={(e) => onChange({ goalMetric: e.target.value })}>
+          {GOAL_METRICS.map((m) => (
+            <option key={m.id} value={m.id}>{m.label}</option>
+          ))}
+        </select>
+      </label>
+      <NumberField themeObj={themeObj} label="Daily goal" min={0} suffix={`${unitOf(settings.goalMetric)} (0 = off)`} value={settings.dailyGoal} onChange={(v) => onChange({ dailyGoal: Math.max(0, v) })} />
+      <NumberField themeObj={themeObj} label="Weekly goal" min={0} suffix={`${unitOf(settings.goalMetric)} (0 = off)`} value={settings.weeklyGoal} onChange={(v) => onChange({ weeklyGoal: Math.max(0, v) })} />
+
+      <label className="block">
+        <div className={themeObj.fieldLabel}>New day starts at</div>
+        <select className={`${themeObj.inputBare} w-full`} value={settings.dayStartHour} onChange={(e) => onChange({ dayStartHour: Number(e.target.value) })}>
+          {Array.from({ length: 12 }, (_, h) => (
+            <option key={h} value={h}>{h === 0 ? "Midnight" : `${h}:00 am`}</option>
+          ))}
+        </select>
+      </label>
+
+      <div>
+        <div className={themeObj.fieldLabel}>Days off</div>
+        <div className="flex gap-2">
+          <input type="date" className={`${themeObj.inputBare} flex-1 min-w-0`} value={date} min={today} onChange={(e) => setDate(e.target.value)} aria-label="Day off" />
+          <button
+            className={themeObj.headerBtn}
+            disabled={!date || daysOff.includes(date)}
+            onClick={() => { onDaysOffChange([...daysOff, date]); setDate(""); }}
+          >
+            Add
+          </button>
+        </div>
+        {upcoming.length > 0 && (
+          <ul className="mt-2 flex flex-wrap gap-2">
+            {upcoming.map((d) => (
+              <li key={d} className={`flex items-center gap-1 rounded-full border border-(--px-control-border) pl-2.5 text-xs ${themeObj.highlightText}`}>
+                {d}
+                <button className="px-1.5 opacity-70 hover:opacity-100" onClick={() => onDaysOffChange(daysOff.filter((x) => x !== d))} aria-label={`Remove day off ${d}`}>
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
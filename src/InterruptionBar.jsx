@@ -0,0 +1,52 @@
+import React, { useState } from "react";
+
+// ---- Interruptions ----------------------------------------------------------------
+// Shown during a started focus session. Logging an interruption doesn't stop
+// the clock, as the technique prescribes; "Void" abandons the pomodoro, and is
+// left out (no `onVoid`) in a room, whose session isn't one person's to drop.
+// `noteFor` is the interruption just logged, which may still get a note.
+export default function InterruptionBar({ themeObj, active, interruptions, noteFor, onInterrupt, onNote, onDismissNote, onVoid }) {
+  const [note, setNote] = useState("");
+  const count = (kind) => interruptions.filter((i) => i.kind === kind).length;
+  const small = `${themeObj.btnGhost} px-2.5 py-1.5 rounded-lg text-xs`;
+
+  function save() {
+    if (note.trim()) onNote(noteFor.at, note.trim());
+    setNote("");
+    onDismissNote();
+  }
+
+  return (
+    <div className="space-y-2">
+      {active && (
+        <div className="flex flex-wrap items-center gap-2">
+          <button className={small} onClick={() => onInterrupt("internal")} title="You distracted yourself">
+            ＋ Internal · {count("internal")}
+          </button>
+          <button className={small} onClick={() => onInterrupt("external")} title="Someone or something else interrupted you">
+            ＋ External · {count("external")}
+          </button>
+          {onVoid && (
+            <button className={small} onClick={onVoid} title="Abandon this pomodoro; it won't count">
+              Void
+            </button>
+          )}
+        </div>
+      )}
+      {noteFor && (
+        <form className="flex gap-2" onSubmit={(e) => { e.preventDefault(); save(); }}>
+          <input
+            autoFocus
+            className={`${themeObj.inputBare} flex-1 min-w-0 text-sm`}
+            placeholder={`${noteFor.kind === "internal" ? "Internal" : "External"} interruption — note (optional)`}
+            aria-label="Interruption note"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Escape") { setNote(""); onDismissNote(); } }}
+          />
+          <button type="submit" className={small}>{note.trim() ? "Save" : "Skip"}</button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import React from "react";
+import { ProgressRing } from "./ui.jsx";
+
+// ---- Mini timer ------------------------------------------------------------------------
+// The compact view for a Picture-in-Picture window, a popup or the page itself.
+// `style` carries the theme's colours, since a PiP window isn't inside the app's root.
+export default function MiniTimer({ themeObj, style, progress, overtime, time, label, isRunning, onStartPause, onSkip, onExpand }) {
+  const small = "flex-1 px-3 py-1.5 rounded-xl text-sm font-semibold border motion-safe:transition";
+  return (
+    <div className={`${themeObj.bg} flex flex-col items-center justify-center gap-3 p-3`} style={style}>
+      <ProgressRing size={150} stroke={10} progress={progress} overtime={overtime} themeObj={themeObj}>
+        <div className="text-center">
+          <div className={`text-3xl font-semibold tabular-nums tracking-tight ${themeObj.digits}`}>{time}</div>
+          <div className={`text-xs ${themeObj.highlightText}`}>{label}</div>
+        </div>
+      </ProgressRing>
+      <div className="flex w-full max-w-[15rem] gap-2">
+        <button className={`${small} ${isRunning ? themeObj.btnSecondary : themeObj.btnPrimary}`} onClick={onStartPause}>
+          {isRunning ? "Pause" : "Start"}
+        </button>
+        <button className={`${small} ${themeObj.btnGhost}`} onClick={onSkip}>{overtime ? "Take break" : "Skip"}</button>
+        <button className={`px-2.5 rounded-xl text-sm border ${themeObj.btnGhost}`} onClick={onExpand} title="Back to the full timer" aria-label="Back to the full timer">
+          ⤢
+        </button>
+      </div>
+    </div>
+  );
+}
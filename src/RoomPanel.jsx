@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+
+const STATUS_TEXT = {
+  connecting: "Connecting…",
+  reconnecting: "Connection lost, reconnecting…",
+  open: "Connected",
+  idle: "Not connected",
+};
+
+function Participant({ themeObj, person, you, host }) {
+  const state = !person.connected ? "offline" : person.away ? "away" : person.task ? `on “${person.task}”` : "here";
+  return (
+    <li className="flex items-baseline justify-between gap-3">
+      <span className={`truncate ${person.connected ? "" : "opacity-60"}`}>
+        {person.name || "Someone"}
+        {you && <span className={`ml-1 text-xs ${themeObj.highlightText}`}>(you)</span>}
+        {host && <span className={`ml-1 text-xs ${themeObj.highlightText}`}>· host</span>}
+      </span>
+      <span className={`shrink-0 truncate text-xs ${themeObj.highlightText}`}>{state}</span>
+    </li>
+  );
+}
+
+// ---- Room panel --------------------------------------------------------------------
+// Create or join a co-working room; see useRoom.js and server/README.md.
+// `settings` are the timer lengths a new room starts with.
+export default function RoomPanel({ themeObj, roomApi, settings }) {
+  const { room, live, status, error, inRoom, configure, create, join, leave, setControl } = roomApi;
+  const [code, setCode] = useState("");
+  const isHost = live?.hostId === room.clientId;
+  const pending = !inRoom && status !== "idle";
+
+  function submitJoin(e) {
+    e.preventDefault();
+    if (code.trim()) join(code);
+  }
+
+  return (
+    <div className={themeObj.cardB}>
+      <div className="flex items-baseline justify-between">
+        <h2 className={themeObj.h2}>Room</h2>
+        {inRoom && <span className={`text-xs ${themeObj.highlightText}`}>{STATUS_TEXT[status]}</span>}
+      </div>
+
+      {inRoom ? (
+        <div className="mt-4 space-y-4">
+          <p className={`text-sm ${themeObj.highlightText}`}>
+            Share the code <strong className="font-mono text-base tracking-widest text-(--px-strong)">{room.code}</strong> to work together on one timer.
+          </p>
+          {live && (
+            <>
+              <label className="flex items-center justify-between gap-3">
+                <span className={`text-sm ${themeObj.highlightText}`}>Who controls the timer</span>
+                <select className={themeObj.inputBare} value={live.control} disabled={!isHost} onChange={(e) => setControl(e.target.value)}>
+                  <option value="host">The host</option>
+                  <option value="everyone">Everyone</option>
+                </select>
+              </label>
+              <ul className="space-y-1 text-sm" aria-label="People in this room">
+                {live.participants.map((p) => (
+                  <Participant key={p.id} themeObj={themeObj} person={p} you={p.id === room.clientId} host={p.id === live.hostId} />
+                ))}
+              </ul>
+            </>
+          )}
+          <button type="button" className={themeObj.headerBtn} onClick={leave}>Leave room</button>
+        </div>
+      ) : (
+        <div className="mt-4 space-y-3">
+          <label className="block">
+            <div className={themeObj.fieldLabel}>Your name</div>
+            <input className={`${themeObj.inputBare} w-full`} placeholder="Shown to the others" value={room.name} onChange={(e) => configure({ name: e.target.value })} />
+          </label>
+          <label className="block">
+            <div className={themeObj.fieldLabel}>Room server</div>
+            <input className={`${themeObj.inputBare} w-full`} placeholder="ws://localhost:8788" value={room.server} disabled={pending} onChange={(e) => configure({ server: e.target.value.trim() })} />
+          </label>
+          <div className="flex flex-wrap gap-2">
+            <button type="button" className={themeObj.headerBtn} disabled={pending || !room.server} onClick={() => create(settings)}>Create room</button>
+            <form onSubmit={submitJoin} className="flex flex-1 gap-2">
+              <input
+                className={`${themeObj.inputBare} min-w-0 flex-1 font-mono uppercase`}
+                placeholder="Code"
+                aria-label="Room code"
+                maxLength={6}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+              <button type="submit" className={themeObj.headerBtn} disabled={pending || !room.server || !code.trim()}>Join</button>
+            </form>
+          </div>
+          {pending && (
+            <p className={`text-sm ${themeObj.highlightText}`}>
+              {STATUS_TEXT[status]} <button type="button" className="underline" onClick={leave}>Cancel</button>
+            </p>
+          )}
+        </div>
+      )}
+      {error && <p role="alert" className="mt-3 text-sm text-rose-500">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React from "react";
+import { STEP_MAX, STEP_MIN, STEP_TYPES } from "./sequences.js";
+
+const typeLabel = (id) => STEP_TYPES.find((t) => t.id === id)?.label || id;
+
+// ---- Sequence editor ------------------------------------------------------------
+// Built-in presets are read-only; "Duplicate & edit" turns any of them into a
+// custom preset whose steps can be changed freely.
+export default function SequenceEditor({ themeObj, preset, onChange, onDuplicate, onDelete }) {
+  const editable = !preset.builtin;
+
+  function setStep(i, patch) {
+    onChange({ ...preset, steps: preset.steps.map((s, j) => (j === i ? { ...s, ...patch } : s)) });
+  }
+
+  function moveStep(i, delta) {
+    const j = i + delta;
+    if (j < 0 || j >= preset.steps.length) return;
+    const steps = [...preset.steps];
+    [steps[i], steps[j]] = [steps[j], steps[i]];
+    onChange({ ...preset, steps });
+  }
+
+  const iconBtn = "px-1.5 rounded-md text-sm opacity-70 hover:opacity-100 disabled:opacity-30";
+
+  return (
+    <div className="space-y-3">
+      {editable && (
+        <label className="block">
+          <div className={themeObj.fieldLabel}>Name</div>
+          <input className={`${themeObj.inputBare} w-full`} value={preset.name} onChange={(e) => onChange({ ...preset, name: e.target.value })} />
+        </label>
+      )}
+
+      {preset.id !== "classic" && (
+        <ol className="space-y-2">
+          {preset.steps.map((s, i) =>
+            editable ? (
+              <li key={i} className="flex items-center gap-2">
+                <span className={`w-5 text-xs tabular-nums ${themeObj.highlightText}`}>{i + 1}.</span>
+                <select className={`${themeObj.inputBare} w-32`} value={s.type} onChange={(e) => setStep(i, { type: e.target.value })} aria-label="Step type">
+                  {STEP_TYPES.map((t) => (
+                    <option key={t.id} value={t.id}>{t.label}</option>
+                  ))}
+                </select>
+                <input
+                  className={`${themeObj.inputBare} w-20`}
+                  type="number"
+                  min={STEP_MIN}
+                  max={STEP_MAX}
+                  aria-label="Minutes"
+                  value={s.min}
+                  onChange={(e) => {
+                    const n = parseInt(e.target.value, 10);
+                    if (Number.isFinite(n)) setStep(i, { min: Math.max(STEP_MIN, Math.min(STEP_MAX, n)) });
+                  }}
+                />
+                <input className={`${themeObj.inputBare} flex-1 min-w-0`} placeholder="Label" value={s.label} onChange={(e) => setStep(i, { label: e.target.value })} />
+                <button className={iconBtn} disabled={i === 0} onClick={() => moveStep(i, -1)} aria-label="Move step up">↑</button>
+                <button className={iconBtn} disabled={i === preset.steps.length - 1} onClick={() => moveStep(i, 1)} aria-label="Move step down">↓</button>
+                <button
+                  className={iconBtn}
+                  disabled={preset.steps.length === 1}
+                  onClick={() => onChange({ ...preset, steps: preset.steps.filter((_, j) => j !== i) })}
+                  aria-label="Remove step"
+                >
+                  ✕
+                </button>
+              </li>
+            ) : (
+              <li key={i} className={`text-sm ${themeObj.highlightText}`}>
+                {i + 1}. {s.label || typeLabel(s.type)} · {s.min} min
+              </li>
+            )
+          )}
+        </ol>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        {editable && (
+          <button className={themeObj.headerBtn} onClick={() => onChange({ ...preset, steps: [...preset.steps, { type: "focus", min: 25, label: "" }] })}>
+            + Add step
+          </button>
+        )}
+        <button className={themeObj.headerBtn} onClick={onDuplicate}>Duplicate &amp; edit</button>
+        {editable && (
+          <button className={themeObj.headerBtn} onClick={onDelete}>Delete preset</button>
+        )}
+      </div>
+    </div>
+  );
+}
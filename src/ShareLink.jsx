@@ -0,0 +1,58 @@
+import React, { useState } from "react";
+import { shareLink } from "./links.js";
+import { Modal } from "./ui.jsx";
+
+// ---- Apply a shared link ---------------------------------------------------------------
+// Asked only when a link would change settings the user has customised.
+export function LinkPrompt({ themeObj, changes, onApply, onKeep }) {
+  return (
+    <Modal themeObj={themeObj} title="Apply these settings?" onClose={onKeep}>
+      <h2 className={themeObj.h2}>Apply these settings?</h2>
+      <p className={`mt-2 text-sm ${themeObj.highlightText}`}>The link you opened would change your saved settings:</p>
+      <dl className="mt-4 grid grid-cols-[1fr_auto] gap-x-6 gap-y-2 text-sm">
+        {changes.map((c) => (
+          <React.Fragment key={c.key}>
+            <dt className={themeObj.highlightText}>{c.label}</dt>
+            <dd className="tabular-nums">{c.from} → {c.to}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      <div className="mt-5 grid grid-cols-2 gap-3">
+        <button className={`px-4 py-2 rounded-xl font-semibold border ${themeObj.btnPrimary}`} onClick={onApply}>Apply</button>
+        <button className={`px-4 py-2 rounded-xl border ${themeObj.btnGhost}`} onClick={onKeep}>Keep mine</button>
+      </div>
+    </Modal>
+  );
+}
+
+// ---- Share link --------------------------------------------------------------------------
+export default function ShareLink({ themeObj, settings }) {
+  const [link, setLink] = useState("");
+  const [status, setStatus] = useState(null);
+
+  async function copy(start) {
+    const url = shareLink(settings, { start });
+    try {
+      await navigator.clipboard.writeText(url);
+      setLink("");
+      setStatus(start ? "Link copied — it opens straight into a focus session." : "Link copied — it opens Pomox with these timer settings.");
+    } catch {
+      setLink(url);
+      setStatus("Copy the link from the box below.");
+    }
+  }
+
+  return (
+    <div className="mt-6 space-y-2">
+      <h3 className={themeObj.fieldLabel}>Share these settings</h3>
+      <div className="grid grid-cols-2 gap-3">
+        <button className={themeObj.headerBtn} onClick={() => copy(null)}>Copy share link</button>
+        <button className={themeObj.headerBtn} onClick={() => copy("focus")}>Copy start link</button>
+      </div>
+      {link && (
+        <input readOnly className={`${themeObj.inputBare} w-full`} value={link} aria-label="Share link" onFocus={(e) => e.target.select()} />
+      )}
+      {status && <p role="status" className={`text-sm ${themeObj.highlightText}`}>{status}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import React, { useEffect, useState } from "react";
+import { DEFAULT_SHORTCUTS, SHORTCUT_ACTIONS, comboFromEvent, formatCombo, shortcutConflict } from "./shortcuts.js";
+import { Modal } from "./ui.jsx";
+
+// ---- Shortcut overlay (`?`) ---------------------------------------------------------
+export function ShortcutHelp({ themeObj, bindings, onClose }) {
+  return (
+    <Modal themeObj={themeObj} title="Keyboard shortcuts" onClose={onClose}>
+      <h2 className={themeObj.h2}>Keyboard shortcuts</h2>
+      <dl className="mt-4 grid grid-cols-[1fr_auto] gap-x-6 gap-y-2 text-sm">
+        {SHORTCUT_ACTIONS.map((a) => (
+          <React.Fragment key={a.id}>
+            <dt className={themeObj.highlightText}>{a.label}</dt>
+            <dd><kbd className={themeObj.kbd}>{formatCombo(bindings[a.id])}</kbd></dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      <p className={`mt-4 text-xs ${themeObj.highlightText}`}>Change these under Settings → Keyboard shortcuts. Esc closes this.</p>
+    </Modal>
+  );
+}
+
+// ---- Shortcut settings ---------------------------------------------------------------
+// Clicking a binding starts recording; the next key combo replaces it unless it
+// clashes with another action or with the browser.
+export default function ShortcutSettings({ themeObj, bindings, onChange }) {
+  const [recording, setRecording] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!recording) return;
+    let swallowKeyup = false;
+    // Capture phase, so the app's own shortcut handler never sees these keys.
+    const onKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === "Escape") { setRecording(null); return; }
+      const combo = comboFromEvent(e);
+      if (!combo) return;
+      const conflict = shortcutConflict(bindings, recording, combo);
+      setError(conflict);
+      if (!conflict) onChange({ ...bindings, [recording]: combo });
+      swallowKeyup = true;
+      setRecording(null);
+    };
+    // Otherwise releasing Space or Enter "clicks" the focused button and
+    // starts recording again.
+    const onKeyUp = (e) => {
+      if (!swallowKeyup) return;
+      e.preventDefault();
+      e.stopPropagation();
+    };
+    window.addEventListener("keydown", onKeyDown, true);
+    window.addEventListener("keyup", onKeyUp, true);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown, true);
+      // Let the keyup that ends this recording pass through the listener first.
+      setTimeout(() => window.removeEventListener("keyup", onKeyUp, true), 500);
+    };
+  }, [recording, bindings, onChange]);
+
+  return (
+    <details>
+      <summary className={`${themeObj.fieldLabel} cursor-pointer select-none`}>Keyboard shortcuts</summary>
+      <ul className="mt-2 space-y-2">
+        {SHORTCUT_ACTIONS.map((a) => (
+          <li key={a.id} className="flex items-center justify-between gap-2 text-sm">
+            <span className={themeObj.highlightText}>{a.label}</span>
+            <span className="flex items-center gap-1">
+              <button
+                className={`${themeObj.headerBtn} min-w-[6rem]`}
+                onClick={() => { setError(null); setRecording(recording === a.id ? null : a.id); }}
+                aria-label={`Change shortcut for ${a.label}`}
+              >
+                {recording === a.id ? "Press keys…" : formatCombo(bindings[a.id])}
+              </button>
+              <button
+                className="px-1.5 rounded-md text-sm opacity-70 hover:opacity-100 disabled:opacity-30"
+                disabled={!bindings[a.id]}
+                onClick={() => onChange({ ...bindings, [a.id]: null })}
+                aria-label={`Remove shortcut for ${a.label}`}
+              >
+                ✕
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+      {error && <p role="alert" className="mt-2 text-sm text-rose-500">{error}</p>}
+      <button className={`${themeObj.headerBtn} mt-3`} onClick={() => { setError(null); onChange(DEFAULT_SHORTCUTS); }}>
+        Restore defaults
+      </button>
+    </details>
+  );
+}
@@ -0,0 +1,99 @@
+import React, { useRef, useState } from "react";
+import { AMBIENTS, CUSTOM_SOUND, SOUNDS, deleteCustomSound, saveCustomSound } from "./sound.js";
+import { ToggleField } from "./ui.jsx";
+
+// ---- Sound settings ---------------------------------------------------------------
+export default function SoundSettings({ themeObj, settings, onChange, onPreview, onCustomChanged }) {
+  const fileRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  const options = [...SOUNDS, ...(settings.customSoundName ? [{ id: CUSTOM_SOUND, label: `My sound (${settings.customSoundName})` }] : [])];
+
+  async function upload(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const name = await saveCustomSound(file);
+      setError(null);
+      onCustomChanged();
+      onChange({ customSoundName: name, focusEndSound: CUSTOM_SOUND });
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function removeCustom() {
+    await deleteCustomSound().catch(() => {});
+    onCustomChanged();
+    onChange({
+      customSoundName: null,
+      focusEndSound: settings.focusEndSound === CUSTOM_SOUND ? "chime" : settings.focusEndSound,
+      breakEndSound: settings.breakEndSound === CUSTOM_SOUND ? "bell" : settings.breakEndSound,
+    });
+  }
+
+  const select = `${themeObj.inputBare} flex-1 min-w-0`;
+
+  return (
+    <div className="space-y-4">
+      <ToggleField themeObj={themeObj} label="Play sound on end" checked={settings.sound} onChange={(c) => onChange({ sound: c })} />
+
+      {[["focusEndSound", "Focus ends"], ["breakEndSound", "Break ends"]].map(([key, label]) => (
+        <label key={key} className="block">
+          <div className={themeObj.fieldLabel}>{label}</div>
+          <div className="flex items-center gap-2">
+            <select className={select} value={settings[key]} onChange={(e) => onChange({ [key]: e.target.value })}>
+              {options.map((o) => (
+                <option key={o.id} value={o.id}>{o.label}</option>
+              ))}
+            </select>
+            <button type="button" className={themeObj.headerBtn} onClick={() => onPreview(settings[key])} aria-label={`Preview ${label.toLowerCase()} sound`}>
+              ▶
+            </button>
+          </div>
+        </label>
+      ))}
+
+      <label className="block">
+        <div className={themeObj.fieldLabel}>Volume · {Math.round(settings.volume * 100)}%</div>
+        <input className="w-full" type="range" min={0} max={1} step={0.05} value={settings.volume} onChange={(e) => onChange({ volume: Number(e.target.value) })} />
+      </label>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button type="button" className={themeObj.headerBtn} onClick={() => fileRef.current?.click()}>
+          {settings.customSoundName ? "Replace my sound…" : "Upload a sound…"}
+        </button>
+        {settings.customSoundName && (
+          <button type="button" className={themeObj.headerBtn} onClick={removeCustom}>Remove</button>
+        )}
+        <input ref={fileRef} type="file" accept="audio/*" className="hidden" onChange={upload} />
+      </div>
+      {error && <p role="alert" className="text-sm text-rose-500">{error}</p>}
+
+      <ToggleField themeObj={themeObj} label="Ticking while running" checked={settings.tick} onChange={(c) => onChange({ tick: c })} />
+
+      <label className="block">
+        <div className={themeObj.fieldLabel}>Ambient sound during focus</div>
+        <div className="flex items-center gap-2">
+          <select className={select} value={settings.ambient} onChange={(e) => onChange({ ambient: e.target.value })}>
+            {AMBIENTS.map((a) => (
+              <option key={a.id} value={a.id}>{a.label}</option>
+            ))}
+          </select>
+          <input
+            className="w-24"
+            type="range"
+            min={0}
+            max={1}
+            step={0.05}
+            value={settings.ambientVolume}
+            disabled={settings.ambient === "off"}
+            onChange={(e) => onChange({ ambientVolume: Number(e.target.value) })}
+            aria-label="Ambient volume"
+          />
+        </div>
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import React, { useMemo, useState } from "react";
+import { summarizeDays } from "./history.js";
+import { RANGES, averages, bestDay, computeStreaks, heatmapWeeks, rangeSeries } from "./stats.js";
+import { Stat } from "./ui.jsx";
+
+function formatDuration(sec) {
+  const h = Math.floor(sec / 3600);
+  const m = Math.round((sec % 3600) / 60);
+  return h ? `${h}h ${m}m` : `${m}m`;
+}
+
+function formatDay(key) {
+  return new Date(`${key}T00:00:00Z`).toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+// ---- Stats view ---------------------------------------------------------------
+export default function StatsView({ themeObj, history, dayStartHour }) {
+  const [range, setRange] = useState("week");
+
+  const days = useMemo(() => summarizeDays(history, dayStartHour), [history, dayStartHour]);
+  const series = useMemo(() => rangeSeries(history, days, range, Date.now(), dayStartHour), [history, days, range, dayStartHour]);
+  const streaks = useMemo(() => computeStreaks(days, Date.now(), dayStartHour), [days, dayStartHour]);
+  const best = useMemo(() => bestDay(days), [days]);
+  const weeks = useMemo(() => heatmapWeeks(days, 26, Date.now(), dayStartHour), [days, dayStartHour]);
+
+  const avg = averages(range === "day" ? [] : series);
+  const rangeFocus = series.reduce((n, b) => n + b.focusSec, 0);
+  const rangeSessions = series.reduce((n, b) => n + b.sessions, 0);
+  const rangeInterruptions = series.reduce((n, b) => n + b.interruptions, 0);
+  const rangeOvertime = series.reduce((n, b) => n + b.overtimeSec, 0);
+
+  return (
+    <div className="grid gap-4 md:gap-6 mt-6">
+      <div className={themeObj.cardA}>
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+          <h2 className="text-lg font-semibold">Statistics</h2>
+          <div className={`${themeObj.tabsWrap} md:w-72`}>
+            {RANGES.map((r) => (
+              <button
+                key={r.id}
+                onClick={() => setRange(r.id)}
+                className={"flex-1 px-3 py-1.5 rounded-lg text-sm motion-safe:transition text-center " + (r.id === range ? themeObj.tabActive : themeObj.tabIdle)}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-3 md:gap-4">
+          <Stat themeObj={themeObj} label="Current Streak" value={`${streaks.current} ${streaks.current === 1 ? "day" : "days"}`} />
+          <Stat themeObj={themeObj} label="Longest Streak" value={`${streaks.longest} ${streaks.longest === 1 ? "day" : "days"}`} />
+          {range === "day" ? (
+            <Stat themeObj={themeObj} label="Focus Today" value={formatDuration(rangeFocus)} />
+          ) : (
+            <Stat themeObj={themeObj} label="Avg Focus / Day" value={formatDuration(avg.focusSec)} />
+          )}
+          <Stat themeObj={themeObj} label="Best Day" value={best ? `${formatDay(best.key)} · ${formatDuration(best.focusSec)}` : "—"} />
+        </div>
+
+        <div className={`mt-2 text-xs ${themeObj.highlightText}`}>
+          {range === "day"
+            ? `${rangeSessions} sessions today · ${rangeInterruptions} interruptions`
+            : `${formatDuration(rangeFocus)} across ${rangeSessions} sessions · ${rangeInterruptions} interruptions · ${avg.activeDays} active days · ${avg.sessions.toFixed(1)} sessions per active day`}
+          {rangeOvertime > 0 && ` · ${formatDuration(rangeOvertime)} of it overtime`}
+        </div>
+
+        <div className="mt-6 grid md:grid-cols-2 gap-6">
+          <BarChart
+            themeObj={themeObj}
+            title="Focus minutes"
+            color={themeObj.chart.focus}
+            bars={series.map((b) => ({ key: b.key, label: b.label, value: Math.round(b.focusSec / 60) }))}
+          />
+          <BarChart
+            themeObj={themeObj}
+            title="Sessions"
+            color={themeObj.chart.sessions}
+            bars={series.map((b) => ({ key: b.key, label: b.label, value: b.sessions }))}
+          />
+        </div>
+      </div>
+
+      <div className={themeObj.cardB}>
+        <h2 className="text-lg font-semibold">Last 6 months</h2>
+        <Heatmap themeObj={themeObj} weeks={weeks} />
+      </div>
+    </div>
+  );
+}
+
+// Plain SVG, scaled through the viewBox so it fills whatever width it gets.
+function BarChart({ themeObj, title, color, bars }) {
+  const width = 300;
+  const height = 120;
+  const pad = 16;
+  const max = Math.max(1, ...bars.map((b) => b.value));
+  const slot = width / bars.length;
+  const labelEvery = Math.ceil(bars.length / 8);
+  return (
+    <figure>
+      <figcaption className={`text-sm mb-2 ${themeObj.highlightText}`}>
+        {title} <span className="opacity-70">(max {max})</span>
+      </figcaption>
+      <svg viewBox={`0 0 ${width} ${height + pad}`} className="w-full h-auto" role="img" aria-label={title}>
+        <line x1="0" x2={width} y1={height} y2={height} style={{ stroke: themeObj.chart.grid }} />
+        <line x1="0" x2={width} y1={height / 2} y2={height / 2} strokeDasharray="3 3" style={{ stroke: themeObj.chart.grid }} />
+        {bars.map((b, i) => {
+          const h = (b.value / max) * (height - 4);
+          return (
+            <g key={b.key}>
+              <rect x={i * slot + slot * 0.15} y={height - h} width={slot * 0.7} height={h} rx={Math.min(3, slot * 0.2)} style={{ fill: color }}>
+                <title>{`${b.label}: ${b.value}`}</title>
+              </rect>
+              {i % labelEvery === 0 && (
+                <text x={i * slot + slot / 2} y={height + 12} textAnchor="middle" fontSize="9" style={{ fill: themeObj.chart.text }}>
+                  {b.label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+    </figure>
+  );
+}
+
+function Heatmap({ themeObj, weeks }) {
+  const cell = 11;
+  const gap = 3;
+  return (
+    <div className="mt-4 overflow-x-auto">
+      <svg width={weeks.length * (cell + gap)} height={7 * (cell + gap)} role="img" aria-label="Daily focus heatmap">
+        {weeks.map((week, w) =>
+          week.map((d, i) =>
+            d.future ? null : (
+              <rect key={d.key} x={w * (cell + gap)} y={i * (cell + gap)} width={cell} height={cell} rx="2" style={{ fill: themeObj.heat[d.level] }}>
+                <title>{`${formatDay(d.key)}: ${formatDuration(d.focusSec)}`}</title>
+              </rect>
+            )
+          )
+        )}
+      </svg>
+      <div className={`mt-2 flex items-center gap-1 text-xs ${themeObj.highlightText}`}>
+        Less
+        {themeObj.heat.map((c) => (
+          <span key={c} className="inline-block h-3 w-3 rounded-sm" style={{ background: c }} />
+        ))}
+        More
+      </div>
+    </div>
+  );
+}
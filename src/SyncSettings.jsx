@@ -0,0 +1,61 @@
+import React from "react";
+import { ToggleField } from "./ui.jsx";
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+function describe({ sync, queued, syncing, offline }) {
+  if (syncing) return "Syncing…";
+  if (sync.error) return sync.error;
+  const waiting = queued ? `${plural(queued, "change")} waiting to sync.` : "";
+  if (offline) return `Can't reach the server. ${waiting || "Changes will sync once it's back."}`;
+  const last = sync.lastSyncAt ? `Last synced at ${new Date(sync.lastSyncAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}.` : "Not synced yet.";
+  return `${last} ${waiting}`.trim();
+}
+
+// ---- Sync settings ----------------------------------------------------------------
+// The server is self-hosted; see server/README.md. The token is kept in this
+// browser's storage like everything else Pomox saves.
+export default function SyncSettings({ themeObj, sync, queued, syncing, offline, onChange, onSyncNow }) {
+  const ready = sync.endpoint.trim() && sync.token.trim();
+  return (
+    <div className="mt-6 space-y-4">
+      <h3 className={themeObj.fieldLabel}>Sync</h3>
+      <ToggleField themeObj={themeObj} label="Sync with my server" checked={sync.enabled} onChange={(c) => onChange({ enabled: c })} />
+      {sync.enabled && (
+        <>
+          <label className="block">
+            <div className={themeObj.fieldLabel}>Server URL</div>
+            <input
+              className={`${themeObj.inputBare} w-full`}
+              type="url"
+              placeholder="http://localhost:8787"
+              value={sync.endpoint}
+              onChange={(e) => onChange({ endpoint: e.target.value })}
+            />
+          </label>
+          <label className="block">
+            <div className={themeObj.fieldLabel}>Token</div>
+            <input
+              className={`${themeObj.inputBare} w-full`}
+              type="password"
+              autoComplete="off"
+              value={sync.token}
+              onChange={(e) => onChange({ token: e.target.value })}
+            />
+          </label>
+          <div className="flex flex-wrap items-center gap-3">
+            <button type="button" className={themeObj.headerBtn} disabled={!ready || syncing} onClick={onSyncNow}>
+              Sync now
+            </button>
+            {ready && (
+              <p role="status" className={`text-sm ${sync.error ? "text-rose-500" : themeObj.highlightText}`}>
+                {describe({ sync, queued, syncing, offline })}
+              </p>
+            )}
+          </div>
+          <p className={`text-xs ${themeObj.highlightText}`}>Clear Stats only clears this device; synced sessions stay on the server.</p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useState } from "react";
+import { makeTask, moveTask } from "./tasks.js";
+
+// ---- Task panel -----------------------------------------------------------------
+export default function TaskPanel({ themeObj, tasks, setTasks, activeTaskId, setActiveTaskId, counts }) {
+  const [title, setTitle] = useState("");
+  const [estimate, setEstimate] = useState("1");
+
+  function add(e) {
+    e.preventDefault();
+    const t = title.trim();
+    if (!t) return;
+    const task = makeTask(t, Math.max(1, Math.min(99, parseInt(estimate, 10) || 1)));
+    setTasks([...tasks, task]);
+    if (!activeTaskId) setActiveTaskId(task.id);
+    setTitle("");
+    setEstimate("1");
+  }
+
+  function update(id, patch) {
+    setTasks(tasks.map((t) => (t.id === id ? { ...t, ...patch } : t)));
+  }
+
+  function toggleDone(task) {
+    update(task.id, { done: !task.done });
+    if (!task.done && task.id === activeTaskId) setActiveTaskId(null);
+  }
+
+  function remove(id) {
+    setTasks(tasks.filter((t) => t.id !== id));
+    if (id === activeTaskId) setActiveTaskId(null);
+  }
+
+  const iconBtn = "px-1.5 rounded-md text-sm opacity-70 hover:opacity-100 disabled:opacity-30";
+
+  return (
+    <div className={themeObj.cardB}>
+      <div className="flex items-baseline justify-between">
+        <h2 className="text-lg font-semibold">Tasks</h2>
+        <span className={`text-xs ${themeObj.highlightText}`}>actual / estimated 🍅</span>
+      </div>
+
+      <form onSubmit={add} className="mt-4 flex gap-2">
+        <input
+          className={`${themeObj.inputBare} flex-1 min-w-0`}
+          placeholder="What are you working on?"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+        />
+        <input
+          className={`${themeObj.inputBare} w-16`}
+          type="number"
+          min={1}
+          max={99}
+          aria-label="Estimated pomodoros"
+          value={estimate}
+          onChange={(e) => setEstimate(e.target.value)}
+        />
+        <button type="submit" className={themeObj.headerBtn}>Add</button>
+      </form>
+
+      <ul className="mt-4 space-y-2">
+        {tasks.length === 0 && <li className={`text-sm ${themeObj.highlightText}`}>No tasks yet. Sessions run without a task are still tracked.</li>}
+        {tasks.map((task, i) => {
+          const active = task.id === activeTaskId;
+          const actual = counts[task.id] || 0;
+          return (
+            <li key={task.id} className={`${themeObj.statWrap} flex items-center gap-2 ${active ? "ring-2 ring-current" : ""}`}>
+              <input type="checkbox" checked={task.done} onChange={() => toggleDone(task)} aria-label={`Mark “${task.title}” done`} />
+              <button
+                className={`flex-1 text-left text-sm truncate ${task.done ? "line-through opacity-60" : ""}`}
+                disabled={task.done}
+                onClick={() => setActiveTaskId(active ? null : task.id)}
+                title={active ? "Active task — click to unset" : "Make this the active task"}
+              >
+                {active && "▶ "}{task.title}
+              </button>
+              <span className={`text-xs tabular-nums ${actual > task.estimate ? "text-rose-500" : themeObj.highlightText}`}>
+                {actual}/{task.estimate}
+              </span>
+              <button className={iconBtn} onClick={() => update(task.id, { estimate: Math.min(99, task.estimate + 1) })} aria-label="Increase estimate">+</button>
+              <button className={iconBtn} onClick={() => update(task.id, { estimate: Math.max(1, task.estimate - 1) })} aria-label="Decrease estimate">−</button>
+              <button className={iconBtn} disabled={i === 0} onClick={() => setTasks(moveTask(tasks, task.id, -1))} aria-label="Move up">↑</button>
+              <button className={iconBtn} disabled={i === tasks.length - 1} onClick={() => setTasks(moveTask(tasks, task.id, 1))} aria-label="Move down">↓</button>
+              <button className={iconBtn} onClick={() => remove(task.id)} aria-label="Delete task">✕</button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
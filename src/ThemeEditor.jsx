@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { SYSTEM_THEME, THEME_TOKENS, parseThemeShareCode, themeColor, themeShareCode } from "./themes.js";
+
+const GROUPS = [...new Set(THEME_TOKENS.map((t) => t.group))];
+
+// ---- Theme editor -------------------------------------------------------------------
+// Like presets, built-in themes are read-only; "Duplicate & edit" makes a copy
+// whose colours can be changed. Themes travel between installs as share codes.
+export default function ThemeEditor({ themeObj, pref, themes, palette, onSelect, onChange, onDuplicate, onDelete, onImport }) {
+  const [code, setCode] = useState("");
+  const [status, setStatus] = useState(null);
+  const editable = !palette.builtin && pref !== SYSTEM_THEME;
+
+  function setColor(key, value) {
+    onChange({ ...palette, colors: { ...palette.colors, [key]: value } });
+  }
+
+  async function share() {
+    try {
+      await navigator.clipboard.writeText(themeShareCode(palette));
+      setStatus({ ok: true, text: "Theme code copied — paste it into another Pomox to import." });
+    } catch {
+      setCode(themeShareCode(palette));
+      setStatus({ ok: true, text: "Copy the theme code from the box below." });
+    }
+  }
+
+  function importCode() {
+    try {
+      const theme = parseThemeShareCode(code.trim());
+      onImport(theme);
+      setCode("");
+      setStatus({ ok: true, text: `Imported “${theme.name}”.` });
+    } catch (err) {
+      setStatus({ ok: false, text: err.message });
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <label className="block">
+        <div className={themeObj.fieldLabel}>Theme</div>
+        <select className={`${themeObj.inputBare} w-full`} value={pref} onChange={(e) => onSelect(e.target.value)}>
+          <option value={SYSTEM_THEME}>System (follows light/dark and contrast settings)</option>
+          {themes.map((t) => (
+            <option key={t.id} value={t.id}>{t.name}</option>
+          ))}
+        </select>
+      </label>
+      {pref === SYSTEM_THEME && <p className={`text-sm ${themeObj.highlightText}`}>Currently {palette.name}.</p>}
+
+      {editable && (
+        <>
+          <label className="block">
+            <div className={themeObj.fieldLabel}>Name</div>
+            <input className={`${themeObj.inputBare} w-full`} value={palette.name} onChange={(e) => onChange({ ...palette, name: e.target.value })} />
+          </label>
+          {GROUPS.map((group) => (
+            <fieldset key={group}>
+              <legend className={themeObj.fieldLabel}>{group}</legend>
+              <div className="grid grid-cols-2 gap-2">
+                {THEME_TOKENS.filter((t) => t.group === group).map((t) => (
+                  <label key={t.key} className={`flex items-center gap-2 text-sm ${themeObj.highlightText}`}>
+                    <input
+                      type="color"
+                      className="h-7 w-9 shrink-0 cursor-pointer rounded border border-(--px-control-border) bg-transparent"
+                      value={themeColor(palette.colors, t.key)}
+                      onChange={(e) => setColor(t.key, e.target.value)}
+                    />
+                    {t.label}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+          ))}
+        </>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button className={themeObj.headerBtn} onClick={onDuplicate}>Duplicate &amp; edit</button>
+        {editable && (
+          <button className={themeObj.headerBtn} onClick={onDelete}>Delete theme</button>
+        )}
+        <button className={themeObj.headerBtn} onClick={share}>Share</button>
+      </div>
+
+      <div className="flex gap-2">
+        <input
+          className={`${themeObj.inputBare} flex-1 min-w-0`}
+          placeholder="Paste a theme code"
+          aria-label="Theme code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+        />
+        <button className={themeObj.headerBtn} disabled={!code.trim()} onClick={importCode}>Import</button>
+      </div>
+      {status && (
+        <p role="status" className={`text-sm ${status.ok ? themeObj.highlightText : "text-rose-500"}`}>
+          {status.text}
+        </p>
+      )}
+    </div>
+  );
+}
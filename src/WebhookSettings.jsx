@@ -0,0 +1,123 @@
+import React from "react";
+import { EVENT_KINDS, EVENT_TYPES } from "./events.js";
+import { MAX_RETRIES, makeWebhook, templateError, urlError } from "./webhooks.js";
+import { ToggleField } from "./ui.jsx";
+
+const TEMPLATE_EXAMPLE = '{ "text": "{{label}} {{action}} ({{plannedMin}} min) {{task.title}}" }';
+
+const time = (ts) => new Date(ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+const host = (url) => {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+};
+
+function WebhookCard({ themeObj, hook, onChange, onRemove, onTest }) {
+  const set = (patch) => onChange({ ...hook, ...patch });
+  const toggleEvent = (type, on) => set({ events: on ? [...hook.events, type] : hook.events.filter((t) => t !== type) });
+  const badUrl = hook.url.trim() && urlError(hook.url);
+  const badTemplate = templateError(hook.template);
+
+  return (
+    <div className="space-y-3 rounded-xl border border-(--px-control-border) p-3">
+      <label className="block">
+        <div className={themeObj.fieldLabel}>URL</div>
+        <input
+          className={`${themeObj.inputBare} w-full`}
+          type="url"
+          placeholder="https://example.com/hooks/pomox"
+          value={hook.url}
+          onChange={(e) => set({ url: e.target.value })}
+        />
+      </label>
+      {badUrl && <p className="text-sm text-rose-500">{badUrl}</p>}
+      <ToggleField themeObj={themeObj} label="Enabled" checked={hook.enabled} onChange={(c) => set({ enabled: c })} />
+
+      {EVENT_KINDS.map((kind) => (
+        <fieldset key={kind}>
+          <legend className={themeObj.fieldLabel}>{kind === "focus" ? "Focus sessions" : "Breaks"}</legend>
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {EVENT_TYPES.filter((t) => t.startsWith(`${kind}.`)).map((type) => (
+              <label key={type} className={`flex items-center gap-1 text-sm ${themeObj.highlightText}`}>
+                <input type="checkbox" checked={hook.events.includes(type)} onChange={(e) => toggleEvent(type, e.target.checked)} />
+                {type.slice(kind.length + 1)}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      ))}
+
+      <label className="block">
+        <div className={themeObj.fieldLabel}>Payload template (optional)</div>
+        <textarea
+          className={`${themeObj.inputBare} w-full font-mono text-xs`}
+          rows={3}
+          placeholder={TEMPLATE_EXAMPLE}
+          value={hook.template}
+          onChange={(e) => set({ template: e.target.value })}
+        />
+      </label>
+      <p className={`text-xs ${badTemplate ? "text-rose-500" : themeObj.highlightText}`}>
+        {badTemplate || "Leave empty to send the whole event. Placeholders like {{type}}, {{label}}, {{plannedMin}} or {{task.title}} are filled in."}
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <label className={`flex items-center gap-2 text-sm ${themeObj.highlightText}`}>
+          Retries
+          <select className={themeObj.inputBare} value={hook.retries} onChange={(e) => set({ retries: Number(e.target.value) })}>
+            {Array.from({ length: MAX_RETRIES + 1 }, (_, n) => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </label>
+        <button type="button" className={themeObj.headerBtn} disabled={!!urlError(hook.url) || !!badTemplate} onClick={onTest}>
+          Send test event
+        </button>
+        <button type="button" className={themeObj.headerBtn} onClick={onRemove}>Remove</button>
+      </div>
+    </div>
+  );
+}
+
+// ---- Webhook settings --------------------------------------------------------------
+export default function WebhookSettings({ themeObj, hooks, log, onChange, onTest }) {
+  const update = (hook) => onChange(hooks.map((h) => (h.id === hook.id ? hook : h)));
+
+  return (
+    <div className="mt-6 space-y-3">
+      <h3 className={themeObj.fieldLabel}>Webhooks</h3>
+      <p className={`text-sm ${themeObj.highlightText}`}>
+        POST session events (started, paused, completed…) as JSON, e.g. to set a chat status or log time. The server must allow cross-origin requests.
+      </p>
+      {hooks.map((hook) => (
+        <WebhookCard
+          key={hook.id}
+          themeObj={themeObj}
+          hook={hook}
+          onChange={update}
+          onRemove={() => onChange(hooks.filter((h) => h.id !== hook.id))}
+          onTest={() => onTest(hook)}
+        />
+      ))}
+      <button type="button" className={themeObj.headerBtn} onClick={() => onChange([...hooks, makeWebhook()])}>Add webhook</button>
+
+      {log.length > 0 && (
+        <details>
+          <summary className={`cursor-pointer text-sm ${themeObj.highlightText}`}>Delivery log</summary>
+          <ul className="mt-2 space-y-1 text-xs tabular-nums">
+            {log.slice(0, 20).map((d) => (
+              <li key={d.id} className={d.status === "failed" ? "text-rose-500" : themeObj.highlightText}>
+                {time(d.at)} · {d.type} → {host(d.url)} · {d.status}
+                {d.code ? ` (${d.code})` : ""}
+                {d.attempts > 1 ? ` after ${d.attempts} attempts` : ""}
+                {d.error && d.status !== "delivered" ? ` — ${d.error}` : ""}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
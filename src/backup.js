@@ -0,0 +1,279 @@
+// ---- Backup, import & export --------------------------------------------------
+// A backup is a versioned JSON envelope around everything Pomox persists. The
+// CSV and iCalendar exports are one-way views over the session history.
+import { INTERRUPTION_KINDS, OUTCOMES, summarizeDays } from "./history.js";
+import { PARAMS } from "./links.js";
+import { STEP_MAX, STEP_MIN } from "./sequences.js";
+import { SHORTCUT_ACTIONS } from "./shortcuts.js";
+import { DEFAULT_SETTINGS } from "./storage.js";
+import { paletteError } from "./themes.js";
+
+// v2 added tasks and the active task id; v3 custom presets and the sequence
+// step; v4 custom themes; v5 days off.
+export const BACKUP_VERSION = 5;
+const MODE_IDS = ["focus", "short", "long"];
+
+export class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BackupError";
+  }
+}
+
+export function buildBackup({ settings, step, cycles, theme, themes, history, tasks, activeTask, presets, daysOff }, now = Date.now()) {
+  return {
+    app: "pomox",
+    version: BACKUP_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    data: { settings, step, cycles, theme, themes, history, tasks, activeTask, presets, daysOff },
+  };
+}
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isTime = (v) => typeof v === "number" && Number.isFinite(v) && v >= 0;
+
+export function validateEntry(e, i) {
+  const at = `history[${i}]`;
+  if (!isObject(e)) throw new BackupError(`${at} is not an object`);
+  if (typeof e.id !== "string" || !e.id) throw new BackupError(`${at}.id is missing`);
+  if (!MODE_IDS.includes(e.mode)) throw new BackupError(`${at}.mode must be one of ${MODE_IDS.join(", ")}`);
+  if (!OUTCOMES.includes(e.outcome)) throw new BackupError(`${at}.outcome must be one of ${OUTCOMES.join(", ")}`);
+  for (const f of ["startedAt", "endedAt", "plannedSec", "actualSec"]) {
+    if (!isTime(e[f])) throw new BackupError(`${at}.${f} must be a non-negative number`);
+  }
+  if (e.endedAt < e.startedAt) throw new BackupError(`${at} ends before it starts`);
+  if (e.overtimeSec !== undefined && !isTime(e.overtimeSec)) throw new BackupError(`${at}.overtimeSec must be a non-negative number`);
+  if (e.taskId !== undefined && typeof e.taskId !== "string") throw new BackupError(`${at}.taskId must be a string`);
+  if (e.interruptions === undefined) return;
+  if (!Array.isArray(e.interruptions)) throw new BackupError(`${at}.interruptions must be a list`);
+  e.interruptions.forEach((x, j) => {
+    if (!isObject(x) || !isTime(x.at)) throw new BackupError(`${at}.interruptions[${j}].at must be a timestamp`);
+    if (!INTERRUPTION_KINDS.includes(x.kind)) throw new BackupError(`${at}.interruptions[${j}].kind must be one of ${INTERRUPTION_KINDS.join(", ")}`);
+    if (x.note !== undefined && typeof x.note !== "string") throw new BackupError(`${at}.interruptions[${j}].note must be a string`);
+  });
+}
+
+// Numeric settings and their limits: the Settings card's (which links share),
+// the goals, the hours a day may start at and the nested settings' fields.
+// Volumes are fractions; everything else is a whole number.
+const NUMBER_SETTINGS = {
+  ...Object.fromEntries(PARAMS.filter((p) => p.min != null).map(({ key, min, max }) => [key, { min, max }])),
+  dailyGoal: { min: 0, max: Infinity },
+  weeklyGoal: { min: 0, max: Infinity },
+  dayStartHour: { min: 0, max: 11 },
+  volume: { min: 0, max: 1, fraction: true },
+  ambientVolume: { min: 0, max: 1, fraction: true },
+  "away.idleMin": { min: 1, max: 60 },
+  "away.unattended": { min: 1, max: 10 },
+  "flow.reminderMin": { min: 0, max: 60 },
+  "flow.breakRatio": { min: 0, max: 5 },
+};
+
+// Checks `value` against the default it replaces: same type, numbers within
+// their limits, nested objects field by field. Returns the value to keep,
+// without keys Pomox doesn't know.
+function settingValue(value, fallback, at) {
+  const limits = NUMBER_SETTINGS[at];
+  if (typeof fallback === "number") {
+    const ok = limits.fraction ? typeof value === "number" && Number.isFinite(value) : Number.isInteger(value);
+    if (!ok || value < limits.min || value > limits.max) {
+      const range = limits.max === Infinity ? `of ${limits.min} or more` : `from ${limits.min} to ${limits.max}`;
+      throw new BackupError(`settings.${at} must be a ${limits.fraction ? "number" : "whole number"} ${range}`);
+    }
+    return value;
+  }
+  if (typeof fallback === "boolean" && typeof value !== "boolean") throw new BackupError(`settings.${at} must be true or false`);
+  if (typeof fallback === "string" && typeof value !== "string") throw new BackupError(`settings.${at} must be a string`);
+  if (fallback === null && value !== null && typeof value !== "string") throw new BackupError(`settings.${at} must be a string or null`);
+  if (!isObject(fallback)) return value;
+  if (!isObject(value)) throw new BackupError(`settings.${at} must be an object`);
+  const kept = {};
+  for (const key of Object.keys(fallback)) {
+    if (value[key] === undefined) continue;
+    kept[key] = key === "stretches" ? validateStretches(value[key], `${at}.${key}`) : settingValue(value[key], fallback[key], `${at}.${key}`);
+  }
+  return kept;
+}
+
+function validateStretches(list, at) {
+  if (!Array.isArray(list)) throw new BackupError(`settings.${at} must be a list`);
+  list.forEach((c, i) => {
+    if (!isObject(c) || typeof c.id !== "string" || typeof c.title !== "string" || typeof c.text !== "string" || !["short", "long"].includes(c.breaks)) {
+      throw new BackupError(`settings.${at}[${i}] must be a card with an id, title, text and short or long break`);
+    }
+  });
+  return list;
+}
+
+// Returns the settings to import. Keys Pomox doesn't know are dropped; known
+// ones with the wrong type or out of range reject the backup.
+function validateSettings(s) {
+  if (!isObject(s)) throw new BackupError("settings must be an object");
+  const kept = {};
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (s[key] !== undefined) kept[key] = settingValue(s[key], DEFAULT_SETTINGS[key], key);
+  }
+  if (s.shortcuts !== undefined) {
+    if (!isObject(s.shortcuts)) throw new BackupError("settings.shortcuts must be an object");
+    kept.shortcuts = {};
+    for (const { id } of SHORTCUT_ACTIONS) {
+      const combo = s.shortcuts[id];
+      if (combo === undefined) continue;
+      if (combo !== null && typeof combo !== "string") throw new BackupError(`settings.shortcuts.${id} must be a key combo or null`);
+      kept.shortcuts[id] = combo;
+    }
+  }
+  return kept;
+}
+
+function validateTask(t, i) {
+  const at = `tasks[${i}]`;
+  if (!isObject(t)) throw new BackupError(`${at} is not an object`);
+  if (typeof t.id !== "string" || !t.id) throw new BackupError(`${at}.id is missing`);
+  if (typeof t.title !== "string") throw new BackupError(`${at}.title must be a string`);
+  if (!Number.isInteger(t.estimate) || t.estimate < 1) throw new BackupError(`${at}.estimate must be a positive integer`);
+  if (typeof t.done !== "boolean") throw new BackupError(`${at}.done must be true or false`);
+}
+
+function validatePreset(p, i) {
+  const at = `presets[${i}]`;
+  if (!isObject(p)) throw new BackupError(`${at} is not an object`);
+  if (typeof p.id !== "string" || !p.id) throw new BackupError(`${at}.id is missing`);
+  if (typeof p.name !== "string") throw new BackupError(`${at}.name must be a string`);
+  if (!Array.isArray(p.steps) || !p.steps.length) throw new BackupError(`${at}.steps must be a non-empty list`);
+  p.steps.forEach((s, j) => {
+    if (!isObject(s) || !MODE_IDS.includes(s.type)) throw new BackupError(`${at}.steps[${j}].type must be one of ${MODE_IDS.join(", ")}`);
+    if (!Number.isInteger(s.min) || s.min < STEP_MIN || s.min > STEP_MAX) {
+      throw new BackupError(`${at}.steps[${j}].min must be a whole number from ${STEP_MIN} to ${STEP_MAX}`);
+    }
+  });
+}
+
+function validateTheme(t, i) {
+  const at = `themes[${i}]`;
+  if (!isObject(t)) throw new BackupError(`${at} is not an object`);
+  if (typeof t.id !== "string" || !t.id) throw new BackupError(`${at}.id is missing`);
+  if (typeof t.name !== "string") throw new BackupError(`${at}.name must be a string`);
+  const error = paletteError(t.colors);
+  if (error) throw new BackupError(`${at}.${error}`);
+}
+
+// Parses and validates a backup file, returning its `data` block. Every
+// problem is reported as a BackupError with a message fit for the UI.
+export function parseBackup(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new BackupError("This file isn't valid JSON.");
+  }
+  if (!isObject(json) || json.app !== "pomox") throw new BackupError("This doesn't look like a Pomox backup.");
+  if (!Number.isInteger(json.version) || json.version < 1) throw new BackupError("The backup has no valid version number.");
+  if (json.version > BACKUP_VERSION) {
+    throw new BackupError(`The backup is version ${json.version}; this Pomox only understands up to version ${BACKUP_VERSION}.`);
+  }
+
+  const data = json.data;
+  if (!isObject(data)) throw new BackupError("The backup has no data block.");
+  if (data.settings !== undefined) data.settings = validateSettings(data.settings);
+  if (data.mode !== undefined && !MODE_IDS.includes(data.mode)) throw new BackupError(`mode must be one of ${MODE_IDS.join(", ")}`);
+  if (data.step !== undefined && !(Number.isInteger(data.step) && data.step >= 0)) throw new BackupError("step must be a non-negative integer");
+  if (data.cycles !== undefined && !(Number.isInteger(data.cycles) && data.cycles >= 0)) throw new BackupError("cycles must be a non-negative integer");
+  if (data.theme !== undefined && typeof data.theme !== "string") throw new BackupError("theme must be a string");
+  if (!Array.isArray(data.history)) throw new BackupError("history must be a list of sessions");
+  data.history.forEach(validateEntry);
+  if (data.tasks === undefined) data.tasks = [];
+  if (!Array.isArray(data.tasks)) throw new BackupError("tasks must be a list");
+  data.tasks.forEach(validateTask);
+  if (data.activeTask != null && !data.tasks.some((t) => t.id === data.activeTask)) data.activeTask = null;
+  if (data.presets === undefined) data.presets = [];
+  if (!Array.isArray(data.presets)) throw new BackupError("presets must be a list");
+  data.presets.forEach(validatePreset);
+  if (data.themes === undefined) data.themes = [];
+  if (!Array.isArray(data.themes)) throw new BackupError("themes must be a list");
+  data.themes.forEach(validateTheme);
+  if (data.daysOff === undefined) data.daysOff = [];
+  if (!Array.isArray(data.daysOff) || !data.daysOff.every((d) => typeof d === "string" && /^\d{4}-\d{2}-\d{2}$/.test(d))) {
+    throw new BackupError("daysOff must be a list of YYYY-MM-DD dates");
+  }
+  return data;
+}
+
+// "replace" takes the backup as-is; "merge" keeps the current settings and
+// adds the backup's sessions, tasks, presets and themes that aren't already known.
+export function applyBackup(current, incoming, strategy) {
+  if (strategy === "replace") {
+    return {
+      settings: { ...current.settings, ...incoming.settings },
+      step: incoming.step,
+      mode: incoming.mode,
+      cycles: incoming.cycles ?? 0,
+      theme: incoming.theme ?? current.theme,
+      themes: incoming.themes,
+      daysOff: incoming.daysOff,
+      history: [...incoming.history].sort((a, b) => a.startedAt - b.startedAt),
+      tasks: incoming.tasks,
+      activeTask: incoming.activeTask ?? null,
+      presets: incoming.presets,
+    };
+  }
+  const known = new Set(current.history.map((e) => e.id));
+  const added = incoming.history.filter((e) => !known.has(e.id));
+  const knownTasks = new Set(current.tasks.map((t) => t.id));
+  return {
+    ...current,
+    history: [...current.history, ...added].sort((a, b) => a.startedAt - b.startedAt),
+    tasks: [...current.tasks, ...incoming.tasks.filter((t) => !knownTasks.has(t.id))],
+    presets: [...current.presets, ...incoming.presets.filter((p) => !current.presets.some((c) => c.id === p.id))],
+    themes: [...current.themes, ...incoming.themes.filter((t) => !current.themes.some((c) => c.id === t.id))],
+    daysOff: [...new Set([...current.daysOff, ...incoming.daysOff])],
+  };
+}
+
+export function historyToCSV(history, dayStartHour = 0) {
+  const days = summarizeDays(history, dayStartHour);
+  const rows = [["date", "focus_minutes", "focus_seconds", "sessions", "skipped", "resets", "voided", "internal_interruptions", "external_interruptions", "break_minutes", "overtime_minutes"]];
+  for (const key of Object.keys(days).sort()) {
+    const d = days[key];
+    rows.push([key, (d.focusSec / 60).toFixed(1), d.focusSec, d.sessions, d.skipped, d.resets, d.voided, d.internal, d.external, (d.breakSec / 60).toFixed(1), (d.overtimeSec / 60).toFixed(1)]);
+  }
+  return rows.map((r) => r.join(",")).join("\r\n") + "\r\n";
+}
+
+const icsTime = (ts) => new Date(ts).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const icsText = (s) => s.replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, "\\n");
+
+// Focus sessions only. Migrated entries carry no real clock times, so they're left out.
+export function historyToICS(history, tasks = [], now = Date.now()) {
+  const titles = Object.fromEntries(tasks.map((t) => [t.id, t.title]));
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Pomox//Focus sessions//EN", "CALSCALE:GREGORIAN"];
+  for (const e of history) {
+    if (e.mode !== "focus" || e.migrated || e.actualSec <= 0) continue;
+    const base = titles[e.taskId] ? `Pomodoro: ${titles[e.taskId]}` : "Pomodoro";
+    const summary = e.outcome === "completed" ? base : `${base} (${e.outcome})`;
+    const n = e.interruptions?.length || 0;
+    const interrupted = n ? `, interrupted ${n === 1 ? "once" : `${n} times`}` : "";
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${e.id}@pomox`,
+      `DTSTAMP:${icsTime(now)}`,
+      `DTSTART:${icsTime(e.startedAt)}`,
+      `DTEND:${icsTime(e.endedAt)}`,
+      `SUMMARY:${icsText(summary)}`,
+      `DESCRIPTION:${Math.round(e.actualSec / 60)} of ${Math.round(e.plannedSec / 60)} min focused${interrupted}`,
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.join("\r\n") + "\r\n";
+}
+
+export function downloadFile(filename, mime, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
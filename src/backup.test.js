@@ -0,0 +1,109 @@
+import { describe, expect, it } from "vitest";
+import { applyBackup, BACKUP_VERSION, BackupError, buildBackup, historyToCSV, parseBackup } from "./backup.js";
+import { DEFAULT_SETTINGS } from "./storage.js";
+
+const start = new Date(2024, 2, 5, 9).getTime();
+const session = (id, min = 25, extra = {}) => ({
+  id,
+  mode: "focus",
+  startedAt: start,
+  endedAt: start + min * 60 * 1000,
+  plannedSec: 1500,
+  actualSec: min * 60,
+  outcome: "completed",
+  ...extra,
+});
+
+const data = (extra = {}) => ({
+  settings: DEFAULT_SETTINGS,
+  step: 2,
+  cycles: 1,
+  theme: "redesigned",
+  themes: [],
+  history: [session("a")],
+  tasks: [{ id: "t1", title: "Write", estimate: 2, done: false }],
+  activeTask: "t1",
+  presets: [],
+  daysOff: ["2024-03-09"],
+  ...extra,
+});
+
+const file = (json) => JSON.stringify(json);
+const backupOf = (extra) => file(buildBackup(data(extra), start));
+const parseError = (text) => {
+  try {
+    parseBackup(text);
+  } catch (err) {
+    expect(err).toBeInstanceOf(BackupError);
+    return err.message;
+  }
+  throw new Error("parsed");
+};
+
+describe("parseBackup", () => {
+  it("round-trips a built backup", () => {
+    expect(parseBackup(backupOf())).toEqual(data());
+  });
+
+  it("rejects files that aren't Pomox backups", () => {
+    expect(parseError("{")).toBe("This file isn't valid JSON.");
+    expect(parseError(file({ app: "other" }))).toBe("This doesn't look like a Pomox backup.");
+    expect(parseError(file({ app: "pomox", version: BACKUP_VERSION + 1, data: {} }))).toMatch(/only understands up to version/);
+  });
+
+  it("fills in the lists older versions didn't have", () => {
+    const parsed = parseBackup(file({ app: "pomox", version: 1, data: { history: [session("a")] } }));
+    expect(parsed).toMatchObject({ tasks: [], presets: [], themes: [], daysOff: [] });
+  });
+
+  it("rejects settings of the wrong type or out of range", () => {
+    expect(parseError(backupOf({ settings: { pomodoroMin: "25" } }))).toBe("settings.pomodoroMin must be a whole number from 1 to 180");
+    expect(parseError(backupOf({ settings: { volume: 2 } }))).toBe("settings.volume must be a number from 0 to 1");
+    expect(parseError(backupOf({ settings: { away: { idleMin: 0 } } }))).toBe("settings.away.idleMin must be a whole number from 1 to 60");
+    expect(parseError(backupOf({ settings: { sound: "yes" } }))).toBe("settings.sound must be true or false");
+    expect(parseError(backupOf({ settings: { flow: true } }))).toBe("settings.flow must be an object");
+  });
+
+  it("drops settings it doesn't know", () => {
+    const parsed = parseBackup(backupOf({ settings: { dailyGoal: 0, legacy: 1, away: { enabled: false, extra: 1 }, shortcuts: { startPause: "s", nope: "x" } } }));
+    expect(parsed.settings).toEqual({ dailyGoal: 0, away: { enabled: false }, shortcuts: { startPause: "s" } });
+  });
+
+  it("rejects malformed sessions", () => {
+    expect(parseError(backupOf({ history: [session("a", 25, { outcome: "lost" })] }))).toMatch(/^history\[0\]\.outcome must be one of/);
+    expect(parseError(backupOf({ history: [session("a", 25, { endedAt: start - 1 })] }))).toBe("history[0] ends before it starts");
+    expect(parseError(backupOf({ history: [session("a", 25, { interruptions: [{ at: start, kind: "cat" }] })] }))).toMatch(/interruptions\[0\]\.kind/);
+  });
+
+  it("forgets an active task the backup doesn't have", () => {
+    expect(parseBackup(backupOf({ activeTask: "gone" })).activeTask).toBeNull();
+  });
+});
+
+describe("applyBackup", () => {
+  const current = { ...data(), settings: { ...DEFAULT_SETTINGS, pomodoroMin: 40 }, history: [session("a"), session("b")], daysOff: ["2024-03-10"] };
+
+  it("replaces everything but settings the backup leaves out", () => {
+    const incoming = parseBackup(backupOf({ settings: { shortMin: 7 }, history: [session("c")] }));
+    const next = applyBackup(current, incoming, "replace");
+    expect(next.settings).toMatchObject({ pomodoroMin: 40, shortMin: 7 });
+    expect(next.history.map((e) => e.id)).toEqual(["c"]);
+    expect(next.daysOff).toEqual(["2024-03-09"]);
+  });
+
+  it("merges in only what isn't already known", () => {
+    const incoming = parseBackup(backupOf({ history: [session("a", 5), session("c")], tasks: [{ id: "t2", title: "Read", estimate: 1, done: true }] }));
+    const next = applyBackup(current, incoming, "merge");
+    expect(next.settings.pomodoroMin).toBe(40);
+    expect(next.history.map((e) => [e.id, e.actualSec])).toEqual([["a", 1500], ["b", 1500], ["c", 1500]]);
+    expect(next.tasks.map((t) => t.id)).toEqual(["t1", "t2"]);
+    expect(next.daysOff).toEqual(["2024-03-10", "2024-03-09"]);
+  });
+});
+
+describe("historyToCSV", () => {
+  it("writes one row per day", () => {
+    const csv = historyToCSV([session("a", 30, { overtimeSec: 300 })]);
+    expect(csv.split("\r\n")[1]).toBe("2024-03-05,30.0,1800,1,0,0,0,0,0,0.0,5.0");
+  });
+});
@@ -0,0 +1,67 @@
+// ---- Break activities --------------------------------------------------------------
+// Something to do during a break instead of reaching for the phone: a box
+// breathing pacer, a 20-20-20 eye rest, or a few stretch cards. Each break gets
+// one activity from the categories that are switched on, rotating from break to
+// break. The stretch cards are the user's own list, split into short- and
+// long-break sets.
+
+export const BREAK_CATEGORIES = [
+  { id: "breathing", label: "Box breathing" },
+  { id: "eyes", label: "Eye rest (20-20-20)" },
+  { id: "stretch", label: "Stretch & move" },
+];
+
+export const BREATH_PHASES = ["Breathe in", "Hold", "Breathe out", "Hold"];
+export const BREATH_PHASE_SEC = 4;
+const BREATH_ROUNDS = 4;
+export const EYE_REST_SEC = 20;
+const CARDS_PER_BREAK = { short: 2, long: 4 };
+
+const card = (id, breaks, title, text) => ({ id, breaks, title, text });
+
+export const DEFAULT_STRETCHES = [
+  card("neck", "short", "Neck rolls", "Slowly roll your head in a circle, five times each way."),
+  card("shoulders", "short", "Shoulder shrugs", "Lift your shoulders to your ears, hold for a second, drop them. Ten times."),
+  card("wrists", "short", "Wrist circles", "Circle both wrists ten times each way, then gently stretch your fingers back."),
+  card("reach", "short", "Stand and reach", "Stand up, lace your fingers and reach for the ceiling. Hold for ten breaths."),
+  card("twist", "short", "Seated twist", "Sit tall and turn to look behind you, a hand on the chair back. Both sides."),
+  card("walk", "long", "Take a walk", "Get up and walk around for a few minutes, outside if you can."),
+  card("water", "long", "Refill your water", "Fetch a glass of water and drink it standing up."),
+  card("hips", "long", "Hip flexor stretch", "Step into a lunge, back knee down, and push your hips forward. 30 seconds a side."),
+  card("fold", "long", "Forward fold", "Stand, bend at the hips and let your arms hang. Sway slowly for 30 seconds."),
+  card("squats", "long", "Ten squats", "Feet shoulder-width apart, sit back as if into a chair, and stand up again."),
+  card("chest", "long", "Doorway chest stretch", "Forearms on a door frame, step through until you feel your chest open."),
+];
+
+export const DEFAULT_BREAKS = { breathing: true, eyes: true, stretch: true, endEarly: false, stretches: DEFAULT_STRETCHES };
+
+export function makeStretch(breaks, now = Date.now()) {
+  return card(`s-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`, breaks, "", "");
+}
+
+// The activity for a break of `mode` ("short" | "long"). `seed` counts the
+// breaks taken so far, so consecutive breaks rotate through the categories and
+// through the cards. Returns null when every category is off.
+export function breakActivity(breaks, mode, seed, plannedSec) {
+  const cards = breaks.stretches.filter((c) => c.breaks === mode && c.title.trim());
+  const categories = BREAK_CATEGORIES.map((c) => c.id).filter((id) => breaks[id] && (id !== "stretch" || cards.length));
+  if (!categories.length) return null;
+  const category = categories[seed % categories.length];
+  if (category === "breathing") return { category, rounds: Math.max(1, Math.min(BREATH_ROUNDS, Math.floor(plannedSec / (BREATH_PHASE_SEC * 4)))) };
+  if (category === "eyes") return { category };
+  const count = Math.min(CARDS_PER_BREAK[mode], cards.length);
+  const start = (seed * count) % cards.length;
+  return { category, cards: Array.from({ length: count }, (_, i) => cards[(start + i) % cards.length]) };
+}
+
+// Where the pacer is `elapsedSec` into the exercise.
+export function breathingAt(elapsedSec, rounds) {
+  const phaseCount = Math.floor(elapsedSec / BREATH_PHASE_SEC);
+  if (phaseCount >= rounds * BREATH_PHASES.length) return { done: true, round: rounds, phase: BREATH_PHASES.length - 1, secLeft: 0 };
+  return {
+    done: false,
+    round: Math.floor(phaseCount / BREATH_PHASES.length) + 1,
+    phase: phaseCount % BREATH_PHASES.length,
+    secLeft: BREATH_PHASE_SEC - Math.floor(elapsedSec % BREATH_PHASE_SEC),
+  };
+}
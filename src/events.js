@@ -0,0 +1,67 @@
+import { STEP_TYPES } from "./sequences.js";
+import { SESSION_EVENTS } from "./timer.js";
+
+// ---- Session events ----------------------------------------------------------------
+// The timer's session events in a stable, documented shape for the outside
+// world: webhooks (webhooks.js) and scripts running in the page. Names are
+// "<kind>.<what>", e.g. "focus.started" or "break.completed".
+//
+// In the page every event is dispatched on `window` as a CustomEvent named
+// "pomox:session" with the event as its `detail`:
+//
+//   window.addEventListener("pomox:session", (e) => console.log(e.detail.type));
+//
+// Only the tab that runs the timer emits them, so each happens once.
+
+export const EVENT_NAME = "pomox:session";
+export const EVENT_KINDS = ["focus", "break"];
+// Only focus sessions can be voided or run into overtime.
+const FOCUS_ONLY = ["voided", "overtime"];
+export const EVENT_TYPES = EVENT_KINDS.flatMap((kind) => SESSION_EVENTS.filter((t) => kind === "focus" || !FOCUS_ONLY.includes(t)).map((t) => `${kind}.${t}`));
+
+const kindOf = (mode) => (mode === "focus" ? "focus" : "break");
+
+// `raw` is an event from timer.js; `task` the task the session counts towards
+// and `preset` the sequence it belongs to, when known.
+export function buildEvent(raw, { task = null, preset = null } = {}) {
+  const kind = kindOf(raw.mode);
+  const event = {
+    type: `${kind}.${raw.type}`,
+    kind,
+    action: raw.type,
+    mode: raw.mode,
+    label: raw.step?.label || STEP_TYPES.find((t) => t.id === raw.mode).label,
+    plannedSec: raw.plannedSec,
+    plannedMin: Math.round(raw.plannedSec / 60),
+    elapsedSec: raw.elapsedSec,
+    at: new Date(raw.at).toISOString(),
+    preset: preset ? { id: preset.id, name: preset.name } : null,
+    task: task ? { id: task.id, title: task.title, estimate: task.estimate, done: task.done } : null,
+  };
+  if (raw.entry) event.sessionId = raw.entry.id;
+  return event;
+}
+
+// A plausible event for "Send test event" buttons.
+export function sampleEvent(now = Date.now()) {
+  return {
+    ...buildEvent({ type: "started", mode: "focus", step: { type: "focus", min: 25, label: "" }, plannedSec: 1500, elapsedSec: 0, at: now }),
+    preset: { id: "classic", name: "Classic 25/5" },
+    task: { id: "t-example", title: "Example task", estimate: 2, done: false },
+    test: true,
+  };
+}
+
+// ---- In-page listeners -------------------------------------------------------------
+const listeners = new Set();
+
+// `listener(event)` runs for every event; returns an unsubscribe function.
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function publish(event) {
+  listeners.forEach((l) => l(event));
+  window.dispatchEvent(new CustomEvent(EVENT_NAME, { detail: event }));
+}
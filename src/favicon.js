@@ -0,0 +1,60 @@
+// ---- Live favicon --------------------------------------------------------------------
+// While a session is under way the tab icon becomes a progress ring in the
+// colour of its mode, so the tab strip shows how far along it is. Paused
+// sessions get a pause sign in the middle; idle tabs show the normal icon.
+
+export const MODE_COLORS = { focus: "#f43f5e", short: "#10b981", long: "#0ea5e9" };
+const SIZE = 64;
+const LINE = 10;
+
+let original = null; // the static icon, restored when idle
+
+function iconLink() {
+  const link = document.querySelector('link[rel~="icon"]');
+  if (link && !original) original = { href: link.href, type: link.type };
+  return link;
+}
+
+export function drawFavicon(progress, mode, paused) {
+  const link = iconLink();
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = SIZE;
+  const ctx = canvas.getContext?.("2d");
+  if (!link || !ctx) return;
+
+  const c = SIZE / 2;
+  const r = c - LINE / 2 - 1;
+  const color = MODE_COLORS[mode] || MODE_COLORS.focus;
+  ctx.lineWidth = LINE;
+  ctx.lineCap = "round";
+  ctx.globalAlpha = 0.25;
+  ctx.strokeStyle = color;
+  ctx.beginPath();
+  ctx.arc(c, c, r, 0, 2 * Math.PI);
+  ctx.stroke();
+  ctx.globalAlpha = 1;
+  if (progress > 0) {
+    ctx.beginPath();
+    ctx.arc(c, c, r, -Math.PI / 2, -Math.PI / 2 + 2 * Math.PI * progress);
+    ctx.stroke();
+  }
+  ctx.fillStyle = color;
+  if (paused) {
+    ctx.fillRect(c - 11, c - 12, 8, 24);
+    ctx.fillRect(c + 3, c - 12, 8, 24);
+  } else {
+    ctx.beginPath();
+    ctx.arc(c, c, 9, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+
+  link.type = "image/png";
+  link.href = canvas.toDataURL("image/png");
+}
+
+export function resetFavicon() {
+  const link = iconLink();
+  if (!link || !original || link.href === original.href) return;
+  link.type = original.type;
+  link.href = original.href;
+}
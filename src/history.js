@@ -0,0 +1,188 @@
+// ---- Session history ----------------------------------------------------------
+// Every focus / short / long session that was started (or skipped) becomes one
+// entry in the log. Daily numbers are always derived from it, never stored.
+
+// "voided" is a focus session abandoned because of an interruption: it is
+// logged, but never counts as a pomodoro.
+export const OUTCOMES = ["completed", "skipped", "reset", "voided"];
+export const INTERRUPTION_KINDS = ["internal", "external"];
+
+// ---- Days ----------------------------------------------------------------------
+// Days are local calendar days that begin at `dayStartHour` (0-23), so a night
+// owl with a 4 am start still counts 1 am work towards the evening before.
+// Keys are "YYYY-MM-DD" labels; stats.js does calendar arithmetic on them.
+const pad = (n) => String(n).padStart(2, "0");
+
+export function dayKey(ts, dayStartHour = 0) {
+  const d = new Date(ts);
+  if (d.getHours() < dayStartHour) d.setDate(d.getDate() - 1);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// The timestamp at which the day labelled `key` begins.
+export function dayStartsAt(key, dayStartHour = 0) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d, dayStartHour).getTime();
+}
+
+// Spreads `seconds` spent between `from` and `to` over the days that span
+// touches, in proportion to wall-clock overlap. Pauses aren't recorded, so an
+// even spread is the best available guess. Returns { [dayKey]: seconds }.
+export function splitByDay(from, to, seconds, dayStartHour = 0) {
+  const first = dayKey(from, dayStartHour);
+  if (to <= from || first === dayKey(to, dayStartHour)) return { [dayKey(to, dayStartHour)]: seconds };
+  const parts = {};
+  let start = from;
+  let key = first;
+  while (start < to) {
+    const next = new Date(dayStartsAt(key, dayStartHour));
+    next.setDate(next.getDate() + 1);
+    const end = Math.min(to, next.getTime());
+    parts[key] = (seconds * (end - start)) / (to - from);
+    start = end;
+    key = dayKey(end, dayStartHour);
+  }
+  return parts;
+}
+
+function newId(ts) {
+  return `${ts.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// `taskId` is only set for focus sessions run while a task was active, and
+// `interruptions` ([{ at, kind, note? }]) only when any were logged. An entry
+// edited afterwards gets an `updatedAt`, so sync can tell which copy is newer.
+export function makeEntry({ mode, startedAt, endedAt, plannedSec, actualSec, outcome, taskId, interruptions, overtimeSec }) {
+  const entry = { id: newId(startedAt), mode, startedAt, endedAt, plannedSec, actualSec, outcome };
+  if (overtimeSec > 0) entry.overtimeSec = overtimeSec;
+  if (taskId) entry.taskId = taskId;
+  if (interruptions?.length) entry.interruptions = interruptions;
+  return entry;
+}
+
+// ---- Overlapping entries -----------------------------------------------------------
+// With sync, two devices timing the same stretch (say a laptop and a phone)
+// each log an entry. There is only one person behind them, so overlapping
+// focus entries, and likewise overlapping breaks, count once: the longest
+// one is kept. On a single device sessions never overlap.
+const group = (e) => (e.mode === "focus" ? "focus" : "break");
+const overlaps = (a, b) => a.startedAt < b.endedAt && b.startedAt < a.endedAt;
+const longestFirst = (a, b) => b.actualSec - a.actualSec || (a.id < b.id ? -1 : 1);
+
+function keepLongest(cluster, kept) {
+  const chosen = [];
+  for (const e of [...cluster].sort(longestFirst)) {
+    if (!chosen.some((c) => overlaps(c, e))) chosen.push(e);
+  }
+  chosen.forEach((e) => kept.add(e));
+}
+
+// The entries that count towards stats, in their original order.
+export function countedEntries(history) {
+  const kept = new Set();
+  for (const g of ["focus", "break"]) {
+    const sorted = history.filter((e) => group(e) === g).sort((a, b) => a.startedAt - b.startedAt);
+    let cluster = [];
+    let clusterEnd = -Infinity;
+    for (const e of sorted) {
+      if (e.startedAt >= clusterEnd) {
+        keepLongest(cluster, kept);
+        cluster = [];
+      }
+      cluster.push(e);
+      clusterEnd = Math.max(clusterEnd, e.endedAt);
+    }
+    keepLongest(cluster, kept);
+  }
+  return kept.size === history.length ? history : history.filter((e) => kept.has(e));
+}
+
+export const emptyDay = () => ({ focusSec: 0, sessions: 0, skipped: 0, resets: 0, voided: 0, internal: 0, external: 0, breakSec: 0, overtimeSec: 0 });
+
+// Time is split across the days a session spans; the session itself (and its
+// outcome and interruptions) counts on the day it ended.
+export function summarizeDays(history, dayStartHour = 0) {
+  const days = {};
+  const at = (k) => days[k] || (days[k] = emptyDay());
+  for (const e of countedEntries(history)) {
+    const field = e.mode === "focus" ? "focusSec" : "breakSec";
+    for (const [k, sec] of Object.entries(splitByDay(e.startedAt, e.endedAt, e.actualSec, dayStartHour))) at(k)[field] += sec;
+    // Overtime is part of the focus time, and also counted on its own; it is
+    // the end of the session.
+    if (e.overtimeSec) {
+      for (const [k, sec] of Object.entries(splitByDay(e.endedAt - e.overtimeSec * 1000, e.endedAt, e.overtimeSec, dayStartHour))) at(k).overtimeSec += sec;
+    }
+    const day = at(dayKey(e.endedAt, dayStartHour));
+    if (e.mode === "focus" && e.outcome === "completed") day.sessions += 1;
+    if (e.outcome === "skipped") day.skipped += 1;
+    if (e.outcome === "reset") day.resets += 1;
+    if (e.outcome === "voided") day.voided += 1;
+    for (const i of e.interruptions || []) day[i.kind] += 1;
+  }
+  for (const day of Object.values(days)) {
+    day.focusSec = Math.round(day.focusSec);
+    day.breakSec = Math.round(day.breakSec);
+    day.overtimeSec = Math.round(day.overtimeSec);
+  }
+  return days;
+}
+
+export function summarizeDay(history, key, dayStartHour = 0) {
+  return summarizeDays(history, dayStartHour)[key] || emptyDay();
+}
+
+// Turns the old aggregate `:stats` map ({ [YYYY-MM-DD]: { focusSec, sessions } })
+// into synthetic focus entries stamped at local noon of each day (the real
+// times were never recorded). Completed sessions share the day's focus time evenly;
+// focus time without any session becomes a single reset entry.
+export function migrateLegacyStats(stats) {
+  if (!stats || typeof stats !== "object") return [];
+  const entries = [];
+  for (const [key, day] of Object.entries(stats)) {
+    const noon = /^\d{4}-\d{2}-\d{2}$/.test(key) ? localNoon(key) : NaN;
+    const focusSec = Math.max(0, Math.round(day?.focusSec || 0));
+    const sessions = Math.max(0, Math.floor(day?.sessions || 0));
+    if (Number.isNaN(noon) || (!focusSec && !sessions)) continue;
+
+    const count = sessions || 1;
+    const each = Math.floor(focusSec / count);
+    for (let i = 0; i < count; i++) {
+      const actualSec = i === count - 1 ? focusSec - each * (count - 1) : each;
+      const at = noon + i * 1000;
+      entries.push({
+        ...makeEntry({
+          mode: "focus",
+          startedAt: at,
+          endedAt: at,
+          plannedSec: actualSec,
+          actualSec,
+          outcome: sessions ? "completed" : "reset",
+        }),
+        migrated: true,
+      });
+    }
+  }
+  return entries.sort((a, b) => a.startedAt - b.startedAt);
+}
+
+const localNoon = (key) => dayStartsAt(key, 12);
+
+// Older versions stamped migrated entries at noon UTC, which lands on the
+// neighbouring local day far enough from UTC. The old keys were UTC dates and
+// the real times are gone, so the closest we can get is the same date at
+// local noon. Entries already at local noon are left alone, so this is safe
+// to run on every load.
+export function rebucketMigrated(history) {
+  let changed = false;
+  const next = history.map((e) => {
+    if (!e.migrated) return e;
+    const d = new Date(e.startedAt);
+    const offset = d.getUTCSeconds() * 1000 + d.getUTCMilliseconds();
+    if (d.getUTCHours() !== 12 || d.getUTCMinutes() !== 0) return e;
+    const at = localNoon(d.toISOString().slice(0, 10)) + offset;
+    if (at === e.startedAt) return e;
+    changed = true;
+    return { ...e, startedAt: at, endedAt: at + (e.endedAt - e.startedAt) };
+  });
+  return changed ? next : history;
+}
@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import { countedEntries, dayKey, makeEntry, migrateLegacyStats, rebucketMigrated, splitByDay, summarizeDay, summarizeDays } from "./history.js";
+
+const MIN = 60 * 1000;
+const at = (h, m = 0) => new Date(2024, 2, 5, h, m).getTime();
+
+function entry(mode, start, min, outcome = "completed", extra = {}) {
+  const startedAt = typeof start === "number" ? start : at(...start);
+  return { ...makeEntry({ mode, startedAt, endedAt: startedAt + min * MIN, plannedSec: min * 60, actualSec: min * 60, outcome }), ...extra };
+}
+
+describe("days", () => {
+  it("counts the hours before the day start towards the day before", () => {
+    expect(dayKey(at(1), 0)).toBe("2024-03-05");
+    expect(dayKey(at(1), 4)).toBe("2024-03-04");
+    expect(dayKey(at(4), 4)).toBe("2024-03-05");
+  });
+
+  it("splits a session across midnight by wall-clock time", () => {
+    expect(splitByDay(at(23, 30), at(23, 30) + 60 * MIN, 3600)).toEqual({ "2024-03-05": 1800, "2024-03-06": 1800 });
+    expect(splitByDay(at(9), at(10), 3600)).toEqual({ "2024-03-05": 3600 });
+  });
+});
+
+describe("countedEntries", () => {
+  it("keeps the longest of overlapping focus entries from two devices", () => {
+    const laptop = entry("focus", [9], 25);
+    const phone = entry("focus", [9, 5], 20);
+    const later = entry("focus", [10], 25);
+    expect(countedEntries([laptop, phone, later])).toEqual([laptop, later]);
+  });
+
+  it("lets a break overlap a focus session", () => {
+    const history = [entry("focus", [9], 25), entry("short", [9, 20], 5)];
+    expect(countedEntries(history)).toBe(history);
+  });
+
+  it("keeps both ends of a chain where only neighbours overlap", () => {
+    const a = entry("focus", [9], 30);
+    const b = entry("focus", [9, 20], 20);
+    const c = entry("focus", [9, 35], 30);
+    expect(countedEntries([a, b, c])).toEqual([a, c]);
+  });
+
+  it("counts a duplicate once in the daily summary", () => {
+    const one = entry("focus", [9], 25);
+    const day = summarizeDay([one, { ...one, id: "copy" }], "2024-03-05");
+    expect(day.sessions).toBe(1);
+    expect(day.focusSec).toBe(1500);
+  });
+});
+
+describe("summarizeDays", () => {
+  it("tallies outcomes, interruptions, breaks and overtime", () => {
+    const history = [
+      entry("focus", [9], 30, "completed", { overtimeSec: 300, interruptions: [{ at: at(9, 10), kind: "internal" }] }),
+      entry("short", [9, 30], 5),
+      entry("focus", [10], 10, "skipped"),
+      entry("focus", [11], 5, "reset"),
+      entry("focus", [12], 8, "voided", { interruptions: [{ at: at(12, 8), kind: "external" }] }),
+    ];
+    expect(summarizeDays(history)["2024-03-05"]).toEqual({
+      focusSec: (30 + 10 + 5 + 8) * 60,
+      sessions: 1,
+      skipped: 1,
+      resets: 1,
+      voided: 1,
+      internal: 1,
+      external: 1,
+      breakSec: 300,
+      overtimeSec: 300,
+    });
+  });
+});
+
+describe("legacy stats", () => {
+  it("turns daily aggregates into entries at local noon", () => {
+    const entries = migrateLegacyStats({ "2024-03-05": { focusSec: 3001, sessions: 2 }, "2024-03-06": { focusSec: 600, sessions: 0 }, bad: { focusSec: 60 } });
+    expect(entries.map((e) => [dayKey(e.startedAt), e.outcome, e.actualSec])).toEqual([
+      ["2024-03-05", "completed", 1500],
+      ["2024-03-05", "completed", 1501],
+      ["2024-03-06", "reset", 600],
+    ]);
+    expect(entries[0].startedAt).toBe(at(12));
+    expect(entries.every((e) => e.migrated)).toBe(true);
+  });
+
+  it("moves entries stamped at noon UTC to local noon, once", () => {
+    const utc = Date.UTC(2024, 2, 5, 12, 0, 1);
+    const moved = rebucketMigrated([{ ...entry("focus", utc, 0), migrated: true }, entry("focus", utc, 25)]);
+    expect(moved[0].startedAt).toBe(at(12) + 1000);
+    expect(moved[1].startedAt).toBe(utc);
+    expect(rebucketMigrated(moved)).toBe(moved);
+  });
+});
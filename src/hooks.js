@@ -0,0 +1,52 @@
+import { useEffect, useRef, useState } from "react";
+import { readValue, subscribeValue, writeValue } from "./storage.js";
+
+// ---- Hooks -------------------------------------------------------------------------
+
+// State persisted under `key` by storage.js. Writes made by other tabs are mirrored.
+export function useStoredState(key) {
+  const [state, setState] = useState(() => readValue(key));
+  useEffect(() => { writeValue(key, state); }, [key, state]);
+  useEffect(() => subscribeValue(key, setState), [key]);
+  return [state, setState];
+}
+
+export function useInterval(callback, delay) {
+  const saved = useRef(callback);
+  useEffect(() => { saved.current = callback; }, [callback]);
+  useEffect(() => {
+    if (delay == null) return;
+    const id = setInterval(() => saved.current(), delay);
+    return () => clearInterval(id);
+  }, [delay]);
+}
+
+// Fires when the page becomes visible again or the machine wakes up, so an
+// overdue deadline is handled immediately instead of on the next throttled tick.
+export function useWakeUp(callback) {
+  const saved = useRef(callback);
+  useEffect(() => { saved.current = callback; }, [callback]);
+  useEffect(() => {
+    const onWake = () => { if (document.visibilityState === "visible") saved.current(); };
+    document.addEventListener("visibilitychange", onWake);
+    window.addEventListener("focus", onWake);
+    window.addEventListener("pageshow", onWake);
+    return () => {
+      document.removeEventListener("visibilitychange", onWake);
+      window.removeEventListener("focus", onWake);
+      window.removeEventListener("pageshow", onWake);
+    };
+  }, []);
+}
+
+export function useMedia(query) {
+  const [matches, setMatches] = useState(() => window.matchMedia(query).matches);
+  useEffect(() => {
+    const mq = window.matchMedia(query);
+    const onChange = () => setMatches(mq.matches);
+    onChange();
+    mq.addEventListener?.("change", onChange);
+    return () => mq.removeEventListener?.("change", onChange);
+  }, [query]);
+  return matches;
+}
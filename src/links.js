@@ -0,0 +1,88 @@
+import { BUILTIN_PRESETS } from "./sequences.js";
+import { DEFAULT_SETTINGS } from "./storage.js";
+
+// ---- Links --------------------------------------------------------------------------
+// Setups travel as query strings (?focus=50&short=10&long=20&every=3&autostart=1),
+// optionally with start=focus|short|long to begin a session when opened. Views
+// live in the hash (#/stats), so the browser's back and forward move between them.
+
+// Query parameter → setting, with the same limits as the Settings card. Only
+// built-in presets can be linked; custom ones exist on a single install.
+export const PARAMS = [
+  { param: "focus", key: "pomodoroMin", label: "Pomodoro", min: 1, max: 180, unit: "min" },
+  { param: "short", key: "shortMin", label: "Short break", min: 1, max: 60, unit: "min" },
+  { param: "long", key: "longMin", label: "Long break", min: 1, max: 90, unit: "min" },
+  { param: "every", key: "longEvery", label: "Long break every", min: 2, max: 12, unit: "sessions" },
+  { param: "autostart", key: "autoStart", label: "Auto-start next session", flag: true },
+  { param: "preset", key: "presetId", label: "Preset", preset: true },
+];
+const START_MODES = ["focus", "short", "long"];
+export const VIEWS = ["timer", "stats", "mini"];
+
+function readParam(p, raw) {
+  if (p.flag) return /^(1|true|yes|on)$/i.test(raw) ? true : /^(0|false|no|off)$/i.test(raw) ? false : undefined;
+  if (p.preset) return BUILTIN_PRESETS.some((b) => b.id === raw) ? raw : undefined;
+  const n = parseInt(raw, 10);
+  return Number.isNaN(n) ? undefined : Math.max(p.min, Math.min(p.max, n));
+}
+
+// Returns { settings, start } for a query string, or null when it carries
+// nothing Pomox understands. `settings` only holds the keys the link sets.
+export function parseLink(search) {
+  const query = new URLSearchParams(search);
+  const settings = {};
+  PARAMS.forEach((p) => {
+    const value = query.has(p.param) ? readParam(p, query.get(p.param)) : undefined;
+    if (value !== undefined) settings[p.key] = value;
+  });
+  const start = START_MODES.includes(query.get("start")) ? query.get("start") : null;
+  const hasSettings = Object.keys(settings).length > 0;
+  return hasSettings || start ? { settings: hasSettings ? settings : null, start } : null;
+}
+
+// The query string without the parameters a link sets, e.g. for the address
+// bar once the link is read. Others (a notification action) are kept.
+export function withoutLinkParams(search) {
+  const query = new URLSearchParams(search);
+  [...PARAMS.map((p) => p.param), "start"].forEach((name) => query.delete(name));
+  const rest = query.toString();
+  return rest ? `?${rest}` : "";
+}
+
+export function shareLink(settings, { start = null } = {}, base = window.location.origin + window.location.pathname) {
+  const query = new URLSearchParams();
+  PARAMS.forEach((p) => {
+    const value = settings[p.key];
+    if (p.preset && (value === "classic" || !BUILTIN_PRESETS.some((b) => b.id === value))) return;
+    query.set(p.param, p.flag ? (value ? "1" : "0") : value);
+  });
+  if (start) query.set("start", start);
+  return `${base}?${query}`;
+}
+
+function formatValue(p, value) {
+  if (p.flag) return value ? "on" : "off";
+  if (p.preset) return BUILTIN_PRESETS.find((b) => b.id === value)?.name || "Custom";
+  return `${value} ${p.unit}`;
+}
+
+// What applying `incoming` would change. `customised` marks settings the user
+// has changed from the defaults, which a link shouldn't overwrite unasked.
+export function settingsChanges(current, incoming) {
+  return PARAMS.filter((p) => p.key in incoming && incoming[p.key] !== current[p.key]).map((p) => ({
+    key: p.key,
+    label: p.label,
+    from: formatValue(p, current[p.key]),
+    to: formatValue(p, incoming[p.key]),
+    customised: current[p.key] !== DEFAULT_SETTINGS[p.key],
+  }));
+}
+
+export function viewFromHash(hash) {
+  const view = hash.replace(/^#\/?/, "");
+  return VIEWS.includes(view) ? view : "timer";
+}
+
+export function hashForView(view) {
+  return view === "timer" ? "#/" : `#/${view}`;
+}
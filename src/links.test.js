@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import { hashForView, parseLink, settingsChanges, shareLink, viewFromHash, withoutLinkParams } from "./links.js";
+import { DEFAULT_SETTINGS } from "./storage.js";
+
+describe("parseLink", () => {
+  it("reads settings and clamps them to the Settings card's limits", () => {
+    expect(parseLink("?focus=500&short=0&every=3&autostart=off&preset=52-17")).toEqual({
+      settings: { pomodoroMin: 180, shortMin: 1, longEvery: 3, autoStart: false, presetId: "52-17" },
+      start: null,
+    });
+  });
+
+  it("ignores values it can't read", () => {
+    expect(parseLink("?focus=abc&autostart=maybe&preset=mine&start=nap")).toBeNull();
+    expect(parseLink("?action=skip")).toBeNull();
+  });
+
+  it("reads a start without settings", () => {
+    expect(parseLink("?start=short")).toEqual({ settings: null, start: "short" });
+  });
+});
+
+describe("shareLink", () => {
+  it("round-trips through parseLink", () => {
+    const settings = { ...DEFAULT_SETTINGS, pomodoroMin: 50, autoStart: false, presetId: "deep-90" };
+    const link = shareLink(settings, { start: "focus" }, "https://pomox.test/");
+    expect(parseLink(new URL(link).search)).toEqual({
+      settings: { pomodoroMin: 50, shortMin: 5, longMin: 15, longEvery: 4, autoStart: false, presetId: "deep-90" },
+      start: "focus",
+    });
+  });
+
+  it("leaves out the classic and custom presets", () => {
+    expect(shareLink({ ...DEFAULT_SETTINGS, presetId: "p-custom" }, {}, "")).not.toContain("preset=");
+  });
+
+  it("strips only link parameters from the address", () => {
+    expect(withoutLinkParams("?focus=50&start=focus&action=skip")).toBe("?action=skip");
+    expect(withoutLinkParams("?focus=50")).toBe("");
+  });
+});
+
+describe("settingsChanges", () => {
+  it("lists only what would change and marks customised settings", () => {
+    const current = { ...DEFAULT_SETTINGS, shortMin: 10 };
+    expect(settingsChanges(current, { pomodoroMin: 50, shortMin: 7, longMin: 15 })).toEqual([
+      { key: "pomodoroMin", label: "Pomodoro", from: "25 min", to: "50 min", customised: false },
+      { key: "shortMin", label: "Short break", from: "10 min", to: "7 min", customised: true },
+    ]);
+  });
+});
+
+describe("views", () => {
+  it("maps hashes to views and back", () => {
+    expect(viewFromHash("#/stats")).toBe("stats");
+    expect(viewFromHash("#mini")).toBe("mini");
+    expect(viewFromHash("#/nowhere")).toBe("timer");
+    expect(hashForView("timer")).toBe("#/");
+    expect(hashForView("stats")).toBe("#/stats");
+  });
+});
@@ -0,0 +1,36 @@
+// ---- Mini-timer window ---------------------------------------------------------------
+// Document Picture-in-Picture gives an always-on-top window (Chromium only).
+// Elsewhere the mini view (#/mini) opens in a small popup, and when popups are
+// blocked the caller shows it in place.
+
+export const MINI_SIZE = { width: 240, height: 290 };
+
+export const canPictureInPicture = () => "documentPictureInPicture" in window;
+
+// The PiP window starts empty; it needs our stylesheets to render the mini timer.
+function copyStyles(to) {
+  [...document.styleSheets].forEach((sheet) => {
+    try {
+      const style = to.createElement("style");
+      style.textContent = [...sheet.cssRules].map((r) => r.cssText).join("\n");
+      to.head.appendChild(style);
+    } catch {
+      if (!sheet.href) return;
+      const link = to.createElement("link");
+      link.rel = "stylesheet";
+      link.href = sheet.href;
+      to.head.appendChild(link);
+    }
+  });
+}
+
+export async function openPictureInPicture() {
+  const win = await window.documentPictureInPicture.requestWindow(MINI_SIZE);
+  copyStyles(win.document);
+  win.document.title = "Pomox";
+  return win;
+}
+
+export function openMiniPopup(url) {
+  return window.open(url, "pomox-mini", `popup,width=${MINI_SIZE.width},height=${MINI_SIZE.height}`);
+}
@@ -0,0 +1,76 @@
+// ---- Service worker & notifications ------------------------------------------------
+// Notifications go through the service worker when there is one: that is the
+// only way to get action buttons, and lets the worker show the session-end
+// notification even when this page isn't running. `new Notification` remains
+// the fallback for dev builds and browsers without service workers.
+
+export const NOTIFICATION_TAG = "pomox-session";
+
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !import.meta.env.PROD) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((err) => {
+      console.warn("Pomox: service worker registration failed", err);
+    });
+  });
+}
+
+const canNotify = () => "Notification" in window && Notification.permission === "granted";
+
+// Notification Triggers let a scheduled notification fire with every tab
+// closed; elsewhere the service worker can only hold on for a few minutes.
+export const notifiesWhenClosed = () => "Notification" in window && "showTrigger" in Notification.prototype;
+
+async function activeWorker() {
+  if (!("serviceWorker" in navigator)) return null;
+  const reg = await navigator.serviceWorker.getRegistration();
+  return reg?.active ? reg : null;
+}
+
+// `actions` are [{ action, title }]; `deadline` identifies the session that ended
+// so a late click can't act on a newer one. Other notifications (goals) pass
+// their own `tag` so they don't replace the session one.
+export async function showSessionNotification(title, body, { actions = [], deadline, tag = NOTIFICATION_TAG } = {}) {
+  if (!canNotify()) return;
+  const reg = await activeWorker();
+  if (reg) {
+    // The worker may already have shown this one while the page was asleep.
+    const shown = await reg.getNotifications({ tag });
+    if (deadline != null && shown.some((n) => n.data?.deadline === deadline)) return;
+    await reg.showNotification(title, { body, tag, renotify: true, actions, data: { deadline } });
+    return;
+  }
+  new Notification(title, { body, tag });
+}
+
+export async function scheduleSessionNotification(at, title, body, { actions = [], deadline } = {}) {
+  if (!canNotify()) return;
+  const reg = await activeWorker();
+  reg?.active.postMessage({ type: "schedule", at, title, options: { body, actions, data: { deadline } } });
+}
+
+export async function cancelSessionNotification() {
+  const reg = await activeWorker();
+  reg?.active.postMessage({ type: "cancel" });
+}
+
+// Calls `handler({ action, deadline })` for notification action clicks, whether
+// they arrive as a worker message or, with no tab open, in the launch URL.
+export function listenForNotificationActions(handler) {
+  const params = new URLSearchParams(window.location.search);
+  if (params.has("action")) {
+    const action = params.get("action");
+    const deadline = Number(params.get("deadline")) || null;
+    params.delete("action");
+    params.delete("deadline");
+    const query = params.toString();
+    window.history.replaceState(null, "", window.location.pathname + (query ? `?${query}` : "") + window.location.hash);
+    setTimeout(() => handler({ action, deadline }), 0);
+  }
+  if (!("serviceWorker" in navigator)) return () => {};
+  const onMessage = (e) => {
+    if (e.data?.type === "notification-action") handler({ action: e.data.action, deadline: e.data.deadline });
+  };
+  navigator.serviceWorker.addEventListener("message", onMessage);
+  return () => navigator.serviceWorker.removeEventListener("message", onMessage);
+}
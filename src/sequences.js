@@ -0,0 +1,83 @@
+// ---- Session sequences ------------------------------------------------------------
+// A sequence is an ordered list of steps that repeats forever. Each step has a
+// type (which drives stats and colours), its own length and an optional label.
+// "Classic" is derived from the pomodoro/short/long settings so those fields
+// keep working; every other preset carries its own steps.
+
+export const STEP_TYPES = [
+  { id: "focus", label: "Focus" },
+  { id: "short", label: "Short break" },
+  { id: "long", label: "Long break" },
+];
+
+export const STEP_MIN = 1;
+export const STEP_MAX = 240;
+
+const step = (type, min, label) => ({ type, min, label: label || "" });
+
+export const BUILTIN_PRESETS = [
+  { id: "classic", builtin: true },
+  { id: "52-17", name: "52/17", builtin: true, steps: [step("focus", 52), step("short", 17)] },
+  { id: "deep-90", name: "Deep Work 90/20", builtin: true, steps: [step("focus", 90, "Deep work"), step("short", 20)] },
+  {
+    id: "3x45-lunch",
+    name: "3 × 45 then lunch",
+    builtin: true,
+    steps: [step("focus", 45), step("short", 10), step("focus", 45), step("short", 10), step("focus", 45), step("long", 60, "Lunch")],
+  },
+];
+
+export function classicSteps(settings) {
+  const steps = [];
+  for (let i = 1; i <= settings.longEvery; i++) {
+    steps.push(step("focus", settings.pomodoroMin));
+    steps.push(i === settings.longEvery ? step("long", settings.longMin) : step("short", settings.shortMin));
+  }
+  return steps;
+}
+
+export function allPresets(custom, settings) {
+  return [
+    ...BUILTIN_PRESETS.map((p) =>
+      p.id === "classic" ? { ...p, name: `Classic ${settings.pomodoroMin}/${settings.shortMin}`, steps: classicSteps(settings) } : p
+    ),
+    ...custom,
+  ];
+}
+
+export function findPreset(id, custom, settings) {
+  const list = allPresets(custom, settings);
+  return list.find((p) => p.id === id) || list[0];
+}
+
+export function makePreset(name, steps, now = Date.now()) {
+  return { id: `p-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`, name, steps: steps.map((s) => ({ ...s })) };
+}
+
+// Focus steps finished in the current pass through the sequence.
+export function focusProgress(steps, index) {
+  const total = steps.filter((s) => s.type === "focus").length;
+  const done = steps.slice(0, index).filter((s) => s.type === "focus").length;
+  return { done, total };
+}
+
+// The first step of `type` at or after `from`, wrapping around; -1 if none.
+export function nextIndexOfType(steps, from, type) {
+  for (let k = 0; k < steps.length; k++) {
+    const i = (from + k) % steps.length;
+    if (steps[i].type === type) return i;
+  }
+  return -1;
+}
+
+// Reads a one-off length such as "focus 40", "break 10" or "long 20m".
+// Returns { type, min } or null.
+const LENGTH_WORDS = { focus: "focus", pomodoro: "focus", work: "focus", short: "short", break: "short", long: "long" };
+
+export function parseCustomLength(text) {
+  const m = /^\s*(\w+)\s+(\d{1,3})\s*(?:m|min|mins|minutes?)?\s*$/i.exec(text);
+  const type = m && LENGTH_WORDS[m[1].toLowerCase()];
+  if (!type) return null;
+  const min = parseInt(m[2], 10);
+  return min >= STEP_MIN && min <= STEP_MAX ? { type, min } : null;
+}
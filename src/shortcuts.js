@@ -0,0 +1,95 @@
+// ---- Keyboard shortcuts -----------------------------------------------------------
+// A binding is a combo string such as "Space", "Shift+R" or "Mod+K", where Mod
+// is ⌘ on Apple platforms and Ctrl everywhere else. Bindings are stored per
+// action; `null` leaves an action unbound.
+
+export const SHORTCUT_ACTIONS = [
+  { id: "startPause", label: "Start / pause" },
+  { id: "reset", label: "Reset session" },
+  { id: "skip", label: "Skip to next session" },
+  { id: "interruptInternal", label: "Log internal interruption" },
+  { id: "interruptExternal", label: "Log external interruption" },
+  { id: "void", label: "Void this pomodoro" },
+  { id: "modeFocus", label: "Switch to Pomodoro" },
+  { id: "modeShort", label: "Switch to Short Break" },
+  { id: "modeLong", label: "Switch to Long Break" },
+  { id: "theme", label: "Next theme" },
+  { id: "stats", label: "Toggle stats" },
+  { id: "mini", label: "Open mini timer" },
+  { id: "help", label: "Show shortcuts" },
+  { id: "palette", label: "Command palette" },
+];
+
+export const DEFAULT_SHORTCUTS = {
+  startPause: "Space",
+  reset: "R",
+  skip: "N",
+  interruptInternal: "I",
+  interruptExternal: "E",
+  void: "V",
+  modeFocus: "1",
+  modeShort: "2",
+  modeLong: "3",
+  theme: "T",
+  stats: "S",
+  mini: "M",
+  help: "?",
+  palette: "Mod+K",
+};
+
+// Combos the browser (or OS) keeps for itself; binding them would either
+// never fire or take the shortcut away from the user.
+const RESERVED = ["Mod+W", "Mod+T", "Mod+N", "Mod+Q", "Mod+R", "Mod+L", "Mod+P", "Mod+S", "Mod+F", "Mod+Tab", "Shift+Mod+T", "Shift+Mod+N", "Alt+F4", "F5", "F11", "F12", "Tab", "Escape"];
+const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta", "AltGraph", "CapsLock"];
+
+export const IS_MAC = typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+// Turns a keydown into a combo, or null for a bare modifier press. Shift is
+// only recorded for letters and named keys: on "?" or "!" it is part of the
+// character itself and differs between keyboard layouts.
+export function comboFromEvent(e) {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+  let key = e.code === "Space" ? "Space" : e.key;
+  // Option on a Mac turns letters into symbols (⌥R is "®"); use the key itself.
+  const physical = e.altKey && /^(Key|Digit)(.)$/.exec(e.code || "");
+  if (physical) key = physical[2];
+  if (key.length === 1) key = key.toUpperCase();
+  const symbol = key.length === 1 && key.toLowerCase() === key;
+  const parts = [];
+  if (e.shiftKey && !symbol) parts.push("Shift");
+  if (e.altKey) parts.push("Alt");
+  if (IS_MAC ? e.metaKey : e.ctrlKey) parts.push("Mod");
+  if (IS_MAC && e.ctrlKey) parts.push("Ctrl");
+  if (!IS_MAC && e.metaKey) parts.push("Meta");
+  return [...parts, key].join("+");
+}
+
+export function formatCombo(combo) {
+  if (!combo) return "—";
+  return combo
+    .split("+")
+    .map((p) => (p === "Mod" ? (IS_MAC ? "⌘" : "Ctrl") : p === "Alt" && IS_MAC ? "⌥" : p === "Shift" && IS_MAC ? "⇧" : p))
+    .join(IS_MAC ? "" : " ");
+}
+
+// Returns why `combo` can't be bound to `actionId`, or null when it can.
+export function shortcutConflict(bindings, actionId, combo) {
+  if (RESERVED.includes(combo)) return `${formatCombo(combo)} is reserved by the browser.`;
+  const taken = SHORTCUT_ACTIONS.find((a) => a.id !== actionId && bindings[a.id] === combo);
+  return taken ? `${formatCombo(combo)} is already used for “${taken.label}”.` : null;
+}
+
+export function actionForCombo(bindings, combo) {
+  return SHORTCUT_ACTIONS.find((a) => bindings[a.id] === combo)?.id ?? null;
+}
+
+// Keys typed into form fields belong to the field.
+export function isTypingTarget(el) {
+  return el instanceof HTMLElement && (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName));
+}
+
+// Space and Enter belong to a focused button, link, tab or switch, so keyboard
+// users can press it.
+export function pressesTarget(el, combo) {
+  return (combo === "Space" || combo === "Enter") && el instanceof HTMLElement && el.closest("button, a[href], summary, [role=button], [role=tab], [role=switch]") != null;
+}
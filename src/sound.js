@@ -0,0 +1,269 @@
+// ---- Sound engine ------------------------------------------------------------------
+// Everything is synthesised with Web Audio, so no audio files ship with the app
+// and nothing can fail to decode. The one exception is the user's own upload,
+// which is kept as a Blob in IndexedDB (too big for localStorage).
+
+export const SOUNDS = [
+  { id: "chime", label: "Chime" },
+  { id: "bell", label: "Bell" },
+  { id: "digital", label: "Digital" },
+  { id: "wood", label: "Woodblock" },
+  { id: "beep", label: "Classic beep" },
+];
+
+export const AMBIENTS = [
+  { id: "off", label: "Off" },
+  { id: "white", label: "White noise" },
+  { id: "brown", label: "Brown noise" },
+  { id: "rain", label: "Rain" },
+];
+
+export const CUSTOM_SOUND = "custom";
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+function tone(ctx, out, t, { freq, dur, type = "sine", peak = 0.3, attack = 0.005 }) {
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+  osc.type = type;
+  osc.frequency.setValueAtTime(freq, t);
+  gain.gain.setValueAtTime(0.0001, t);
+  gain.gain.exponentialRampToValueAtTime(peak, t + attack);
+  gain.gain.exponentialRampToValueAtTime(0.0001, t + dur);
+  osc.connect(gain);
+  gain.connect(out);
+  osc.start(t);
+  osc.stop(t + dur + 0.05);
+}
+
+const SYNTHS = {
+  chime(ctx, out, t) {
+    tone(ctx, out, t, { freq: 1318.5, dur: 1.2 });
+    tone(ctx, out, t + 0.18, { freq: 1760, dur: 1.4 });
+    tone(ctx, out, t + 0.18, { freq: 3520, dur: 0.6, peak: 0.05 });
+  },
+  bell(ctx, out, t) {
+    // Inharmonic partials are what make it read as a bell rather than an organ.
+    [[1, 0.3, 2.2], [2, 0.15, 1.6], [2.76, 0.1, 1.2], [5.4, 0.05, 0.7]].forEach(([ratio, peak, dur]) =>
+      tone(ctx, out, t, { freq: 660 * ratio, dur, peak })
+    );
+  },
+  digital(ctx, out, t) {
+    for (let group = 0; group < 2; group++) {
+      for (let i = 0; i < 3; i++) tone(ctx, out, t + group * 0.6 + i * 0.15, { freq: 1000, dur: 0.08, type: "square", peak: 0.08 });
+    }
+  },
+  wood(ctx, out, t) {
+    tone(ctx, out, t, { freq: 820, dur: 0.09, type: "triangle", peak: 0.5, attack: 0.001 });
+    tone(ctx, out, t + 0.22, { freq: 620, dur: 0.12, type: "triangle", peak: 0.5, attack: 0.001 });
+  },
+  beep(ctx, out, t) {
+    tone(ctx, out, t, { freq: 880, dur: 0.5, peak: 0.2, attack: 0.01 });
+  },
+  // Goal reached: a rising arpeggio, started late enough not to clash with the
+  // session-end sound that usually plays at the same moment.
+  celebrate(ctx, out, t) {
+    [523.25, 659.25, 783.99, 1046.5].forEach((freq, i) => tone(ctx, out, t + 0.8 + i * 0.12, { freq, dur: 0.6, type: "triangle", peak: 0.2 }));
+  },
+  // Overtime reminder: two soft notes, quieter than any session-end sound.
+  nudge(ctx, out, t) {
+    tone(ctx, out, t, { freq: 659.25, dur: 0.6, peak: 0.08, attack: 0.05 });
+    tone(ctx, out, t + 0.25, { freq: 880, dur: 0.8, peak: 0.06, attack: 0.05 });
+  },
+  tick(ctx, out, t) {
+    tone(ctx, out, t, { freq: 2200, dur: 0.025, type: "triangle", peak: 0.15, attack: 0.001 });
+  },
+};
+
+function noiseBuffer(ctx, kind) {
+  const length = ctx.sampleRate * 4;
+  const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  let last = 0;
+  for (let i = 0; i < length; i++) {
+    const white = Math.random() * 2 - 1;
+    if (kind === "brown") {
+      last = (last + 0.02 * white) / 1.02;
+      data[i] = last * 3.5;
+    } else {
+      data[i] = white;
+    }
+  }
+  return buffer;
+}
+
+// Builds a looping ambient graph; returns its volume node and a stop function.
+function ambientGraph(ctx, kind, out) {
+  const src = ctx.createBufferSource();
+  src.buffer = noiseBuffer(ctx, kind === "brown" ? "brown" : "white");
+  src.loop = true;
+  const sources = [src];
+  let node = src;
+  if (kind === "rain") {
+    const band = ctx.createBiquadFilter();
+    band.type = "bandpass";
+    band.frequency.value = 1400;
+    band.Q.value = 0.6;
+    const shimmer = ctx.createGain();
+    const lfo = ctx.createOscillator();
+    const depth = ctx.createGain();
+    lfo.frequency.value = 0.15;
+    depth.gain.value = 0.25;
+    shimmer.gain.value = 0.75;
+    lfo.connect(depth);
+    depth.connect(shimmer.gain);
+    lfo.start();
+    sources.push(lfo);
+    src.connect(band);
+    band.connect(shimmer);
+    node = shimmer;
+  } else if (kind === "white") {
+    const soften = ctx.createBiquadFilter();
+    soften.type = "lowpass";
+    soften.frequency.value = 9000;
+    src.connect(soften);
+    node = soften;
+  }
+  const gain = ctx.createGain();
+  node.connect(gain);
+  gain.connect(out);
+  src.start();
+  return {
+    gain,
+    stop() {
+      sources.forEach((n) => n.stop());
+      gain.disconnect();
+    },
+  };
+}
+
+export function createSoundEngine() {
+  let ctx = null;
+  let tickTimer = null;
+  let ambient = null;
+  let customBuffer = null;
+
+  function context() {
+    if (ctx) return ctx;
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return null;
+    ctx = new Ctx();
+    return ctx;
+  }
+
+  // A per-sound gain node, disconnected after `ttl` ms so nodes don't pile up.
+  function output(volume, ttl = 3000) {
+    const gain = ctx.createGain();
+    gain.gain.value = Math.max(0, Math.min(1, volume));
+    gain.connect(ctx.destination);
+    if (ttl) setTimeout(() => gain.disconnect(), ttl);
+    return gain;
+  }
+
+  async function customSound() {
+    if (customBuffer) return customBuffer;
+    const blob = await loadCustomSound();
+    if (!blob) return null;
+    customBuffer = await ctx.decodeAudioData(await blob.arrayBuffer());
+    return customBuffer;
+  }
+
+  return {
+    // Browsers only let audio start from a user gesture; call this from one.
+    async unlock() {
+      const c = context();
+      if (c?.state === "suspended") await c.resume();
+    },
+
+    async play(id, volume) {
+      const c = context();
+      if (!c) return;
+      if (c.state === "suspended") await c.resume();
+      if (id === CUSTOM_SOUND) {
+        const buffer = await customSound().catch(() => null);
+        if (buffer) {
+          const out = output(volume, 0);
+          const src = c.createBufferSource();
+          src.buffer = buffer;
+          src.connect(out);
+          src.onended = () => out.disconnect();
+          src.start();
+          return;
+        }
+        id = "chime";
+      }
+      (SYNTHS[id] || SYNTHS.chime)(c, output(volume), c.currentTime + 0.01);
+    },
+
+    setTicking(on, volume) {
+      clearInterval(tickTimer);
+      tickTimer = null;
+      if (!on || !context()) return;
+      tickTimer = setInterval(() => {
+        if (ctx.state === "running") SYNTHS.tick(ctx, output(volume), ctx.currentTime + 0.01);
+      }, 1000);
+    },
+
+    setAmbient(kind, volume) {
+      if (kind === "off" || !context()) {
+        ambient?.stop();
+        ambient = null;
+        return;
+      }
+      if (ambient?.kind !== kind) {
+        ambient?.stop();
+        ambient = { kind, ...ambientGraph(ctx, kind, ctx.destination) };
+      }
+      ambient.gain.gain.setTargetAtTime(Math.max(0, Math.min(1, volume)) * 0.5, ctx.currentTime, 0.3);
+    },
+
+    forgetCustomSound() {
+      customBuffer = null;
+    },
+
+    dispose() {
+      clearInterval(tickTimer);
+      ambient?.stop();
+      ctx?.close();
+      ctx = null;
+    },
+  };
+}
+
+// ---- Custom sound storage -------------------------------------------------------------
+const DB_NAME = "pomox-audio";
+const STORE = "sounds";
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    if (!("indexedDB" in window)) return reject(new Error("IndexedDB is not available"));
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => { db.close(); resolve(req?.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
+}
+
+export async function saveCustomSound(file) {
+  if (!file.type.startsWith("audio/")) throw new Error("That file isn't an audio file.");
+  if (file.size > MAX_UPLOAD_BYTES) throw new Error("Please pick a sound under 5 MB.");
+  await withStore("readwrite", (s) => s.put(file, CUSTOM_SOUND));
+  return file.name;
+}
+
+export function loadCustomSound() {
+  return withStore("readonly", (s) => s.get(CUSTOM_SOUND));
+}
+
+export function deleteCustomSound() {
+  return withStore("readwrite", (s) => s.delete(CUSTOM_SOUND));
+}
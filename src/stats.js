@@ -0,0 +1,153 @@
+// ---- Dashboard aggregates -----------------------------------------------------
+// Pure helpers over the `summarizeDays` map; nothing here touches React.
+import { countedEntries, dayKey } from "./history.js";
+
+export const RANGES = [
+  { id: "day", label: "Day" },
+  { id: "week", label: "Week" },
+  { id: "month", label: "Month" },
+];
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export function addDays(key, n) {
+  const d = new Date(`${key}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+const isActive = (day) => !!day && day.focusSec > 0;
+
+// Bars for the selected range: the hours of today (from the day-start hour
+// on), or the last 7 / 30 days.
+export function rangeSeries(history, days, range, now = Date.now(), dayStartHour = 0) {
+  const today = dayKey(now, dayStartHour);
+  if (range === "day") {
+    const hours = Array.from({ length: 24 }, (_, i) => {
+      const h = (i + dayStartHour) % 24;
+      return { key: String(h), label: String(h).padStart(2, "0"), focusSec: 0, overtimeSec: 0, sessions: 0, interruptions: 0 };
+    });
+    for (const e of countedEntries(history)) {
+      if (e.mode !== "focus" || dayKey(e.endedAt, dayStartHour) !== today) continue;
+      const bucket = hours[(new Date(e.endedAt).getHours() - dayStartHour + 24) % 24];
+      bucket.focusSec += e.actualSec;
+      bucket.overtimeSec += e.overtimeSec || 0;
+      if (e.outcome === "completed") bucket.sessions += 1;
+      bucket.interruptions += e.interruptions?.length || 0;
+    }
+    return hours;
+  }
+  const count = range === "week" ? 7 : 30;
+  return Array.from({ length: count }, (_, i) => {
+    const key = addDays(today, i - count + 1);
+    const day = days[key];
+    const label = range === "week" ? WEEKDAYS[new Date(`${key}T00:00:00Z`).getUTCDay()] : key.slice(8);
+    return { key, label, focusSec: day?.focusSec || 0, overtimeSec: day?.overtimeSec || 0, sessions: day?.sessions || 0, interruptions: (day?.internal || 0) + (day?.external || 0) };
+  });
+}
+
+// Streaks count consecutive days with any focus time. Today only extends the
+// current streak; a day that hasn't started yet doesn't break it.
+export function computeStreaks(days, now = Date.now(), dayStartHour = 0) {
+  const today = dayKey(now, dayStartHour);
+  let current = 0;
+  let cursor = isActive(days[today]) ? today : addDays(today, -1);
+  while (isActive(days[cursor])) {
+    current += 1;
+    cursor = addDays(cursor, -1);
+  }
+
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  for (const key of Object.keys(days).filter((k) => isActive(days[k])).sort()) {
+    run = prev && addDays(prev, 1) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = key;
+  }
+  return { current, longest };
+}
+
+export function bestDay(days) {
+  let best = null;
+  for (const [key, day] of Object.entries(days)) {
+    if (isActive(day) && (!best || day.focusSec > best.focusSec)) best = { key, ...day };
+  }
+  return best;
+}
+
+// Averages per active day across the bars of a week/month series.
+export function averages(series) {
+  const active = series.filter((b) => b.focusSec > 0);
+  if (!active.length) return { focusSec: 0, sessions: 0, activeDays: 0 };
+  const sum = (f) => active.reduce((n, b) => n + b[f], 0);
+  return {
+    focusSec: Math.round(sum("focusSec") / active.length),
+    sessions: sum("sessions") / active.length,
+    activeDays: active.length,
+  };
+}
+
+// GitHub-style grid: `weeks` columns of Sunday..Saturday cells ending with the
+// current week. `level` is 0..4 relative to the busiest day in view.
+export function heatmapWeeks(days, weeks = 26, now = Date.now(), dayStartHour = 0) {
+  const today = dayKey(now, dayStartHour);
+  const start = addDays(today, -(weeks - 1) * 7 - new Date(`${today}T00:00:00Z`).getUTCDay());
+  const cells = [];
+  for (let i = 0; i < weeks * 7; i++) {
+    const key = addDays(start, i);
+    cells.push({ key, focusSec: days[key]?.focusSec || 0, future: key > today });
+  }
+  const max = Math.max(1, ...cells.map((c) => c.focusSec));
+  const columns = [];
+  for (let w = 0; w < weeks; w++) {
+    columns.push(
+      cells.slice(w * 7, w * 7 + 7).map((c) => ({ ...c, level: c.focusSec ? Math.min(4, Math.ceil((c.focusSec / max) * 4)) : 0 }))
+    );
+  }
+  return columns;
+}
+
+// ---- Goals ------------------------------------------------------------------------
+export const GOAL_METRICS = [
+  { id: "sessions", label: "Sessions", unit: "sessions" },
+  { id: "minutes", label: "Focus minutes", unit: "min" },
+];
+
+export function goalValue(day, metric) {
+  if (!day) return 0;
+  return metric === "minutes" ? Math.floor(day.focusSec / 60) : day.sessions;
+}
+
+// Weeks start on Monday.
+export function weekStart(key) {
+  return addDays(key, -((new Date(`${key}T00:00:00Z`).getUTCDay() + 6) % 7));
+}
+
+export function weekValue(days, metric, now = Date.now(), dayStartHour = 0) {
+  const today = dayKey(now, dayStartHour);
+  let total = 0;
+  for (let key = weekStart(today); key <= today; key = addDays(key, 1)) total += goalValue(days[key], metric);
+  return total;
+}
+
+// Streaks of days that met the daily goal. Days off are stepped over: they
+// neither break a streak nor extend it. As with `computeStreaks`, today can
+// only extend the current streak.
+export function goalStreaks(days, metric, target, daysOff = [], now = Date.now(), dayStartHour = 0) {
+  const today = dayKey(now, dayStartHour);
+  const keys = Object.keys(days).sort();
+  if (target <= 0 || !keys.length) return { current: 0, longest: 0 };
+  const off = new Set(daysOff);
+  let run = 0;
+  let longest = 0;
+  for (let key = keys[0]; key <= today; key = addDays(key, 1)) {
+    if (goalValue(days[key], metric) >= target) {
+      run += 1;
+      longest = Math.max(longest, run);
+    } else if (!off.has(key) && key !== today) {
+      run = 0;
+    }
+  }
+  return { current: run, longest };
+}
@@ -0,0 +1,287 @@
+import { migrateLegacyStats, rebucketMigrated } from "./history.js";
+import { findPreset, nextIndexOfType } from "./sequences.js";
+import { DEFAULT_BREAKS } from "./breaks.js";
+
+// ---- Persistence -------------------------------------------------------------------
+// Everything Pomox keeps lives under one prefix. Small values go to localStorage;
+// the session history, which only ever grows, goes to IndexedDB where the
+// browser allows it. `openStorage` migrates and loads everything into memory
+// once at startup, so reads during render stay synchronous.
+
+export const STORAGE_PREFIX = "pomox-kyaw-v1";
+export const SCHEMA_VERSION = 3;
+
+export const DEFAULT_SETTINGS = {
+  pomodoroMin: 25,
+  shortMin: 5,
+  longMin: 15,
+  longEvery: 4,
+  autoStart: true,
+  sound: true,
+  notify: true,
+  presetId: "classic",
+  focusEndSound: "chime",
+  breakEndSound: "bell",
+  volume: 0.7,
+  tick: false,
+  ambient: "off",
+  ambientVolume: 0.4,
+  customSoundName: null,
+  goalMetric: "sessions",
+  dailyGoal: 8,
+  weeklyGoal: 40,
+  dayStartHour: 0,
+  breaks: DEFAULT_BREAKS,
+  away: { enabled: true, idleMin: 5, unattended: 2 },
+  flow: { enabled: false, reminderMin: 5, breakRatio: 0 },
+  announce: { end: true, minutes: false, lastTen: false },
+};
+
+// Every key and its value when nothing is stored. Stored objects are merged
+// over their defaults, so settings added later show up for existing users too.
+const DEFAULTS = {
+  settings: DEFAULT_SETTINGS,
+  presets: [],
+  step: 0,
+  cycles: 0,
+  timer: null,
+  theme: "redesigned",
+  themes: [],
+  tasks: [],
+  activeTask: null,
+  history: [],
+  daysOff: [],
+  celebrated: {},
+  room: { server: "ws://localhost:8788", name: "", clientId: null, code: null, settings: null },
+  webhooks: [],
+  webhookLog: [],
+  sync: { enabled: false, endpoint: "", token: "", cursor: "0", pending: [], docs: {}, lastSyncAt: null, error: null },
+};
+const LARGE_KEYS = ["history"];
+const LEGACY_KEYS = ["stats", "mode", "remaining"];
+
+// Ordered migrations; each brings the stored data up to schema version `to`.
+// Data saved before versioning counts as version 0.
+const MIGRATIONS = [
+  // `:history` replaced the daily aggregates in `:stats`.
+  {
+    to: 1,
+    run(db) {
+      const stats = db.get("stats");
+      if (stats && db.get("history") == null) db.set("history", migrateLegacyStats(stats));
+      db.remove("stats");
+    },
+  },
+  // `:step` replaced the mode, and `:timer` the `:remaining` tick counter.
+  {
+    to: 2,
+    run(db) {
+      const mode = db.get("mode");
+      if (typeof mode === "string" && db.get("step") == null) {
+        const settings = { ...DEFAULT_SETTINGS, ...db.get("settings") };
+        const { steps } = findPreset(settings.presetId, db.get("presets") || [], settings);
+        db.set("step", Math.max(0, nextIndexOfType(steps, 0, mode)));
+      }
+      db.remove("mode");
+      db.remove("remaining");
+    },
+  },
+  // Entries migrated from `:stats` move from UTC to local days.
+  {
+    to: 3,
+    run(db) {
+      const history = db.get("history");
+      if (Array.isArray(history)) db.set("history", rebucketMigrated(history));
+    },
+  },
+];
+
+const DB_NAME = "pomox-data";
+const STORE = "values";
+
+const values = new Map(); // key → value, for keys that have one stored
+const saved = new Map(); // key → JSON last read or written, so unchanged values aren't rewritten
+const listeners = new Map(); // key → listeners for changes made in other tabs
+const problemListeners = new Set();
+let local = null; // localStorage, or null when the browser refuses it
+let db = null; // IndexedDB connection, or null to keep large keys in localStorage
+let channel = null;
+let problem = null;
+
+const fullKey = (key) => `${STORAGE_PREFIX}:${key}`;
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+// ---- Problems ----------------------------------------------------------------------
+// `kind` is "full" when a write hit the quota, "unavailable" when the browser
+// refuses storage altogether (private mode, blocked site data) and "corrupt"
+// when a stored value couldn't be read back. In every case the app keeps working
+// from memory until the page is closed.
+function isQuotaError(err) {
+  return err?.name === "QuotaExceededError" || err?.name === "NS_ERROR_DOM_QUOTA_REACHED" || err?.code === 22 || err?.code === 1014;
+}
+
+function report(err, kind = isQuotaError(err) ? "full" : "unavailable") {
+  problem = { kind, at: Date.now() };
+  problemListeners.forEach((l) => l(problem));
+}
+
+export function onStorageProblem(listener) {
+  problemListeners.add(listener);
+  if (problem) listener(problem);
+  return () => problemListeners.delete(listener);
+}
+
+// ---- Backends ----------------------------------------------------------------------
+function openLocal() {
+  try {
+    const ls = window.localStorage;
+    ls.getItem(fullKey("schema"));
+    return ls;
+  } catch (err) {
+    report(err);
+    return null;
+  }
+}
+
+function readLocal(key) {
+  try {
+    const raw = local?.getItem(fullKey(key));
+    return raw == null ? undefined : JSON.parse(raw);
+  } catch (err) {
+    report(err, "corrupt"); // the default stands in until the next write replaces it
+    return undefined;
+  }
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB is not available"));
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function withStore(mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const inDatabase = (key) => db != null && LARGE_KEYS.includes(key);
+
+function persist(key) {
+  const value = values.get(key);
+  if (inDatabase(key)) {
+    const write = value === undefined ? (s) => s.delete(key) : (s) => s.put(value, key);
+    return withStore("readwrite", write).then(() => channel?.postMessage(key), report);
+  }
+  try {
+    if (value === undefined) local?.removeItem(fullKey(key));
+    else local?.setItem(fullKey(key), JSON.stringify(value));
+  } catch (err) {
+    report(err);
+  }
+  return Promise.resolve();
+}
+
+// ---- Startup -----------------------------------------------------------------------
+// Call once before the first render. Never rejects: anything that can't be
+// read falls back to its default, and problems go to `onStorageProblem`.
+export async function openStorage() {
+  local = openLocal();
+  try {
+    db = await openDatabase();
+  } catch {
+    db = null; // e.g. Firefox private windows; history stays in localStorage
+  }
+
+  const keys = [...Object.keys(DEFAULTS), ...LEGACY_KEYS];
+  keys.forEach((key) => { const v = readLocal(key); if (v !== undefined) values.set(key, v); });
+  // History saved before IndexedDB was used is still in localStorage; move it.
+  const moving = LARGE_KEYS.filter((key) => db && values.has(key));
+  for (const key of LARGE_KEYS.filter(inDatabase)) {
+    try {
+      const v = await withStore("readonly", (s) => s.get(key));
+      if (v !== undefined) values.set(key, v);
+    } catch {
+      db = null;
+    }
+  }
+
+  const dirty = new Set(moving);
+  const version = readLocal("schema") ?? 0;
+  const api = {
+    get: (key) => values.get(key),
+    set: (key, value) => { values.set(key, value); dirty.add(key); },
+    remove: (key) => { values.delete(key); dirty.add(key); },
+  };
+  MIGRATIONS.filter((m) => m.to > version).forEach((m) => m.run(api));
+
+  await Promise.all([...dirty].map(persist));
+  if (db) moving.forEach((key) => local?.removeItem(fullKey(key)));
+  if (version !== SCHEMA_VERSION) {
+    try { local?.setItem(fullKey("schema"), JSON.stringify(SCHEMA_VERSION)); } catch (err) { report(err); }
+  }
+  LEGACY_KEYS.forEach((key) => values.delete(key));
+  values.forEach((v, key) => saved.set(key, JSON.stringify(v)));
+
+  window.addEventListener("storage", onStorage);
+  if (db && typeof BroadcastChannel === "function") {
+    channel = new BroadcastChannel(`${STORAGE_PREFIX}:storage`);
+    channel.onmessage = (e) => {
+      withStore("readonly", (s) => s.get(e.data)).then((v) => changedElsewhere(e.data, v), () => {});
+    };
+  }
+}
+
+// ---- Reading and writing -----------------------------------------------------------
+export function readValue(key) {
+  const fallback = DEFAULTS[key];
+  if (!values.has(key)) return fallback;
+  const value = values.get(key);
+  return isObject(fallback) && isObject(value) ? { ...fallback, ...value } : value;
+}
+
+export function writeValue(key, value) {
+  const json = JSON.stringify(value);
+  if (saved.get(key) === json) return;
+  values.set(key, value);
+  saved.set(key, json);
+  persist(key);
+}
+
+// `listener(value)` runs when another tab changes `key`.
+export function subscribeValue(key, listener) {
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(listener);
+  return () => listeners.get(key).delete(listener);
+}
+
+function changedElsewhere(key, value) {
+  if (value === undefined) {
+    values.delete(key);
+    saved.delete(key);
+  } else {
+    values.set(key, value);
+    saved.set(key, JSON.stringify(value));
+  }
+  listeners.get(key)?.forEach((l) => l(readValue(key)));
+}
+
+// Writing the same value back doesn't fire another `storage` event (and is
+// skipped anyway), so mirroring can't ping-pong between tabs.
+function onStorage(e) {
+  if (e.storageArea !== local || !e.key?.startsWith(`${STORAGE_PREFIX}:`)) return;
+  const key = e.key.slice(STORAGE_PREFIX.length + 1);
+  if (!(key in DEFAULTS) || inDatabase(key)) return;
+  try {
+    changedElsewhere(key, e.newValue == null ? undefined : JSON.parse(e.newValue));
+  } catch {
+    // ignore values we can't parse; our next write will replace them
+  }
+}
@@ -0,0 +1,174 @@
+import { IDBFactory } from "fake-indexeddb";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+const PREFIX = "pomox-kyaw-v1";
+
+// A localStorage stand-in holding `seed` as JSON and `raw` as is; `full`
+// makes every write hit the quota.
+function memoryStorage(seed = {}, raw = {}) {
+  const items = new Map(Object.entries({ ...seed, ...raw }).map(([k, v]) => [`${PREFIX}:${k}`, k in raw ? v : JSON.stringify(v)]));
+  return {
+    full: false,
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem(k, v) {
+      if (this.full) throw Object.assign(new Error("quota"), { name: "QuotaExceededError" });
+      items.set(k, String(v));
+    },
+    removeItem: (k) => items.delete(k),
+    read: (key) => (items.has(`${PREFIX}:${key}`) ? JSON.parse(items.get(`${PREFIX}:${key}`)) : undefined),
+  };
+}
+
+// BroadcastChannel between the tabs opened in one test.
+class FakeChannel {
+  static open = new Set();
+  constructor(name) {
+    this.name = name;
+    FakeChannel.open.add(this);
+  }
+  postMessage(data) {
+    for (const other of FakeChannel.open) {
+      if (other !== this && other.name === this.name) setTimeout(() => other.onmessage?.({ data }));
+    }
+  }
+}
+
+let local;
+
+// Each tab gets a fresh copy of storage.js, since its state lives in the module.
+async function openTab(localStorage = local) {
+  const storageListeners = [];
+  vi.stubGlobal("window", { localStorage, addEventListener: (type, l) => storageListeners.push(l) });
+  vi.resetModules();
+  const storage = await import("./storage.js");
+  await storage.openStorage();
+  const fireStorage = (key, value) =>
+    storageListeners.forEach((l) => l({ storageArea: localStorage, key: `${PREFIX}:${key}`, newValue: JSON.stringify(value) }));
+  return { ...storage, fireStorage };
+}
+
+function problemsOf(tab) {
+  const problems = [];
+  tab.onStorageProblem((p) => problems.push(p.kind));
+  return problems;
+}
+
+beforeEach(() => {
+  local = memoryStorage();
+  FakeChannel.open.clear();
+  vi.stubGlobal("indexedDB", new IDBFactory());
+  vi.stubGlobal("BroadcastChannel", FakeChannel);
+});
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe("migrations", () => {
+  it("brings unversioned data up to the current schema", async () => {
+    local = memoryStorage({ stats: { "2024-03-05": { focusSec: 3000, sessions: 2 } }, mode: "short", remaining: 120 });
+    const tab = await openTab();
+
+    const history = tab.readValue("history");
+    expect(history).toHaveLength(2);
+    expect(history.map((e) => [e.outcome, e.actualSec])).toEqual([["completed", 1500], ["completed", 1500]]);
+    expect(history[0].startedAt).toBe(new Date(2024, 2, 5, 12).getTime());
+    expect(tab.readValue("step")).toBe(1);
+
+    expect(local.read("schema")).toBe(tab.SCHEMA_VERSION);
+    for (const key of ["stats", "mode", "remaining", "history"]) expect(local.read(key)).toBeUndefined();
+  });
+
+  it("moves version 1 history to local days and into IndexedDB", async () => {
+    const utcNoon = Date.UTC(2024, 2, 5, 12);
+    const entry = { id: "a", mode: "focus", startedAt: utcNoon, endedAt: utcNoon, plannedSec: 1500, actualSec: 1500, outcome: "completed", migrated: true };
+    local = memoryStorage({ schema: 1, history: [entry], mode: "long" });
+    await openTab();
+    expect(local.read("history")).toBeUndefined();
+
+    const tab = await openTab();
+    expect(tab.readValue("history")[0].startedAt).toBe(new Date(2024, 2, 5, 12).getTime());
+    expect(tab.readValue("step")).toBe(7);
+  });
+
+  it("keeps a step that is already stored", async () => {
+    local = memoryStorage({ schema: 1, step: 4, mode: "short" });
+    const tab = await openTab();
+    expect(tab.readValue("step")).toBe(4);
+  });
+
+  it("keeps history in localStorage when IndexedDB is missing", async () => {
+    vi.stubGlobal("indexedDB", undefined);
+    local = memoryStorage({ stats: { "2024-03-05": { focusSec: 600, sessions: 0 } } });
+    const tab = await openTab();
+    expect(tab.readValue("history").map((e) => e.outcome)).toEqual(["reset"]);
+    expect(local.read("history")).toHaveLength(1);
+  });
+});
+
+describe("reading and writing", () => {
+  it("round-trips values through a reload", async () => {
+    const tab = await openTab();
+    const entry = { id: "a", mode: "focus", startedAt: 1, endedAt: 2, plannedSec: 1, actualSec: 1, outcome: "completed" };
+    tab.writeValue("settings", { ...tab.DEFAULT_SETTINGS, pomodoroMin: 50 });
+    tab.writeValue("history", [entry]);
+
+    const reloaded = await openTab();
+    expect(reloaded.readValue("settings").pomodoroMin).toBe(50);
+    expect(reloaded.readValue("history")).toEqual([entry]);
+    expect(local.read("history")).toBeUndefined();
+  });
+
+  it("merges stored objects over their defaults", async () => {
+    local = memoryStorage({ schema: 3, settings: { pomodoroMin: 40 } });
+    const tab = await openTab();
+    expect(tab.readValue("settings")).toEqual({ ...tab.DEFAULT_SETTINGS, pomodoroMin: 40 });
+  });
+
+  it("falls back to the default for a corrupt value and reports it", async () => {
+    local = memoryStorage({ schema: 3 }, { settings: "{not json" });
+    const tab = await openTab();
+    expect(tab.readValue("settings")).toEqual(tab.DEFAULT_SETTINGS);
+    expect(problemsOf(tab)).toEqual(["corrupt"]);
+  });
+
+  it("reports a full quota on write", async () => {
+    const tab = await openTab();
+    const problems = problemsOf(tab);
+    local.full = true;
+    tab.writeValue("cycles", 3);
+    expect(problems).toEqual(["full"]);
+    expect(tab.readValue("cycles")).toBe(3);
+  });
+
+  it("reports storage the browser refuses", async () => {
+    const blocked = {
+      getItem() {
+        throw Object.assign(new Error("denied"), { name: "SecurityError" });
+      },
+    };
+    const tab = await openTab(blocked);
+    expect(problemsOf(tab)).toEqual(["unavailable"]);
+    expect(tab.readValue("settings")).toEqual(tab.DEFAULT_SETTINGS);
+  });
+});
+
+describe("other tabs", () => {
+  it("passes on history written in IndexedDB by another tab", async () => {
+    const writer = await openTab();
+    const reader = await openTab();
+    const seen = [];
+    reader.subscribeValue("history", (v) => seen.push(v));
+
+    const entry = { id: "b", mode: "short", startedAt: 5, endedAt: 6, plannedSec: 1, actualSec: 1, outcome: "skipped" };
+    writer.writeValue("history", [entry]);
+    await vi.waitFor(() => expect(seen).toEqual([[entry]]));
+    expect(reader.readValue("history")).toEqual([entry]);
+  });
+
+  it("passes on localStorage changes with their defaults merged in", async () => {
+    const tab = await openTab();
+    const seen = [];
+    tab.subscribeValue("settings", (v) => seen.push(v));
+    tab.fireStorage("settings", { shortMin: 7 });
+    expect(seen).toEqual([{ ...tab.DEFAULT_SETTINGS, shortMin: 7 }]);
+  });
+});
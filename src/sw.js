@@ -0,0 +1,97 @@
+/* Pomox service worker. Built by the `pomoxServiceWorker` plugin in
+ * vite.config.js, which fills in the precache list and version at build time. */
+const PRECACHE = __PRECACHE__;
+const CACHE = `pomox-${__VERSION__}`;
+const TAG = "pomox-session";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("pomox-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Pages: network first so deploys show up, the cached shell when offline.
+// Everything else (hashed assets): cache first.
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+  if (req.mode === "navigate") {
+    event.respondWith(fetch(req).catch(() => caches.match("./", { ignoreSearch: true })));
+    return;
+  }
+  event.respondWith(caches.match(req).then((hit) => hit || fetch(req)));
+});
+
+// ---- Session-end notifications ---------------------------------------------------
+// The page asks us to show a notification at the session deadline. Notification
+// Triggers let the browser fire it even with every tab closed; without them we
+// fall back to a timer here. The message event is kept open until it fires so
+// the browser doesn't stop us first, but only for as long as browsers allow
+// (Chromium: five minutes), so a later deadline still needs an open tab.
+const KEEP_ALIVE_MS = 5 * 60 * 1000;
+let pending = null; // { timer, release }
+
+async function clearScheduled() {
+  if (pending) {
+    clearTimeout(pending.timer);
+    pending.release();
+  }
+  pending = null;
+  const list = await self.registration.getNotifications({ tag: TAG, includeTriggered: true });
+  list.filter((n) => n.data?.scheduled).forEach((n) => n.close());
+}
+
+async function schedule({ at, title, options }) {
+  await clearScheduled();
+  const opts = { ...options, tag: TAG, data: { ...options.data, scheduled: true } };
+  if ("showTrigger" in Notification.prototype && typeof TimestampTrigger === "function") {
+    await self.registration.showNotification(title, { ...opts, showTrigger: new TimestampTrigger(at) });
+    return;
+  }
+  const wait = Math.max(0, at - Date.now());
+  await new Promise((release) => {
+    const timer = setTimeout(() => {
+      pending = null;
+      self.registration.showNotification(title, opts).finally(release);
+    }, wait);
+    pending = { timer, release };
+    if (wait > KEEP_ALIVE_MS) setTimeout(release, KEEP_ALIVE_MS);
+  });
+}
+
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  if (msg.type === "schedule") event.waitUntil(schedule(msg));
+  else if (msg.type === "cancel") event.waitUntil(clearScheduled());
+});
+
+// Action buttons are handed to one open Pomox tab, which routes them through
+// the same transitions as the on-page buttons. With no tab open we start one.
+self.addEventListener("notificationclick", (event) => {
+  const { action } = event;
+  const data = event.notification.data || {};
+  event.notification.close();
+  event.waitUntil(
+    (async () => {
+      const clients = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+      const client = clients.find((c) => c.focused) || clients[0];
+      if (client) {
+        if (action) client.postMessage({ type: "notification-action", action, deadline: data.deadline });
+        return client.focus();
+      }
+      const url = new URL("./", self.location.href);
+      if (action) {
+        url.searchParams.set("action", action);
+        url.searchParams.set("deadline", data.deadline);
+      }
+      return self.clients.openWindow(url.href);
+    })()
+  );
+});
@@ -0,0 +1,101 @@
+// ---- Sync --------------------------------------------------------------------------
+// Optional sync with a self-hosted server speaking the protocol documented in
+// server/README.md. Sessions are merged by id and never deleted; the small
+// documents below are last-writer-wins by their `updatedAt`. Overlapping
+// sessions recorded on two devices are kept, and counted once by
+// `countedEntries` in history.js.
+import { validateEntry } from "./backup.js";
+
+export const SYNC_DOCS = ["settings", "presets", "themes", "daysOff"];
+// Settings that only make sense on the device that set them.
+const LOCAL_SETTINGS = ["customSoundName"];
+// Sessions sent per request; a longer queue goes out over several.
+export const BATCH_SIZE = 500;
+
+export class SyncError extends Error {
+  constructor(message, { offline = false, status = null } = {}) {
+    super(message);
+    this.name = "SyncError";
+    this.offline = offline;
+    this.status = status;
+  }
+}
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const stamp = (e) => e.updatedAt ?? e.endedAt;
+
+function isValidEntry(e, i) {
+  try {
+    validateEntry(e, i);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Adds `incoming` sessions to `history`. A known id is only replaced by a
+// newer edit of it; entries that don't validate are dropped. Returns `history`
+// itself when nothing changed.
+export function mergeEntries(history, incoming) {
+  const index = new Map(history.map((e, i) => [e.id, i]));
+  let next = history;
+  let added = false;
+  incoming.forEach((e, i) => {
+    if (!isValidEntry(e, i)) return;
+    const at = index.get(e.id);
+    if (at !== undefined && stamp(e) <= stamp(next[at])) return;
+    if (next === history) next = [...history];
+    if (at === undefined) {
+      index.set(e.id, next.length);
+      next.push(e);
+      added = true;
+    } else {
+      next[at] = e;
+    }
+  });
+  return added ? next.sort((a, b) => a.startedAt - b.startedAt) : next;
+}
+
+export const isValidDoc = (key, value) => (key === "settings" ? isObject(value) : Array.isArray(value));
+
+// The document as pushed, and a pulled one applied over the local value.
+export function outgoingDoc(key, value) {
+  if (key !== "settings") return value;
+  const shared = { ...value };
+  LOCAL_SETTINGS.forEach((k) => delete shared[k]);
+  return shared;
+}
+
+export function incomingDoc(key, value, local) {
+  if (key !== "settings") return value;
+  const kept = Object.fromEntries(LOCAL_SETTINGS.map((k) => [k, local[k]]));
+  return { ...local, ...value, ...kept };
+}
+
+// One round trip: pushes `entries` and `docs` ({ [key]: { value, updatedAt } })
+// and returns everything the server has seen since `since`.
+export async function syncOnce({ endpoint, token, since, entries, docs }, fetchImpl = fetch) {
+  let res;
+  try {
+    res = await fetchImpl(`${endpoint.replace(/\/+$/, "")}/v1/sync`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ since, entries, docs }),
+    });
+  } catch {
+    throw new SyncError("Couldn't reach the sync server.", { offline: true });
+  }
+  if (res.status === 401) throw new SyncError("The sync server didn't accept the token.", { status: 401 });
+  if (!res.ok) throw new SyncError(`The sync server answered with an error (${res.status}).`, { status: res.status });
+
+  let body;
+  try {
+    body = await res.json();
+  } catch {
+    throw new SyncError("The sync server's reply isn't JSON.");
+  }
+  if (!isObject(body) || typeof body.cursor !== "string" || !Array.isArray(body.entries)) {
+    throw new SyncError("The sync server's reply doesn't follow the protocol.");
+  }
+  return { cursor: body.cursor, entries: body.entries, docs: isObject(body.docs) ? body.docs : {} };
+}
@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { SyncError, incomingDoc, mergeEntries, outgoingDoc, syncOnce } from "./sync.js";
+
+const entry = (id, extra = {}) => ({ id, mode: "focus", startedAt: 1000, endedAt: 2000, plannedSec: 1, actualSec: 1, outcome: "completed", ...extra });
+
+describe("mergeEntries", () => {
+  it("adds unknown sessions in start order", () => {
+    const a = entry("a", { startedAt: 3000, endedAt: 4000 });
+    const b = entry("b");
+    expect(mergeEntries([a], [b])).toEqual([b, a]);
+  });
+
+  it("replaces a known session only with a newer edit", () => {
+    const mine = entry("a", { updatedAt: 5000, actualSec: 2 });
+    expect(mergeEntries([mine], [entry("a", { updatedAt: 4000 })])[0]).toBe(mine);
+    expect(mergeEntries([mine], [entry("a", { updatedAt: 5000 })])[0]).toBe(mine);
+    expect(mergeEntries([mine], [entry("a")])[0]).toBe(mine);
+    const newer = entry("a", { updatedAt: 6000 });
+    expect(mergeEntries([mine], [newer])).toEqual([newer]);
+  });
+
+  it("compares an unedited session by its end", () => {
+    const mine = entry("a");
+    expect(mergeEntries([mine], [entry("a", { updatedAt: 1500 })])[0]).toBe(mine);
+  });
+
+  it("drops sessions that don't validate and returns the same list when nothing changed", () => {
+    const history = [entry("a")];
+    expect(mergeEntries(history, [{ id: "x" }, null, entry("a")])).toBe(history);
+  });
+});
+
+describe("documents", () => {
+  it("keeps device-only settings on their device", () => {
+    expect(outgoingDoc("settings", { pomodoroMin: 50, customSoundName: "gong.mp3" })).toEqual({ pomodoroMin: 50 });
+    expect(incomingDoc("settings", { pomodoroMin: 40, customSoundName: "x" }, { pomodoroMin: 50, customSoundName: "gong.mp3" })).toEqual({
+      pomodoroMin: 40,
+      customSoundName: "gong.mp3",
+    });
+  });
+});
+
+describe("syncOnce", () => {
+  const request = { endpoint: "https://sync.test/", token: "t", since: "3", entries: [], docs: {} };
+  const reply = (status, body) => async () => ({ status, ok: status < 400, json: async () => body });
+  const failure = async (fetchImpl) => {
+    try {
+      await syncOnce(request, fetchImpl);
+    } catch (err) {
+      expect(err).toBeInstanceOf(SyncError);
+      return err;
+    }
+    throw new Error("synced");
+  };
+
+  it("posts to /v1/sync with the token", async () => {
+    const calls = [];
+    const fetchImpl = async (url, init) => {
+      calls.push([url, init.headers.Authorization, JSON.parse(init.body)]);
+      return { status: 200, ok: true, json: async () => ({ cursor: "4", entries: [] }) };
+    };
+    expect(await syncOnce(request, fetchImpl)).toEqual({ cursor: "4", entries: [], docs: {} });
+    expect(calls).toEqual([["https://sync.test/v1/sync", "Bearer t", { since: "3", entries: [], docs: {} }]]);
+  });
+
+  it("tells being offline apart from the server refusing", async () => {
+    expect((await failure(async () => { throw new TypeError("network"); })).offline).toBe(true);
+    expect((await failure(reply(401, {}))).status).toBe(401);
+    expect((await failure(reply(500, {}))).offline).toBe(false);
+    expect((await failure(reply(200, { entries: [] }))).message).toMatch(/protocol/);
+  });
+});
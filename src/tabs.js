@@ -0,0 +1,105 @@
+// ---- Cross-tab coordination -------------------------------------------------------
+// Exactly one open tab owns the timer: it alone finishes sessions and writes
+// history. Other tabs mirror the shared localStorage state and forward their
+// button presses to the owner over a BroadcastChannel. Ownership is a Web Lock
+// where supported (released by the browser when the tab goes away), otherwise a
+// heartbeat lease in localStorage that another tab takes over once it expires.
+
+const LEASE_MS = 5000;
+const HEARTBEAT_MS = 2000;
+
+export function createTabCoordinator(prefix, { onOwnerChange, onCommand }) {
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const channel = typeof BroadcastChannel === "function" ? new BroadcastChannel(`${prefix}:tabs`) : null;
+  let owner = false;
+  let closed = false;
+  const cleanups = [];
+
+  function setOwner(next) {
+    if (owner === next || closed) return;
+    owner = next;
+    onOwnerChange(next);
+  }
+
+  // Without a channel there is no way to forward commands, so every tab acts alone.
+  if (!channel) {
+    setOwner(true);
+    return { id, send: () => false, close() { closed = true; } };
+  }
+
+  channel.onmessage = (e) => {
+    const msg = e.data;
+    if (msg?.type === "command" && owner) onCommand(msg.command);
+  };
+
+  if (navigator.locks?.request) {
+    const abort = new AbortController();
+    let release;
+    navigator.locks
+      .request(`${prefix}:owner`, { signal: abort.signal }, () => {
+        setOwner(true);
+        return new Promise((resolve) => { release = resolve; });
+      })
+      .catch(() => {}); // aborted while still queued
+    cleanups.push(() => { abort.abort(); release?.(); });
+  } else {
+    const key = `${prefix}:owner`;
+    const readLease = () => {
+      try {
+        return JSON.parse(localStorage.getItem(key)) || null;
+      } catch {
+        return null;
+      }
+    };
+    // A lease that can't be written (storage full or blocked) isn't held.
+    const writeLease = (lease) => {
+      try {
+        localStorage.setItem(key, JSON.stringify(lease));
+        return true;
+      } catch {
+        return false;
+      }
+    };
+    const beat = () => {
+      const lease = readLease();
+      const t = Date.now();
+      if (!lease || lease.id === id || lease.until < t) {
+        if (!writeLease({ id, until: t + LEASE_MS })) return setOwner(false);
+        // Two tabs may claim an expired lease at once; the last write wins.
+        setTimeout(() => setOwner(readLease()?.id === id), 50);
+      } else {
+        setOwner(false);
+      }
+    };
+    beat();
+    const timer = setInterval(beat, HEARTBEAT_MS);
+    const onUnload = () => {
+      try {
+        if (readLease()?.id === id) localStorage.removeItem(key);
+      } catch {
+        // nothing to release
+      }
+    };
+    window.addEventListener("pagehide", onUnload);
+    cleanups.push(() => {
+      clearInterval(timer);
+      window.removeEventListener("pagehide", onUnload);
+      onUnload();
+    });
+  }
+
+  return {
+    id,
+    // Returns false when this tab owns the timer and should run the command itself.
+    send(command) {
+      if (owner) return false;
+      channel.postMessage({ type: "command", from: id, command });
+      return true;
+    },
+    close() {
+      closed = true;
+      cleanups.forEach((fn) => fn());
+      channel.close();
+    },
+  };
+}
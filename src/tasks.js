@@ -0,0 +1,26 @@
+// ---- Tasks ----------------------------------------------------------------------
+// Tasks hold only what the user typed; how many pomodoros went into each one is
+// read back from the session history (entries carry the active `taskId`).
+import { countedEntries } from "./history.js";
+
+export function makeTask(title, estimate = 1, now = Date.now()) {
+  return { id: `t-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`, title, estimate, done: false, createdAt: now };
+}
+
+export function moveTask(tasks, id, delta) {
+  const i = tasks.findIndex((t) => t.id === id);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= tasks.length) return tasks;
+  const next = [...tasks];
+  [next[i], next[j]] = [next[j], next[i]];
+  return next;
+}
+
+// Completed focus sessions per task id.
+export function pomodorosByTask(history) {
+  const counts = {};
+  for (const e of countedEntries(history)) {
+    if (e.mode === "focus" && e.outcome === "completed" && e.taskId) counts[e.taskId] = (counts[e.taskId] || 0) + 1;
+  }
+  return counts;
+}
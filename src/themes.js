@@ -0,0 +1,189 @@
+// ---- Themes -----------------------------------------------------------------------
+// A theme is a palette of colours. The palette is written onto the app root as
+// CSS custom properties (`--px-*`) and every component styles itself through
+// `THEME_CLASSES`, which only ever refers to those properties. So built-in and
+// user-made themes are the same thing, and switching is just new variables.
+
+// Editable colours, grouped the way the theme editor shows them. Tokens added
+// after themes could be saved name a `fallback`, used by palettes without them.
+export const THEME_TOKENS = [
+  { key: "bgFrom", group: "Background", label: "Gradient start" },
+  { key: "bgVia", group: "Background", label: "Gradient middle" },
+  { key: "bgTo", group: "Background", label: "Gradient end" },
+  { key: "surface", group: "Surfaces", label: "Card" },
+  { key: "border", group: "Surfaces", label: "Card border" },
+  { key: "control", group: "Surfaces", label: "Button & input" },
+  { key: "controlHover", group: "Surfaces", label: "Button hover" },
+  { key: "controlBorder", group: "Surfaces", label: "Button border" },
+  { key: "text", group: "Text", label: "Body" },
+  { key: "strong", group: "Text", label: "Headings & timer" },
+  { key: "muted", group: "Text", label: "Secondary" },
+  { key: "label", group: "Text", label: "Stat labels" },
+  { key: "value", group: "Text", label: "Stat values" },
+  { key: "accent", group: "Accents", label: "Primary" },
+  { key: "accent2", group: "Accents", label: "Secondary" },
+  { key: "onAccent", group: "Accents", label: "Text on accents" },
+  { key: "ringFrom", group: "Progress ring", label: "Gradient start" },
+  { key: "ringTo", group: "Progress ring", label: "Gradient end" },
+  { key: "ringTrack", group: "Progress ring", label: "Track" },
+  { key: "overtime", group: "Progress ring", label: "Overtime", fallback: "accent2" },
+];
+
+export const BUILTIN_THEMES = [
+  {
+    id: "redesigned",
+    name: "Midnight Edition",
+    builtin: true,
+    colors: {
+      bgFrom: "#083344", bgVia: "#0f172a", bgTo: "#022c22",
+      surface: "#0f172a", border: "#155e75", control: "#1e293b", controlHover: "#334155", controlBorder: "#475569",
+      text: "#f8fafc", strong: "#ecfeff", muted: "#cbd5e1", label: "#67e8f9", value: "#6ee7b7",
+      accent: "#22d3ee", accent2: "#34d399", onAccent: "#0f172a",
+      ringFrom: "#22d3ee", ringTo: "#34d399", ringTrack: "#2a3a4a", overtime: "#fbbf24",
+    },
+  },
+  {
+    id: "sunrise",
+    name: "Sunrise Edition",
+    builtin: true,
+    colors: {
+      bgFrom: "#fffbeb", bgVia: "#fff1f2", bgTo: "#ffffff",
+      surface: "#ffffff", border: "#fef3c7", control: "#ffffff", controlHover: "#fffbeb", controlBorder: "#fde68a",
+      text: "#1e293b", strong: "#0f172a", muted: "#475569", label: "#b45309", value: "#0f172a",
+      accent: "#f59e0b", accent2: "#f43f5e", onAccent: "#ffffff",
+      ringFrom: "#fb923c", ringTo: "#f43f5e", ringTrack: "#f1f5f9", overtime: "#9333ea",
+    },
+  },
+  {
+    // Text and controls stay at 7:1 or more against black, borders at 3:1.
+    id: "contrast",
+    name: "High Contrast",
+    builtin: true,
+    colors: {
+      bgFrom: "#000000", bgVia: "#000000", bgTo: "#000000",
+      surface: "#000000", border: "#ffffff", control: "#000000", controlHover: "#262626", controlBorder: "#8a8a8a",
+      text: "#ffffff", strong: "#ffffff", muted: "#e5e5e5", label: "#ffd60a", value: "#ffffff",
+      accent: "#ffd60a", accent2: "#5ce1ff", onAccent: "#000000",
+      ringFrom: "#ffd60a", ringTo: "#ffd60a", ringTrack: "#8a8a8a", overtime: "#ff9f1c",
+    },
+  },
+];
+
+// "system" is a preference, not a palette: it resolves to one of these.
+export const SYSTEM_THEME = "system";
+const SYSTEM_DARK = "redesigned";
+const SYSTEM_LIGHT = "sunrise";
+const SYSTEM_CONTRAST = "contrast";
+
+const HEX = /^#[0-9a-f]{6}$/i;
+const cssVar = (key) => `--px-${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+
+export function allThemes(custom) {
+  return [...BUILTIN_THEMES, ...custom];
+}
+
+export function resolveTheme(pref, custom, prefersDark, prefersContrast = false) {
+  const id = pref === SYSTEM_THEME ? (prefersContrast ? SYSTEM_CONTRAST : prefersDark ? SYSTEM_DARK : SYSTEM_LIGHT) : pref;
+  return allThemes(custom).find((t) => t.id === id) || BUILTIN_THEMES[0];
+}
+
+export function makeTheme(name, colors, now = Date.now()) {
+  return { id: `t-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`, name, colors: { ...colors } };
+}
+
+// Relative luminance is enough to tell native controls (scrollbars, date
+// pickers, <select> menus) whether to draw themselves light or dark.
+export function isDark(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b < 0.5;
+}
+
+export function themeColor(colors, key) {
+  const fallback = THEME_TOKENS.find((t) => t.key === key)?.fallback;
+  return colors[key] ?? (fallback ? colors[fallback] : undefined);
+}
+
+export function themeStyle(palette) {
+  const style = { colorScheme: isDark(palette.colors.surface) ? "dark" : "light" };
+  for (const { key } of THEME_TOKENS) style[cssVar(key)] = themeColor(palette.colors, key);
+  return style;
+}
+
+// Returns the error for a palette's colours, or null when every token is a
+// #rrggbb hex (the only format <input type="color"> can edit).
+export function paletteError(colors) {
+  if (colors == null || typeof colors !== "object") return "colors must be an object";
+  const bad = THEME_TOKENS.find(({ key }) => !HEX.test(themeColor(colors, key) ?? ""));
+  return bad ? `colors.${bad.key} must be a #rrggbb colour` : null;
+}
+
+// ---- Sharing -----------------------------------------------------------------------
+// A share code is a small JSON document that can be pasted into another Pomox.
+export function themeShareCode(palette) {
+  return JSON.stringify({ app: "pomox-theme", name: palette.name, colors: palette.colors });
+}
+
+export function parseThemeShareCode(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error("That isn't a Pomox theme code.");
+  }
+  if (json?.app !== "pomox-theme") throw new Error("That isn't a Pomox theme code.");
+  const error = paletteError(json.colors);
+  if (error) throw new Error(`The theme is damaged: ${error}.`);
+  const name = typeof json.name === "string" && json.name.trim() ? json.name.trim() : "Shared theme";
+  return makeTheme(name, Object.fromEntries(THEME_TOKENS.map(({ key }) => [key, themeColor(json.colors, key)])));
+}
+
+// ---- Theme tokens ------------------------------------------------------------------
+const control = "bg-(--px-control) hover:bg-(--px-control-hover) border border-(--px-control-border) text-(--px-text)";
+const field = "px-3 py-2 rounded-xl bg-(--px-control) border border-(--px-control-border) text-(--px-text) focus:outline-none focus:ring-2 focus:ring-(--px-accent)";
+
+export const THEME_CLASSES = {
+  bg: "min-h-screen w-full bg-linear-to-br from-(--px-bg-from) via-(--px-bg-via) to-(--px-bg-to) text-(--px-text)",
+  cardA: "bg-(--px-surface)/70 border border-(--px-border) rounded-3xl p-4 md:p-6 shadow-xl backdrop-blur",
+  cardB: "bg-(--px-surface)/70 border border-(--px-border) rounded-3xl p-4 md:p-6 shadow-xl backdrop-blur",
+  h1: "text-[1.5rem] md:text-3xl font-extrabold tracking-tight text-(--px-strong)",
+  h2: "text-lg font-semibold text-(--px-strong)",
+  digits: "text-(--px-strong) drop-shadow-sm",
+  sub: "text-(--px-muted) text-sm md:text-base",
+  tabsWrap: "inline-flex w-full rounded-2xl bg-(--px-control)/70 p-1 border border-(--px-border)",
+  tabActive: "bg-linear-to-r from-(--px-accent) to-(--px-accent2) text-(--px-on-accent) shadow",
+  tabIdle: "text-(--px-muted) hover:bg-(--px-control-hover)/60",
+  statWrap: "rounded-2xl bg-(--px-control)/70 border border-(--px-control-border) p-3",
+  statLabel: "text-xs text-(--px-label)",
+  statValue: "text-base md:text-lg font-bold text-(--px-value)",
+  kbd: "kbd",
+  btnPrimary: "bg-(--px-accent) text-(--px-on-accent) border-(--px-accent) hover:brightness-110",
+  btnSecondary: "bg-(--px-accent2) text-(--px-on-accent) border-(--px-accent2) hover:brightness-110",
+  btnGhost: control,
+  fieldLabel: "text-sm text-(--px-muted) mb-1",
+  input: `w-full md:w-24 ${field}`,
+  inputBare: field,
+  toggleOn: "bg-(--px-accent2)",
+  toggleOff: "bg-(--px-control-border)",
+  headerBadge:
+    "inline-flex items-center gap-2 rounded-full bg-linear-to-r from-(--px-accent) to-(--px-accent2) text-(--px-on-accent) px-3 py-1 text-xs font-medium mb-2",
+  headerBtn: `px-3 py-2 rounded-xl text-sm shadow-sm ${control}`,
+  footer: "mt-10 text-xs text-(--px-muted) text-center",
+  switcher: `px-3 py-2 rounded-xl text-sm shadow-sm ${control}`,
+  highlightText: "text-(--px-muted)",
+  // SVG presentation attributes can't read custom properties, so these are
+  // applied through `style`.
+  ring: { track: "var(--px-ring-track)", from: "var(--px-ring-from)", to: "var(--px-ring-to)", goal: "var(--px-accent2)", overtime: "var(--px-overtime)" },
+  chart: {
+    focus: "var(--px-accent)",
+    sessions: "var(--px-accent2)",
+    grid: "color-mix(in srgb, var(--px-muted) 20%, transparent)",
+    text: "var(--px-muted)",
+  },
+  heat: [
+    "color-mix(in srgb, var(--px-muted) 12%, transparent)",
+    "color-mix(in srgb, var(--px-accent) 35%, var(--px-surface))",
+    "color-mix(in srgb, var(--px-accent) 65%, var(--px-surface))",
+    "var(--px-accent)",
+    "var(--px-accent2)",
+  ],
+};
@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { BUILTIN_THEMES, THEME_TOKENS, paletteError, parseThemeShareCode, themeShareCode, themeStyle } from "./themes.js";
+
+// A palette saved before the overtime colour existed.
+const { overtime: _overtime, ...olderColors } = BUILTIN_THEMES[0].colors;
+const older = { id: "t-old", name: "Older", colors: olderColors };
+
+describe("palettes", () => {
+  it("gives every built-in theme every token", () => {
+    for (const theme of BUILTIN_THEMES) expect(paletteError(theme.colors)).toBeNull();
+    for (const theme of BUILTIN_THEMES) expect(Object.keys(theme.colors).sort()).toEqual(THEME_TOKENS.map((t) => t.key).sort());
+  });
+
+  it("fills a later token from its fallback", () => {
+    expect(paletteError(older.colors)).toBeNull();
+    expect(themeStyle(older)["--px-overtime"]).toBe(olderColors.accent2);
+    expect(themeStyle(BUILTIN_THEMES[0])["--px-overtime"]).toBe(BUILTIN_THEMES[0].colors.overtime);
+  });
+
+  it("still rejects a missing token without a fallback, or a bad colour", () => {
+    const { accent: _accent, ...missing } = olderColors;
+    expect(paletteError(missing)).toBe("colors.accent must be a #rrggbb colour");
+    expect(paletteError({ ...olderColors, overtime: "orange" })).toBe("colors.overtime must be a #rrggbb colour");
+  });
+
+  it("imports an older share code with the fallback filled in", () => {
+    const theme = parseThemeShareCode(themeShareCode(older));
+    expect(theme.colors.overtime).toBe(olderColors.accent2);
+  });
+});
@@ -0,0 +1,296 @@
+import { makeEntry } from "./history.js";
+import { nextIndexOfType } from "./sequences.js";
+
+// ---- Timer core --------------------------------------------------------------------
+// A framework-free state machine for working through a sequence of sessions.
+// The state ({ step, cycles, timer }) is plain data that can be persisted as is,
+// and `transition` never reads the clock: every event carries its time as `at`.
+//
+// The timer is kept as wall-clock timestamps, never as a ticking counter:
+// while running only `endsAt` matters, so throttled tabs, sleep and reloads
+// can't stretch a session. `remainingMs` holds the position while paused.
+// `sessionStartedAt` is the first start of the session, kept across pauses.
+// In flow mode a focus session that runs out keeps going as `overtime`: the
+// remaining time turns negative until a break is taken, or until the next tick
+// after flow mode is turned off.
+
+export const TIMER_STATES = ["idle", "running", "paused"];
+
+export function idleTimer(durationSec) {
+  return { endsAt: null, startedAt: null, sessionStartedAt: null, durationMs: durationSec * 1000, remainingMs: durationSec * 1000 };
+}
+
+export function runningTimer(durationSec, now) {
+  return { endsAt: now + durationSec * 1000, startedAt: now, sessionStartedAt: now, durationMs: durationSec * 1000, remainingMs: durationSec * 1000 };
+}
+
+export function initialTimerState(steps) {
+  return { step: 0, cycles: 0, timer: idleTimer(steps[0].min * 60) };
+}
+
+export function timerStatus(timer) {
+  if (timer.endsAt != null) return "running";
+  return timer.sessionStartedAt != null ? "paused" : "idle";
+}
+
+export function remainingMs(timer, at) {
+  if (timer.endsAt == null) return timer.remainingMs;
+  const left = Math.min(timer.durationMs, timer.endsAt - at);
+  return timer.overtime ? left : Math.max(0, left);
+}
+
+export const overtimeMs = (timer, at) => (timer.overtime ? Math.max(0, -remainingMs(timer, at)) : 0);
+
+// Milliseconds of the session actually spent, across pauses.
+export function elapsedMs(timer, at) {
+  return timer.durationMs - remainingMs(timer, at);
+}
+
+// Applies one event. `config` is { steps, autoStart, taskId, flow }, where
+// `flow` is null or { breakRatio }: breakRatio 5 makes a break after focus a
+// fifth of the focus time (0 keeps the step's length). Returns the next
+// state plus what happened: `logged` is a history entry to record, `ended`
+// ({ mode, next, at }) is set when a session ran out or was skipped, and
+// `events` lists what happened to sessions (see `sessionEvents`).
+//
+// Events:
+//   start, pause, toggle       run or stop the clock
+//   tick                       finishes the session once its deadline has passed
+//   skip                       ends the session now and moves on; in overtime
+//                              that is taking the break, and the session completed.
+//                              Skipping a step that never started logs nothing
+//   reset                      back to the start of the current step
+//   void                       abandons a started focus session
+//   select { mode }            the next step of that type, idle
+//   load { steps, step, cycles? }  another sequence or position; the session
+//                              carries on when the step it is on is unchanged
+//   custom { mode, min }       a one-off length, started right away
+//   interrupt { kind }         logs an interruption on a started focus session
+//   note { note }              annotates the interruption logged at `at`
+//   away { since }             nobody has been around since `since`: a running
+//                              focus session pauses as of then and is marked `away`
+//   back { choice }            settles an away pause: "keep" counts the time
+//                              away, "trim" drops it, "discard" voids the session
+//   configure                  re-reads the step length after settings changed
+//   follow { session, lastEnd?, cycles? }
+//                              adopts a timer run elsewhere (a shared room):
+//                              session is { id, step, durationMs, endsAt,
+//                              remainingMs, sessionStartedAt } in local time,
+//                              lastEnd ({ id, outcome, at }) how the previous one ended
+//   unfollow                   the followed session carries on as this timer's own
+//                              (after leaving the room)
+export function transition(state, event, config) {
+  const result = apply(state, event, config);
+  return { ...result, events: sessionEvents(state, result, event.at, config.steps) };
+}
+
+function apply(state, event, config) {
+  const { steps } = config;
+  const { timer } = state;
+  const { at } = event;
+  const index = Math.min(state.step, steps.length - 1);
+  const mode = steps[index].type;
+  const plannedSec = steps[index].min * 60;
+  const status = timerStatus(timer);
+  const focusStarted = mode === "focus" && timer.sessionStartedAt != null;
+
+  const unchanged = { state, logged: null, ended: null };
+  const next = (patch, logged = null, ended = null) => ({ state: { ...state, ...patch }, logged, ended });
+
+  function entry(outcome, endedAt) {
+    // A session that never started has nothing to log, however it ends.
+    if (timer.sessionStartedAt == null && outcome !== "completed") return null;
+    return makeEntry({
+      mode,
+      startedAt: timer.sessionStartedAt ?? endedAt,
+      endedAt,
+      plannedSec: Math.round(timer.durationMs / 1000),
+      actualSec: Math.round(elapsedMs(timer, endedAt) / 1000),
+      outcome,
+      taskId: mode === "focus" ? config.taskId ?? null : null,
+      interruptions: timer.interruptions,
+      overtimeSec: Math.round(overtimeMs(timer, endedAt) / 1000),
+    });
+  }
+
+  // The next session counts from `at`, not from a missed deadline, so a laptop
+  // waking up hours later doesn't fast-forward through phantom sessions.
+  // The long-break cadence is the sequence's order, so a skipped focus step
+  // still leads to its own break; `cycles` counts focus steps passed that way,
+  // while stats only count the completed sessions in history.
+  function finish(outcome, endedAt) {
+    const nextIndex = (index + 1) % steps.length;
+    const upNext = steps[nextIndex];
+    const ratio = config.flow?.breakRatio;
+    const scaled = ratio > 0 && mode === "focus" && upNext.type !== "focus";
+    const sec = scaled ? Math.max(60, Math.round(elapsedMs(timer, endedAt) / 1000 / ratio)) : upNext.min * 60;
+    const upcoming = config.autoStart ? runningTimer(sec, at) : idleTimer(sec);
+    return next(
+      {
+        step: nextIndex,
+        cycles: state.cycles + (mode === "focus" ? 1 : 0),
+        timer: scaled ? { ...upcoming, custom: true } : upcoming,
+      },
+      entry(outcome, endedAt),
+      { mode, next: upNext, at: endedAt }
+    );
+  }
+
+  switch (event.type) {
+    case "start": {
+      if (status === "running") return unchanged;
+      const { away: _away, ...rest } = timer; // starting again drops the time away
+      return next({ timer: { ...rest, endsAt: at + timer.remainingMs, startedAt: at, sessionStartedAt: timer.sessionStartedAt ?? at } });
+    }
+    case "pause":
+      if (status !== "running") return unchanged;
+      return next({ timer: { ...timer, endsAt: null, startedAt: null, remainingMs: remainingMs(timer, at) } });
+    case "toggle":
+      return apply(state, { ...event, type: status === "running" ? "pause" : "start" }, config);
+    case "tick":
+      if (status !== "running" || at < timer.endsAt) return unchanged;
+      if (config.flow && mode === "focus") return timer.overtime ? unchanged : next({ timer: { ...timer, overtime: true } });
+      // Overtime with flow turned off ends now, the overtime counted.
+      return finish("completed", timer.overtime ? at : timer.endsAt);
+    case "skip":
+      return finish(timer.overtime ? "completed" : "skipped", at);
+    case "reset":
+      return next({ timer: idleTimer(plannedSec) }, entry("reset", at));
+    case "void":
+      if (!focusStarted) return unchanged;
+      return next({ timer: idleTimer(plannedSec) }, entry("voided", at));
+    case "select": {
+      const i = nextIndexOfType(steps, index, event.mode);
+      if (i < 0) return unchanged;
+      return next({ step: i, timer: idleTimer(steps[i].min * 60) });
+    }
+    case "load": {
+      const i = Math.max(0, Math.min(event.step, event.steps.length - 1));
+      const target = event.steps[i];
+      const same = i === index && target.type === mode && target.min * 60 === plannedSec;
+      return next({ step: i, cycles: event.cycles ?? state.cycles, timer: same ? timer : idleTimer(target.min * 60) });
+    }
+    case "custom": {
+      const i = mode === event.mode ? index : nextIndexOfType(steps, index, event.mode);
+      if (i < 0) return unchanged;
+      return next({ step: i, timer: { ...runningTimer(event.min * 60, at), custom: true } }, entry("reset", at));
+    }
+    case "interrupt":
+      if (!focusStarted) return unchanged;
+      return next({ timer: { ...timer, interruptions: [...(timer.interruptions || []), { at, kind: event.kind }] } });
+    case "note":
+      if (!timer.interruptions?.some((i) => i.at === at)) return unchanged;
+      return next({ timer: { ...timer, interruptions: timer.interruptions.map((i) => (i.at === at ? { ...i, note: event.note } : i)) } });
+    case "follow": {
+      const { session, lastEnd } = event;
+      const i = Math.max(0, Math.min(session.step, steps.length - 1));
+      const same = timer.followed === session.id;
+      const followed = {
+        endsAt: session.endsAt,
+        startedAt: session.endsAt != null ? session.endsAt - session.remainingMs : null,
+        sessionStartedAt: session.sessionStartedAt,
+        durationMs: session.durationMs,
+        remainingMs: session.remainingMs,
+        followed: session.id,
+      };
+      if (same && timer.interruptions) followed.interruptions = timer.interruptions;
+      if (same && i === index && ["endsAt", "sessionStartedAt", "durationMs", "remainingMs"].every((k) => timer[k] === followed[k])) return unchanged;
+      // The session this timer was on ended elsewhere: log it the way it ended there.
+      const ending = !same && timer.sessionStartedAt != null ? (lastEnd?.id === timer.followed ? lastEnd : { outcome: "reset", at }) : null;
+      const patch = { step: i, cycles: event.cycles ?? state.cycles, timer: followed };
+      if (!ending) return next(patch);
+      const finished = ending.outcome === "completed" || ending.outcome === "skipped";
+      return next(patch, entry(ending.outcome, ending.at), finished ? { mode, next: steps[i], at: ending.at } : null);
+    }
+    case "unfollow": {
+      if (timer.followed == null) return unchanged;
+      const { followed: _followed, ...own } = timer;
+      return next({ timer: own });
+    }
+    case "away": {
+      if (status !== "running" || mode !== "focus" || timer.followed != null) return unchanged;
+      const since = Math.max(event.since, timer.startedAt);
+      return next({ timer: { ...timer, endsAt: null, startedAt: null, remainingMs: remainingMs(timer, since), away: { since, at } } });
+    }
+    case "back": {
+      if (!timer.away) return unchanged;
+      if (event.choice === "discard") return apply(state, { type: "void", at }, config);
+      if (event.choice !== "keep") return apply(state, { type: "start", at }, config);
+      // Kept: the session ran on while we were away, and may have finished meanwhile.
+      const left = timer.remainingMs - (at - timer.away.since);
+      if (left > 0 || (config.flow && mode === "focus")) {
+        return apply({ ...state, timer: { ...timer, remainingMs: left, overtime: timer.overtime || left <= 0 } }, { type: "start", at }, config);
+      }
+      const ranOut = { ...timer, endsAt: timer.away.since + timer.remainingMs, startedAt: timer.away.since };
+      return apply({ ...state, timer: ranOut }, { type: "tick", at }, config);
+    }
+    case "configure":
+      if (status === "running" || timer.custom || timer.durationMs === plannedSec * 1000) return unchanged;
+      return next({ timer: idleTimer(plannedSec) });
+    default:
+      return unchanged;
+  }
+}
+
+// ---- Session events ----------------------------------------------------------------
+// What a transition did to sessions, for notifying the outside world:
+// started, paused, resumed, overtime (a flow-mode focus session ran past
+// zero), and how a session ended (completed, skipped, reset or voided). Each is { type, mode, step, plannedSec, elapsedSec, at },
+// with the history `entry` on endings.
+export const SESSION_EVENTS = ["started", "paused", "resumed", "overtime", "completed", "skipped", "reset", "voided"];
+
+function sessionEvents(before, { state: after, logged }, at, steps) {
+  const events = [];
+  const describe = (type, state, extra) => {
+    const step = steps[Math.min(state.step, steps.length - 1)];
+    const { timer } = state;
+    return { type, mode: step.type, step, plannedSec: Math.round(timer.durationMs / 1000), elapsedSec: Math.round(elapsedMs(timer, at) / 1000), at, ...extra };
+  };
+  if (logged) {
+    events.push({ ...describe(logged.outcome, before), mode: logged.mode, elapsedSec: logged.actualSec, at: logged.endedAt, entry: logged });
+  }
+  const was = timerStatus(before.timer);
+  const is = timerStatus(after.timer);
+  const sameSession =
+    after.step === before.step &&
+    before.timer.sessionStartedAt != null &&
+    (after.timer.followed != null ? after.timer.followed === before.timer.followed : after.timer.sessionStartedAt === before.timer.sessionStartedAt);
+  if (is === "running" && !sameSession) events.push(describe("started", after));
+  else if (sameSession && was === "running" && is === "paused") events.push(describe("paused", after));
+  else if (sameSession && was === "paused" && is === "running") events.push(describe("resumed", after));
+  if (sameSession && !before.timer.overtime && after.timer.overtime) events.push(describe("overtime", after));
+  return events;
+}
+
+// A timer for use outside React, e.g. embedded in a dashboard. `clock` can be
+// swapped for a fake one; `tick()` is expected to be called regularly while
+// running. `onLog` receives history entries, `onEnd` ended sessions and
+// `onEvent` session events.
+export function createTimer({ steps, autoStart = true, taskId = null, flow = null, state, clock = Date.now, onChange, onLog, onEnd, onEvent }) {
+  let current = state ?? initialTimerState(steps);
+  let config = { steps, autoStart, taskId, flow };
+
+  function send(event) {
+    const result = transition(current, { at: clock(), ...event }, config);
+    if (result.state !== current) {
+      current = result.state;
+      onChange?.(current);
+    }
+    if (result.logged) onLog?.(result.logged);
+    if (result.ended) onEnd?.(result.ended);
+    result.events.forEach((e) => onEvent?.(e));
+    return result;
+  }
+
+  return {
+    send,
+    tick: () => send({ type: "tick" }),
+    configure(patch) {
+      config = { ...config, ...patch };
+      return send({ type: "configure" });
+    },
+    getState: () => current,
+    status: () => timerStatus(current.timer),
+    remainingMs: () => remainingMs(current.timer, clock()),
+  };
+}
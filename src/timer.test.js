@@ -0,0 +1,455 @@
+import { describe, expect, it } from "vitest";
+import { classicSteps } from "./sequences.js";
+import { createTimer, initialTimerState, remainingMs, runningTimer, timerStatus, transition } from "./timer.js";
+
+const MIN = 60 * 1000;
+const SETTINGS = { pomodoroMin: 25, shortMin: 5, longMin: 15 };
+const stepsFor = (longEvery) => classicSteps({ ...SETTINGS, longEvery });
+
+// A timer on a fake clock that only moves when told to.
+function fakeTimer({ longEvery = 4, autoStart = false, ...options } = {}) {
+  let now = 1_000_000;
+  const logged = [];
+  const ended = [];
+  const events = [];
+  const timer = createTimer({
+    steps: stepsFor(longEvery),
+    autoStart,
+    clock: () => now,
+    onLog: (e) => logged.push(e),
+    onEnd: (e) => ended.push(e),
+    onEvent: (e) => events.push(e.type),
+    ...options,
+  });
+  const advance = (ms) => {
+    now += ms;
+    return timer.tick();
+  };
+  // Runs the current session to its end.
+  const finish = () => {
+    if (timer.status() !== "running") timer.send({ type: "start" });
+    return advance(timer.remainingMs());
+  };
+  const mode = () => stepsFor(longEvery)[timer.getState().step].type;
+  return { timer, advance, finish, mode, logged, ended, events, now: () => now };
+}
+
+describe("start, pause and tick", () => {
+  it("starts an idle session with a deadline", () => {
+    const t = fakeTimer();
+    t.timer.send({ type: "start" });
+    const { timer } = t.timer.getState();
+    expect(timerStatus(timer)).toBe("running");
+    expect(timer.endsAt).toBe(t.now() + 25 * MIN);
+    expect(timer.sessionStartedAt).toBe(t.now());
+    expect(t.events).toEqual(["started"]);
+  });
+
+  it("ignores start while running and pause while idle", () => {
+    const t = fakeTimer();
+    expect(t.timer.send({ type: "pause" }).state).toBe(t.timer.getState());
+    t.timer.send({ type: "start" });
+    const running = t.timer.getState();
+    expect(t.timer.send({ type: "start" }).state).toBe(running);
+  });
+
+  it("pauses and resumes where it left off", () => {
+    const t = fakeTimer();
+    t.timer.send({ type: "start" });
+    t.advance(10 * MIN);
+    t.timer.send({ type: "pause" });
+    expect(t.timer.status()).toBe("paused");
+    expect(t.timer.remainingMs()).toBe(15 * MIN);
+    t.advance(60 * MIN); // paused time doesn't count
+    expect(t.timer.remainingMs()).toBe(15 * MIN);
+    t.timer.send({ type: "toggle" });
+    expect(t.timer.status()).toBe("running");
+    expect(t.timer.getState().timer.endsAt).toBe(t.now() + 15 * MIN);
+    expect(t.events).toEqual(["started", "paused", "resumed"]);
+  });
+
+  it("does nothing on a tick before the deadline", () => {
+    const t = fakeTimer();
+    t.timer.send({ type: "start" });
+    const before = t.timer.getState();
+    expect(t.advance(25 * MIN - 1).state).toBe(before);
+  });
+
+  it("completes the session on the first tick past the deadline", () => {
+    const t = fakeTimer();
+    t.timer.send({ type: "start" });
+    const started = t.now();
+    const result = t.advance(30 * MIN);
+    expect(result.logged).toMatchObject({ mode: "focus", outcome: "completed", startedAt: started, endedAt: started + 25 * MIN, actualSec: 25 * 60 });
+    expect(result.ended).toMatchObject({ mode: "focus", next: { type: "short" }, at: started + 25 * MIN });
+    expect(t.timer.getState()).toMatchObject({ step: 1, cycles: 1 });
+  });
+
+  it("counts the next session from the tick, not the missed deadline", () => {
+    const t = fakeTimer({ autoStart: true });
+    t.timer.send({ type: "start" });
+    t.advance(3 * 60 * MIN);
+    expect(t.timer.getState().step).toBe(1);
+    expect(t.timer.remainingMs()).toBe(5 * MIN);
+  });
+});
+
+describe("long-break cadence", () => {
+  const modesOver = (longEvery, sessions) => {
+    const t = fakeTimer({ longEvery });
+    const seen = [];
+    for (let i = 0; i < sessions; i++) seen.push(t.finish().ended.next.type);
+    return { seen, t };
+  };
+
+  it("takes a long break after every 4th focus session", () => {
+    const { seen, t } = modesOver(4, 9);
+    expect(seen).toEqual(["short", "focus", "short", "focus", "short", "focus", "long", "focus", "short"]);
+    expect(t.timer.getState().cycles).toBe(5);
+  });
+
+  it("takes a long break after every 2nd focus session", () => {
+    const { seen, t } = modesOver(2, 8);
+    expect(seen).toEqual(["short", "focus", "long", "focus", "short", "focus", "long", "focus"]);
+    expect(t.timer.getState().step).toBe(0);
+    expect(t.timer.getState().cycles).toBe(4);
+  });
+
+  it("uses the long break's length", () => {
+    const t = fakeTimer({ longEvery: 2 });
+    t.finish();
+    t.finish();
+    t.finish();
+    expect(t.mode()).toBe("long");
+    expect(t.timer.remainingMs()).toBe(15 * MIN);
+  });
+});
+
+describe("auto-start", () => {
+  it("starts the next session right away when on", () => {
+    const t = fakeTimer({ autoStart: true });
+    t.finish();
+    expect(t.timer.status()).toBe("running");
+    expect(t.events).toEqual(["started", "completed", "started"]);
+  });
+
+  it("leaves the next session idle when off", () => {
+    const t = fakeTimer({ autoStart: false });
+    t.finish();
+    expect(t.timer.status()).toBe("idle");
+    expect(t.timer.remainingMs()).toBe(5 * MIN);
+    expect(t.events).toEqual(["started", "completed"]);
+  });
+
+  it("follows a configure() change", () => {
+    const t = fakeTimer({ autoStart: false });
+    t.timer.configure({ autoStart: true });
+    t.finish();
+    expect(t.timer.status()).toBe("running");
+  });
+});
+
+describe("skip", () => {
+  it("logs a skipped focus session and moves on", () => {
+    const t = fakeTimer();
+    t.timer.send({ type: "start" });
+    t.advance(5 * MIN);
+    const result = t.timer.send({ type: "skip" });
+    expect(result.logged).toMatchObject({ mode: "focus", outcome: "skipped", actualSec: 5 * 60 });
+    expect(t.timer.getState()).toMatchObject({ step: 1, cycles: 1 });
+  });
+
+  it("skips a short break back to focus without counting a cycle", () => {
+    const t = fakeTimer();
+    t.finish();
+    t.timer.send({ type: "start" });
+    t.advance(MIN);
+    const result = t.timer.send({ type: "skip" });
+    expect(result.logged).toMatchObject({ mode: "short", outcome: "skipped", actualSec: 60 });
+    expect(result.ended).toMatchObject({ mode: "short", next: { type: "focus" } });
+    expect(t.timer.getState()).toMatchObject({ step: 2, cycles: 1 });
+  });
+
+  it("skips a long break and wraps to the first step", () => {
+    const t = fakeTimer({ longEvery: 2 });
+    t.finish();
+    t.finish();
+    t.finish();
+    expect(t.mode()).toBe("long");
+    t.timer.send({ type: "start" });
+    t.advance(2 * MIN);
+    const result = t.timer.send({ type: "skip" });
+    expect(result.logged).toMatchObject({ mode: "long", outcome: "skipped", actualSec: 120 });
+    expect(t.timer.getState()).toMatchObject({ step: 0, cycles: 2 });
+  });
+
+  it("logs nothing for a step skipped before it started", () => {
+    const t = fakeTimer();
+    const result = t.timer.send({ type: "skip" });
+    expect(result.logged).toBeNull();
+    expect(result.events).toEqual([]);
+    expect(result.ended).toMatchObject({ mode: "focus", next: { type: "short" } });
+    expect(t.timer.getState()).toMatchObject({ step: 1, cycles: 1 });
+  });
+
+  it("keeps the long break where the sequence puts it when focus is skipped", () => {
+    const t = fakeTimer({ longEvery: 2 });
+    t.timer.send({ type: "skip" }); // focus 1, never started
+    t.timer.send({ type: "skip" }); // its short break
+    t.finish(); // focus 2
+    expect(t.mode()).toBe("long");
+    expect(t.logged.map((e) => `${e.mode}:${e.outcome}`)).toEqual(["focus:completed"]);
+  });
+
+  it("auto-starts the session after a skipped break when on", () => {
+    const t = fakeTimer({ autoStart: true });
+    t.finish();
+    t.timer.send({ type: "skip" });
+    expect(t.mode()).toBe("focus");
+    expect(t.timer.status()).toBe("running");
+  });
+});
+
+describe("reset and void", () => {
+  it("reset logs a started session and goes back to the step's start", () => {
+    const t = fakeTimer();
+    t.timer.send({ type: "start" });
+    t.advance(3 * MIN);
+    const result = t.timer.send({ type: "reset" });
+    expect(result.logged).toMatchObject({ outcome: "reset", actualSec: 180 });
+    expect(t.timer.status()).toBe("idle");
+    expect(t.timer.remainingMs()).toBe(25 * MIN);
+    expect(t.timer.getState().step).toBe(0);
+  });
+
+  it("reset logs nothing for a session that never started", () => {
+    const t = fakeTimer();
+    expect(t.timer.send({ type: "reset" }).logged).toBeNull();
+  });
+
+  it("void abandons a started focus session", () => {
+    const t = fakeTimer();
+    t.timer.send({ type: "start" });
+    t.advance(MIN);
+    t.timer.send({ type: "interrupt", kind: "external" });
+    const result = t.timer.send({ type: "void" });
+    expect(result.logged).toMatchObject({ outcome: "voided", interruptions: [{ kind: "external" }] });
+    expect(t.timer.status()).toBe("idle");
+    expect(t.timer.getState().cycles).toBe(0);
+  });
+
+  it("void does nothing on breaks or before starting", () => {
+    const t = fakeTimer();
+    expect(t.timer.send({ type: "void" }).logged).toBeNull();
+    t.finish();
+    t.timer.send({ type: "start" });
+    expect(t.timer.send({ type: "void" }).logged).toBeNull();
+    expect(t.timer.status()).toBe("running");
+  });
+});
+
+describe("select, load and custom", () => {
+  it("select moves to the next step of that type, idle", () => {
+    const t = fakeTimer();
+    t.timer.send({ type: "select", mode: "long" });
+    expect(t.timer.getState().step).toBe(7);
+    expect(t.timer.status()).toBe("idle");
+    expect(t.timer.remainingMs()).toBe(15 * MIN);
+  });
+
+  it("select ignores a type the sequence doesn't have", () => {
+    const steps = [{ type: "focus", min: 50 }, { type: "short", min: 10 }];
+    const state = initialTimerState(steps);
+    expect(transition(state, { type: "select", mode: "long", at: 0 }, { steps }).state).toBe(state);
+  });
+
+  it("load switches sequence and position", () => {
+    const t = fakeTimer();
+    const steps = [{ type: "focus", min: 50 }, { type: "short", min: 10 }];
+    t.timer.send({ type: "load", steps, step: 1, cycles: 3 });
+    t.timer.configure({ steps });
+    expect(t.timer.getState()).toMatchObject({ step: 1, cycles: 3 });
+    expect(t.timer.remainingMs()).toBe(10 * MIN);
+  });
+
+  it("load keeps a running session whose step is unchanged", () => {
+    const t = fakeTimer();
+    t.timer.send({ type: "start" });
+    const { timer } = t.timer.getState();
+    t.timer.send({ type: "load", steps: stepsFor(2), step: 0 });
+    expect(t.timer.getState().timer).toBe(timer);
+  });
+
+  it("custom starts a one-off length on a step of that type", () => {
+    const t = fakeTimer();
+    t.timer.send({ type: "start" });
+    t.advance(MIN);
+    const result = t.timer.send({ type: "custom", mode: "focus", min: 40 });
+    expect(result.logged).toMatchObject({ outcome: "reset" });
+    expect(t.timer.getState().timer).toMatchObject({ custom: true });
+    expect(t.timer.remainingMs()).toBe(40 * MIN);
+    t.timer.send({ type: "custom", mode: "short", min: 2 });
+    expect(t.mode()).toBe("short");
+    expect(t.timer.remainingMs()).toBe(2 * MIN);
+  });
+
+  it("configure re-reads the step length unless running or custom", () => {
+    const steps = [{ type: "focus", min: 30 }, { type: "short", min: 5 }];
+    const t = fakeTimer();
+    t.timer.configure({ steps });
+    expect(t.timer.remainingMs()).toBe(30 * MIN);
+    t.timer.send({ type: "start" });
+    t.timer.configure({ steps: [{ type: "focus", min: 45 }, { type: "short", min: 5 }] });
+    expect(t.timer.remainingMs()).toBe(30 * MIN);
+  });
+});
+
+describe("flow overtime", () => {
+  function inOvertime(minutes, options) {
+    const t = fakeTimer({ flow: { breakRatio: 0 }, ...options });
+    t.timer.send({ type: "start" });
+    t.advance(25 * MIN);
+    t.advance(minutes * MIN);
+    return t;
+  }
+
+  it("runs a focus session on past its deadline and says so once", () => {
+    const t = inOvertime(3);
+    expect(t.timer.status()).toBe("running");
+    expect(t.timer.getState().timer.overtime).toBe(true);
+    expect(t.timer.remainingMs()).toBe(-3 * MIN);
+    expect(t.logged).toEqual([]);
+    expect(t.events).toEqual(["started", "overtime"]);
+  });
+
+  it("completes the session when the break is taken, with its overtime", () => {
+    const t = inOvertime(3);
+    const result = t.timer.send({ type: "skip" });
+    expect(result.logged).toMatchObject({ outcome: "completed", actualSec: 28 * 60, overtimeSec: 180 });
+    expect(t.events.at(-1)).toBe("completed");
+    expect(t.mode()).toBe("short");
+    expect(t.timer.getState().cycles).toBe(1);
+  });
+
+  it("scales the break to the focus time when a ratio is set", () => {
+    const t = inOvertime(5, { flow: { breakRatio: 5 } });
+    t.timer.send({ type: "skip" });
+    expect(t.timer.remainingMs()).toBe(6 * MIN);
+  });
+
+  it("ends overtime on the next tick once flow mode is off", () => {
+    const t = inOvertime(3);
+    t.timer.configure({ flow: null });
+    expect(t.timer.getState().timer.overtime).toBe(true);
+    const result = t.advance(MIN);
+    expect(result.logged).toMatchObject({ outcome: "completed", actualSec: 29 * 60, overtimeSec: 240 });
+    expect(t.mode()).toBe("short");
+  });
+
+  it("leaves breaks out of overtime", () => {
+    const t = inOvertime(0);
+    t.timer.send({ type: "skip" });
+    expect(t.finish().logged).toMatchObject({ mode: "short", outcome: "completed" });
+    expect(t.logged[1]).not.toHaveProperty("overtimeSec");
+  });
+});
+
+describe("away and back", () => {
+  // Focus started, then nobody around from minute 7 and noticed at minute 10.
+  function awayAt7() {
+    const t = fakeTimer();
+    t.timer.send({ type: "start" });
+    t.advance(10 * MIN);
+    t.timer.send({ type: "away", since: t.now() - 3 * MIN });
+    return t;
+  }
+
+  it("pauses focus as of when nobody was around", () => {
+    const t = awayAt7();
+    expect(t.timer.status()).toBe("paused");
+    expect(t.timer.remainingMs()).toBe(18 * MIN);
+    expect(t.timer.getState().timer.away.since).toBe(t.now() - 3 * MIN);
+    expect(t.events).toEqual(["started", "paused"]);
+  });
+
+  it("keep counts the time away", () => {
+    const t = awayAt7();
+    t.advance(2 * MIN);
+    t.timer.send({ type: "back", choice: "keep" });
+    expect(t.timer.status()).toBe("running");
+    expect(t.timer.remainingMs()).toBe(13 * MIN);
+    expect(t.timer.getState().timer.away).toBeUndefined();
+  });
+
+  it("keep completes a session that ran out while away", () => {
+    const t = awayAt7();
+    t.advance(30 * MIN);
+    const result = t.timer.send({ type: "back", choice: "keep" });
+    expect(result.logged).toMatchObject({ outcome: "completed", actualSec: 25 * 60 });
+    expect(t.mode()).toBe("short");
+  });
+
+  it("trim drops the time away", () => {
+    const t = awayAt7();
+    t.advance(30 * MIN);
+    t.timer.send({ type: "back", choice: "trim" });
+    expect(t.timer.status()).toBe("running");
+    expect(t.timer.remainingMs()).toBe(18 * MIN);
+    expect(t.finish().logged).toMatchObject({ outcome: "completed", actualSec: 25 * 60 });
+  });
+
+  it("discard voids the session", () => {
+    const t = awayAt7();
+    const result = t.timer.send({ type: "back", choice: "discard" });
+    expect(result.logged).toMatchObject({ outcome: "voided", actualSec: 7 * 60 });
+    expect(t.timer.status()).toBe("idle");
+  });
+
+  it("leaves breaks and paused sessions alone", () => {
+    const t = fakeTimer();
+    t.finish();
+    t.timer.send({ type: "start" });
+    expect(t.timer.send({ type: "away", since: t.now() }).state).toBe(t.timer.getState());
+    t.timer.send({ type: "skip" });
+    t.timer.send({ type: "start" });
+    t.timer.send({ type: "pause" });
+    expect(t.timer.send({ type: "away", since: t.now() }).state).toBe(t.timer.getState());
+    expect(t.timer.send({ type: "back", choice: "keep" }).state).toBe(t.timer.getState());
+  });
+});
+
+describe("follow", () => {
+  const roomSession = (now) => ({ id: "r1", step: 0, durationMs: 25 * MIN, endsAt: now + 20 * MIN, remainingMs: 20 * MIN, sessionStartedAt: now - 5 * MIN });
+
+  it("adopts a room's session and keeps it from pausing when nobody's around", () => {
+    const t = fakeTimer();
+    t.timer.send({ type: "follow", session: roomSession(t.now()) });
+    expect(t.timer.status()).toBe("running");
+    expect(t.timer.remainingMs()).toBe(20 * MIN);
+    expect(t.timer.send({ type: "away", since: t.now() }).state).toBe(t.timer.getState());
+  });
+
+  it("unfollow keeps the session running as the timer's own", () => {
+    const t = fakeTimer();
+    t.timer.send({ type: "follow", session: roomSession(t.now()) });
+    t.timer.send({ type: "unfollow" });
+    expect(t.timer.getState().timer.followed).toBeUndefined();
+    expect(t.timer.remainingMs()).toBe(20 * MIN);
+    t.advance(MIN);
+    t.timer.send({ type: "away", since: t.now() });
+    expect(t.timer.status()).toBe("paused");
+    expect(t.timer.send({ type: "unfollow" }).state).toBe(t.timer.getState());
+  });
+});
+
+describe("transition", () => {
+  it("never reads the clock", () => {
+    const steps = stepsFor(4);
+    const state = { step: 0, cycles: 0, timer: runningTimer(25 * 60, 0) };
+    const early = transition(state, { type: "tick", at: 25 * MIN - 1 }, { steps });
+    const late = transition(state, { type: "tick", at: 25 * MIN }, { steps });
+    expect(early.state).toBe(state);
+    expect(late.state.step).toBe(1);
+    expect(remainingMs(state.timer, 10 * MIN)).toBe(15 * MIN);
+  });
+});
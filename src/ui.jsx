@@ -0,0 +1,148 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+
+// ---- Shared UI primitives ------------------------------------------------------
+export function Stat({ themeObj, label, value }) {
+  return (
+    <div className={themeObj.statWrap}>
+      <div className={themeObj.statLabel}>{label}</div>
+      <div className={themeObj.statValue}>{value}</div>
+    </div>
+  );
+}
+
+// The value is committed on blur or Enter; the arrow keys step it as usual.
+export function NumberField({ themeObj, label, value, onChange, suffix, min = 1, max = 999 }) {
+  const [draft, setDraft] = useState(String(value));
+  const suffixId = useId();
+  useEffect(() => setDraft(String(value)), [value]);
+  function commit() {
+    const n = parseInt(draft || "0", 10);
+    if (!Number.isFinite(n)) return setDraft(String(value));
+    onChange(n);
+  }
+  return (
+    <label className="block">
+      <div className={themeObj.fieldLabel}>{label}</div>
+      <div className="flex items-center gap-2">
+        <input
+          className={themeObj.input}
+          type="number"
+          inputMode="numeric"
+          min={min}
+          max={max}
+          value={draft}
+          aria-describedby={suffix ? suffixId : undefined}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => { if (e.key === "Enter") commit(); }}
+          onBlur={commit}
+        />
+        {suffix && <span id={suffixId} className={themeObj.highlightText}>{suffix}</span>}
+      </div>
+    </label>
+  );
+}
+
+// A switch named by its label; clicking the label flips it too.
+export function ToggleField({ themeObj, label, checked, onChange }) {
+  const id = useId();
+  return (
+    <div className="flex items-center justify-between gap-3 select-none">
+      <label id={`${id}-label`} htmlFor={id} className={themeObj.highlightText}>{label}</label>
+      <button
+        id={id}
+        type="button"
+        role="switch"
+        aria-checked={checked}
+        aria-labelledby={`${id}-label`}
+        onClick={() => onChange(!checked)}
+        className={`relative inline-flex h-7 w-12 shrink-0 items-center rounded-full motion-safe:transition ${checked ? themeObj.toggleOn : themeObj.toggleOff}`}
+      >
+        <span aria-hidden="true" className={`inline-block h-5 w-5 transform rounded-full bg-white ${checked ? "translate-x-6" : "translate-x-1"} motion-safe:transition`} />
+      </button>
+    </div>
+  );
+}
+
+// A centred dialog over a dimmed page. Escape or a click outside closes it, and
+// focus goes back to wherever it was when the dialog opened.
+export function Modal({ themeObj, title, onClose, children }) {
+  const closeRef = useRef(onClose);
+  useEffect(() => { closeRef.current = onClose; });
+  useEffect(() => {
+    const opener = document.activeElement;
+    const onKey = (e) => {
+      if (e.key !== "Escape") return;
+      e.preventDefault();
+      closeRef.current();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => {
+      window.removeEventListener("keydown", onKey);
+      opener?.focus?.();
+    };
+  }, []);
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center bg-black/50 p-4 pt-[12vh]" onMouseDown={(e) => { if (e.target === e.currentTarget) onClose(); }}>
+      <div role="dialog" aria-modal="true" aria-label={title} className={`${themeObj.cardA} w-full max-w-lg max-h-[76vh] overflow-y-auto`}>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+// `goal` (0..1, or null) adds a thin outer ring for today's goal progress.
+// In `overtime` the ring is full, in its own colour, and pulses. The ring
+// glides between ticks unless reduced motion is asked for. It is decoration:
+// the digits inside carry the time.
+export function ProgressRing({ size = 200, stroke = 12, progress = 0, goal = null, overtime = false, children, themeObj }) {
+  const goalStroke = 4;
+  const r = (size - stroke) / 2 - (goal == null ? 0 : goalStroke + 4);
+  const c = 2 * Math.PI * r;
+  const dash = c * progress;
+  const gr = (size - goalStroke) / 2;
+  const gc = 2 * Math.PI * gr;
+  return (
+    <div className="relative" style={{ width: size, height: size }}>
+      <svg width={size} height={size} className="block" aria-hidden="true">
+        {goal != null && (
+          <g>
+            <circle cx={size / 2} cy={size / 2} r={gr} strokeWidth={goalStroke} fill="none" style={{ stroke: themeObj.ring.track }} />
+            <circle
+              cx={size / 2}
+              cy={size / 2}
+              r={gr}
+              strokeWidth={goalStroke}
+              fill="none"
+              strokeDasharray={`${gc * goal} ${gc}`}
+              strokeLinecap="round"
+              transform={`rotate(-90 ${size / 2} ${size / 2})`}
+              className="motion-safe:transition-[stroke-dasharray] motion-safe:duration-500"
+              style={{ stroke: themeObj.ring.goal }}
+            />
+          </g>
+        )}
+        <circle cx={size / 2} cy={size / 2} r={r} strokeWidth={stroke} fill="none" style={{ stroke: themeObj.ring.track }} />
+        <circle
+          cx={size / 2}
+          cy={size / 2}
+          r={r}
+          stroke="url(#pomox-ring)"
+          strokeWidth={stroke}
+          fill="none"
+          strokeDasharray={overtime ? undefined : `${dash} ${c}`}
+          className={overtime ? "motion-safe:animate-pulse" : "motion-safe:transition-[stroke-dasharray] motion-safe:duration-300 motion-safe:ease-linear"}
+          style={overtime ? { stroke: themeObj.ring.overtime } : undefined}
+          strokeLinecap="round"
+          transform={`rotate(-90 ${size / 2} ${size / 2})`}
+        />
+        <defs>
+          <linearGradient id="pomox-ring" x1="0" x2="1" y1="0" y2="1">
+            <stop offset="0%" style={{ stopColor: themeObj.ring.from }} />
+            <stop offset="100%" style={{ stopColor: themeObj.ring.to }} />
+          </linearGradient>
+        </defs>
+      </svg>
+      <div className="absolute inset-0 grid place-items-center">{children}</div>
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import { useEffect, useRef, useState } from "react";
+
+const CHECK_EVERY_MS = 5 * 1000;
+const INPUT_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart"];
+// Background tabs may run timers only once a minute, so a longer gap than
+// that between checks means the machine slept.
+const SLEEP_SLACK_MS = 60 * 1000;
+const DETECTOR_MIN_MS = 60 * 1000;
+
+const hasDetector = () => typeof window !== "undefined" && "IdleDetector" in window;
+
+// ---- usePresence -------------------------------------------------------------------
+// Whether anyone is at the computer. Three signals, from best to worst:
+//   - the Idle Detection API (Chromium, after permission): system-wide input and
+//     screen lock
+//   - the machine sleeping (checks stop for longer than `idleMs`)
+//   - no input in this page for `idleMs`, counting from when it was hidden if
+//     it is, so a tab left in the background that long counts as away too
+// `away` is when the absence began, or null; `onActive` is called every few
+// seconds while there are signs of someone.
+export default function usePresence({ enabled, idleMs, onActive }) {
+  const [away, setAway] = useState(null);
+  const [detector, setDetector] = useState(hasDetector() ? "prompt" : "unsupported"); // unsupported | prompt | granted | denied
+  const lastInput = useRef(Date.now());
+  const system = useRef(null); // { active, since } from the Idle Detection API
+  const latest = useRef(null);
+  useEffect(() => { latest.current = { onActive }; });
+
+  useEffect(() => {
+    if (!hasDetector()) return;
+    navigator.permissions?.query({ name: "idle-detection" }).then((p) => {
+      setDetector(p.state);
+      p.onchange = () => setDetector(p.state);
+    }, () => {});
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const onInput = () => {
+      lastInput.current = Date.now();
+      setAway(null);
+    };
+    // Switching away is the last sign of someone until the page is back.
+    const onVisible = () => {
+      if (document.visibilityState === "visible") onInput();
+      else lastInput.current = Date.now();
+    };
+    INPUT_EVENTS.forEach((t) => window.addEventListener(t, onInput, { passive: true }));
+    document.addEventListener("visibilitychange", onVisible);
+    onInput();
+    return () => {
+      INPUT_EVENTS.forEach((t) => window.removeEventListener(t, onInput));
+      document.removeEventListener("visibilitychange", onVisible);
+      setAway(null);
+    };
+  }, [enabled]);
+
+  useEffect(() => {
+    if (!enabled || detector !== "granted") return;
+    const controller = new AbortController();
+    const idle = new window.IdleDetector();
+    const threshold = Math.max(DETECTOR_MIN_MS, idleMs);
+    idle.addEventListener("change", () => {
+      const active = idle.userState === "active" && idle.screenState === "unlocked";
+      system.current = { active, since: active ? Date.now() : Date.now() - (idle.userState === "idle" ? threshold : 0) };
+    });
+    idle.start({ threshold, signal: controller.signal }).catch(() => setDetector("denied"));
+    return () => {
+      controller.abort();
+      system.current = null;
+    };
+  }, [enabled, detector, idleMs]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let lastCheck = Date.now();
+    const id = setInterval(() => {
+      const now = Date.now();
+      const slept = now - lastCheck > idleMs + SLEEP_SLACK_MS ? lastCheck : null;
+      const sinceCheck = lastCheck;
+      lastCheck = now;
+      const sys = system.current;
+      const inputIdle = now - lastInput.current >= idleMs ? lastInput.current : null;
+      const active = sys?.active || lastInput.current > sinceCheck;
+      if (active && !slept) latest.current.onActive?.();
+      setAway((since) => {
+        if (since != null) return active && !slept ? null : since;
+        if (slept != null) return slept;
+        if (sys && !sys.active) return sys.since;
+        return sys?.active ? null : inputIdle;
+      });
+    }, CHECK_EVERY_MS);
+    return () => clearInterval(id);
+  }, [enabled, idleMs]);
+
+  return {
+    away,
+    detector,
+    // Needs a user gesture, e.g. a click.
+    async allowDetector() {
+      try {
+        setDetector(await window.IdleDetector.requestPermission());
+      } catch {
+        setDetector("denied");
+      }
+    },
+  };
+}
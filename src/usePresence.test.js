@@ -0,0 +1,61 @@
+// @vitest-environment jsdom
+import { act, renderHook } from "@testing-library/react";
+import { afterEach, beforeEach, expect, it, vi } from "vitest";
+import usePresence from "./usePresence.js";
+
+const MIN = 60 * 1000;
+let visibility = "visible";
+
+function setVisibility(state) {
+  visibility = state;
+  act(() => document.dispatchEvent(new Event("visibilitychange")));
+}
+
+const wait = (ms) => act(() => vi.advanceTimersByTime(ms));
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  visibility = "visible";
+  vi.spyOn(document, "visibilityState", "get").mockImplementation(() => visibility);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+it("counts no input for the idle time as away, from the last input", () => {
+  const { result, unmount } = renderHook(() => usePresence({ enabled: true, idleMs: 2 * MIN }));
+  const start = Date.now();
+  wait(MIN);
+  expect(result.current.away).toBeNull();
+  wait(MIN + 5000);
+  expect(result.current.away).toBe(start);
+
+  act(() => window.dispatchEvent(new Event("keydown")));
+  expect(result.current.away).toBeNull();
+  unmount();
+});
+
+it("counts a page hidden for the idle time as away, from when it was hidden", () => {
+  const { result, unmount } = renderHook(() => usePresence({ enabled: true, idleMs: 2 * MIN }));
+  wait(MIN);
+  const hiddenAt = Date.now();
+  setVisibility("hidden");
+  wait(MIN + 30 * 1000);
+  expect(result.current.away).toBeNull();
+  wait(MIN);
+  expect(result.current.away).toBe(hiddenAt);
+
+  setVisibility("visible");
+  expect(result.current.away).toBeNull();
+  unmount();
+});
+
+it("reports nothing while disabled", () => {
+  const { result, unmount } = renderHook(() => usePresence({ enabled: false, idleMs: MIN }));
+  setVisibility("hidden");
+  wait(5 * MIN);
+  expect(result.current.away).toBeNull();
+  unmount();
+});
@@ -0,0 +1,183 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useStoredState } from "./hooks.js";
+
+const PING_EVERY_MS = 20 * 1000;
+const SILENT_LIMIT_MS = 45 * 1000; // no message for this long means the connection is dead
+const MAX_RETRY_MS = 15 * 1000;
+const OFFSET_TOLERANCE_MS = 500;
+
+const newClientId = () => `c-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Times from the server are moved onto our clock. `offset` (a ref holding the
+// server clock minus ours) only changes when it drifts noticeably, so a
+// running deadline doesn't jitter.
+function toLocal(state, serverNow, offset) {
+  const measured = serverNow - Date.now();
+  if (offset.current == null || Math.abs(measured - offset.current) > OFFSET_TOLERANCE_MS) offset.current = measured;
+  const local = (t) => (t == null ? t : t - offset.current);
+  return {
+    ...state,
+    session: { ...state.session, endsAt: local(state.session.endsAt), sessionStartedAt: local(state.session.sessionStartedAt) },
+    lastEnd: state.lastEnd && { ...state.lastEnd, at: local(state.lastEnd.at) },
+  };
+}
+
+// ---- useRoom -----------------------------------------------------------------------
+// A co-working room on a room server (server/room-server.js). The server owns
+// the room's timer; every state it sends is passed to `onState` in local
+// clock time, so the caller can follow it. After a disconnect the hook
+// reconnects with backoff and simply takes the room's current state again.
+// Like sync, only the owning tab (`active`) connects.
+//
+// The stored `room` ({ server, name, clientId, code, settings }) keeps the
+// room joined across reloads; `live` is the latest room state while connected.
+export default function useRoom({ active, task, onState }) {
+  const [room, setRoom] = useStoredState("room");
+  const [request, setRequest] = useState(null); // { code } to join, { code: null, settings } to create
+  const [live, setLive] = useState(null);
+  const [status, setStatus] = useState("idle"); // idle | connecting | open | reconnecting
+  const [error, setError] = useState(null);
+  const [away, setAway] = useState(() => document.visibilityState === "hidden");
+
+  const latest = useRef(null);
+  useEffect(() => { latest.current = { room, request, onState }; });
+  const socket = useRef(null);
+  const offset = useRef(null);
+
+  useEffect(() => {
+    const onVisibility = () => setAway(document.visibilityState === "hidden");
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => document.removeEventListener("visibilitychange", onVisibility);
+  }, []);
+
+  const wanted = active && (room.code || request) ? room.server : null;
+  useEffect(() => {
+    if (!wanted) return;
+    let ws = null;
+    let attempts = 0;
+    let retry = null;
+    let lastHeard = 0;
+    let stopped = false;
+
+    function onMessage(e) {
+      lastHeard = Date.now();
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      if (msg.type === "state") {
+        const state = toLocal(msg.room, msg.serverNow, offset);
+        setLive(state);
+        setError(null);
+        setRequest(null);
+        setRoom((r) => (r.code === state.code && JSON.stringify(r.settings) === JSON.stringify(state.settings) ? r : { ...r, code: state.code, settings: state.settings }));
+        latest.current.onState?.(state);
+      } else if (msg.type === "error") {
+        setError(msg.message);
+        // The room expired while we were away, or the code was mistyped.
+        if (msg.code === "unknown-room") {
+          setRequest(null);
+          setRoom((r) => ({ ...r, code: null, settings: null }));
+        }
+      }
+    }
+
+    function connect() {
+      setStatus(attempts ? "reconnecting" : "connecting");
+      try {
+        ws = new WebSocket(wanted);
+      } catch {
+        setError("That isn't a valid room server address (it starts with ws:// or wss://).");
+        setRequest(null);
+        setStatus("idle");
+        return;
+      }
+      socket.current = ws;
+      ws.onopen = () => {
+        attempts = 0;
+        lastHeard = Date.now();
+        setStatus("open");
+        const { room: stored, request: asked } = latest.current;
+        const code = asked ? asked.code : stored.code;
+        ws.send(JSON.stringify({ type: "join", room: code, clientId: stored.clientId, name: stored.name, settings: asked?.settings }));
+      };
+      ws.onmessage = onMessage;
+      ws.onclose = () => {
+        if (socket.current === ws) socket.current = null;
+        if (stopped) return;
+        setStatus("reconnecting");
+        retry = setTimeout(connect, Math.min(MAX_RETRY_MS, 1000 * 2 ** attempts++));
+      };
+    }
+
+    connect();
+    const heartbeat = setInterval(() => {
+      if (ws?.readyState !== WebSocket.OPEN) return;
+      if (Date.now() - lastHeard > SILENT_LIMIT_MS) ws.close();
+      else ws.send(JSON.stringify({ type: "ping", t: Date.now() }));
+    }, PING_EVERY_MS);
+    const onOnline = () => {
+      if (ws?.readyState === WebSocket.OPEN || ws?.readyState === WebSocket.CONNECTING) return;
+      clearTimeout(retry);
+      connect();
+    };
+    window.addEventListener("online", onOnline);
+    return () => {
+      stopped = true;
+      clearTimeout(retry);
+      clearInterval(heartbeat);
+      window.removeEventListener("online", onOnline);
+      ws?.close();
+      socket.current = null;
+      setStatus("idle");
+      setLive(null);
+    };
+  }, [wanted, setRoom]);
+
+  const send = useCallback((message) => {
+    if (socket.current?.readyState !== WebSocket.OPEN) {
+      setError("Not connected to the room right now.");
+      return false;
+    }
+    socket.current.send(JSON.stringify(message));
+    return true;
+  }, []);
+
+  // What others see next to our name.
+  const connected = status === "open" && !!live;
+  useEffect(() => {
+    if (connected) send({ type: "status", away, task: task || null, name: room.name });
+  }, [connected, away, task, room.name, send]);
+
+  const withClientId = (r) => (r.clientId ? r : { ...r, clientId: newClientId() });
+
+  return {
+    room,
+    live,
+    status,
+    error,
+    inRoom: !!room.code,
+    canControl: !!live && (live.control === "everyone" || live.hostId === room.clientId),
+    configure: (patch) => setRoom((r) => ({ ...r, ...patch })),
+    create(settings) {
+      setRoom(withClientId);
+      setError(null);
+      setRequest({ code: null, settings });
+    },
+    join(code) {
+      setRoom(withClientId);
+      setError(null);
+      setRequest({ code: code.trim().toUpperCase() });
+    },
+    leave() {
+      if (socket.current?.readyState === WebSocket.OPEN) socket.current.send(JSON.stringify({ type: "leave" }));
+      setRequest(null);
+      setError(null);
+      setRoom((r) => ({ ...r, code: null, settings: null }));
+    },
+    command: (action, extra) => send({ type: "command", action, ...extra }),
+    setControl: (control) => send({ type: "control", control }),
+  };
+}
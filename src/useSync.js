@@ -0,0 +1,172 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useInterval, useStoredState } from "./hooks.js";
+import { BATCH_SIZE, SYNC_DOCS, SyncError, incomingDoc, isValidDoc, mergeEntries, outgoingDoc, syncOnce } from "./sync.js";
+
+const SYNC_EVERY_MS = 60 * 1000;
+const DEBOUNCE_MS = 2000;
+
+// ---- useSync -----------------------------------------------------------------------
+// React binding for sync.js. Like the timer's ticks it only runs in the owning
+// tab (`active`). Local changes are found by comparing against what was last
+// seen, and queued in the stored `sync` state, so they survive reloads and
+// offline stretches until a round trip succeeds. `docs` holds the current
+// SYNC_DOCS values and `setDoc(key, value)` replaces one.
+export default function useSync({ active, history, setHistory, docs, setDoc }) {
+  const [sync, setSync] = useStoredState("sync");
+  const [syncing, setSyncing] = useState(false);
+  const [offline, setOffline] = useState(false);
+  const on = active && sync.enabled && !!sync.endpoint.trim() && !!sync.token.trim();
+
+  const latest = useRef(null);
+  useEffect(() => { latest.current = { sync, history, docs, setHistory, setDoc }; });
+
+  // What was last seen of each session (id → { entry, json }) and document
+  // (key → json). Remote changes are recorded here before they're applied, so
+  // they aren't queued to be sent straight back.
+  const seenEntries = useRef(null);
+  const seenDocs = useRef(null);
+
+  useEffect(() => {
+    if (!on) {
+      seenEntries.current = null;
+      return;
+    }
+    const first = seenEntries.current == null;
+    const seen = seenEntries.current ?? new Map();
+    const changed = [];
+    for (const e of history) {
+      const known = seen.get(e.id);
+      if (known?.entry === e) continue;
+      const json = JSON.stringify(e);
+      if (!first && known?.json !== json) changed.push(e.id);
+      seen.set(e.id, { entry: e, json });
+    }
+    seenEntries.current = seen;
+    if (changed.length) setSync((s) => ({ ...s, pending: [...new Set([...s.pending, ...changed])] }));
+  }, [on, history, setSync]);
+
+  const outgoing = JSON.stringify(Object.fromEntries(SYNC_DOCS.map((k) => [k, outgoingDoc(k, docs[k])])));
+  useEffect(() => {
+    if (!on) {
+      seenDocs.current = null;
+      return;
+    }
+    const values = JSON.parse(outgoing);
+    const first = seenDocs.current == null;
+    const seen = seenDocs.current ?? {};
+    const changed = SYNC_DOCS.filter((k) => !first && seen[k] !== JSON.stringify(values[k]));
+    SYNC_DOCS.forEach((k) => { seen[k] = JSON.stringify(values[k]); });
+    seenDocs.current = seen;
+    if (!changed.length) return;
+    const updatedAt = Date.now();
+    setSync((s) => ({ ...s, docs: { ...s.docs, ...Object.fromEntries(changed.map((k) => [k, { updatedAt, dirty: true }])) } }));
+  }, [on, outgoing, setSync]);
+
+  const inFlight = useRef(false);
+  const syncNow = useCallback(async () => {
+    function applyRemote(reply) {
+      const seen = seenEntries.current;
+      latest.current.setHistory((prev) => {
+        const next = mergeEntries(prev, reply.entries);
+        if (next !== prev && seen) {
+          const byId = new Map(next.map((e) => [e.id, e]));
+          reply.entries.forEach((e) => { if (byId.get(e?.id) === e) seen.set(e.id, { entry: e, json: JSON.stringify(e) }); });
+        }
+        return next;
+      });
+
+      // Documents are last-writer-wins. One this device never edited since
+      // joining the server takes the server's copy.
+      const { sync: current, docs: local, setDoc: set } = latest.current;
+      const stamps = {};
+      for (const k of SYNC_DOCS) {
+        const remote = reply.docs[k];
+        const mine = current.docs[k];
+        if (!remote || !isValidDoc(k, remote.value) || (mine && remote.updatedAt <= mine.updatedAt)) continue;
+        const value = incomingDoc(k, remote.value, local[k]);
+        if (seenDocs.current) seenDocs.current[k] = JSON.stringify(outgoingDoc(k, value));
+        set(k, value);
+        stamps[k] = { updatedAt: remote.updatedAt, dirty: false };
+      }
+      return stamps;
+    }
+
+    const { sync: current, history: log, docs: values } = latest.current;
+    if (inFlight.current || !current.enabled || !current.endpoint.trim() || !current.token.trim()) return;
+    if (navigator.onLine === false) {
+      setOffline(true);
+      return;
+    }
+
+    const sentIds = new Set(current.pending.slice(0, BATCH_SIZE));
+    const entries = log.filter((e) => sentIds.has(e.id));
+    const sentJson = new Map(entries.map((e) => [e.id, JSON.stringify(e)]));
+    const sentDocs = {};
+    for (const k of SYNC_DOCS) {
+      const stamp = current.docs[k];
+      if (!stamp || stamp.dirty) sentDocs[k] = { value: outgoingDoc(k, values[k]), updatedAt: stamp?.updatedAt ?? 0 };
+    }
+
+    inFlight.current = true;
+    setSyncing(true);
+    try {
+      const reply = await syncOnce({ endpoint: current.endpoint.trim(), token: current.token.trim(), since: current.cursor, entries, docs: sentDocs });
+      const pulled = applyRemote(reply);
+      // Sessions and documents edited again while the request was out stay queued.
+      const stillChanged = (id) => sentJson.has(id) && seenEntries.current?.get(id)?.json !== sentJson.get(id);
+      setSync((s) => {
+        const docs = { ...s.docs };
+        for (const [k, doc] of Object.entries(sentDocs)) {
+          if ((s.docs[k]?.updatedAt ?? 0) === doc.updatedAt) docs[k] = { updatedAt: doc.updatedAt, dirty: false };
+        }
+        return {
+          ...s,
+          cursor: reply.cursor,
+          pending: s.pending.filter((id) => !sentIds.has(id) || stillChanged(id)),
+          docs: { ...docs, ...pulled },
+          lastSyncAt: Date.now(),
+          error: null,
+        };
+      });
+      setOffline(false);
+    } catch (err) {
+      // Anything but a SyncError is a bug, or a reply that broke applying it;
+      // it is shown like a server error rather than escaping the timer.
+      if (!(err instanceof SyncError)) console.warn("Pomox: sync failed", err);
+      const offline = err instanceof SyncError && err.offline;
+      setOffline(offline);
+      setSync((s) => ({ ...s, error: offline ? null : err instanceof SyncError ? err.message : `Sync failed unexpectedly (${err?.message || err}).` }));
+    } finally {
+      inFlight.current = false;
+      setSyncing(false);
+    }
+  }, [setSync]);
+
+  // A round trip shortly after anything is queued, every minute for changes
+  // made on other devices, and as soon as the connection comes back.
+  const queued = sync.pending.length + SYNC_DOCS.filter((k) => sync.docs[k]?.dirty).length;
+  useEffect(() => {
+    if (!on) return;
+    const id = setTimeout(syncNow, DEBOUNCE_MS);
+    return () => clearTimeout(id);
+  }, [on, queued, sync.endpoint, sync.token, syncNow]);
+  useInterval(syncNow, on ? SYNC_EVERY_MS : null);
+  useEffect(() => {
+    if (!on) return;
+    window.addEventListener("online", syncNow);
+    return () => window.removeEventListener("online", syncNow);
+  }, [on, syncNow]);
+
+  // Joining a server, or joining it again, sends every session and takes the
+  // server's documents over this device's untouched ones.
+  const configure = useCallback((patch) => {
+    setSync((s) => {
+      const next = { ...s, ...patch };
+      const target = (c) => c.enabled && `${c.endpoint.trim()}|${c.token.trim()}`;
+      if (!target(next) || target(next) === target(s)) return next;
+      return { ...next, cursor: "0", pending: latest.current.history.map((e) => e.id), docs: {}, lastSyncAt: null, error: null };
+    });
+  }, [setSync]);
+
+  return { sync, queued, syncing, offline, configure, syncNow };
+}
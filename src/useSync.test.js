@@ -0,0 +1,121 @@
+// @vitest-environment jsdom
+import { act, renderHook } from "@testing-library/react";
+import { afterEach, beforeEach, expect, it, vi } from "vitest";
+
+const PREFIX = "pomox-kyaw-v1";
+const entry = (id, extra = {}) => ({ id, mode: "focus", startedAt: 1000, endedAt: 2000, plannedSec: 1, actualSec: 1, outcome: "completed", ...extra });
+
+// The sync server's replies, in order; each one is a body, or null to be offline.
+let replies;
+let requests;
+
+async function fetchStub(url, init) {
+  requests.push(JSON.parse(init.body));
+  const body = replies.shift();
+  if (body == null) throw new TypeError("Failed to fetch");
+  return { status: 200, ok: true, json: async () => ({ cursor: "1", entries: [], docs: {}, ...body }) };
+}
+
+// Loads the app's storage from localStorage as a page load would, and runs
+// useSync over the stored history and settings.
+async function openPage() {
+  vi.resetModules();
+  const { openStorage } = await import("./storage.js");
+  const { useStoredState } = await import("./hooks.js");
+  const { default: useSync } = await import("./useSync.js");
+  await openStorage();
+  return renderHook(() => {
+    const [history, setHistory] = useStoredState("history");
+    const [settings, setSettings] = useStoredState("settings");
+    const [presets, setPresets] = useStoredState("presets");
+    const [themes, setThemes] = useStoredState("themes");
+    const [daysOff, setDaysOff] = useStoredState("daysOff");
+    const setters = { settings: setSettings, presets: setPresets, themes: setThemes, daysOff: setDaysOff };
+    const sync = useSync({ active: true, history, setHistory, docs: { settings, presets, themes, daysOff }, setDoc: (k, v) => setters[k](v) });
+    return { ...sync, history, setHistory, settings, setSettings };
+  });
+}
+
+const stored = (key) => JSON.parse(localStorage.getItem(`${PREFIX}:${key}`));
+const syncNow = (page) => act(() => page.result.current.syncNow());
+
+beforeEach(() => {
+  localStorage.clear();
+  localStorage.setItem(`${PREFIX}:schema`, "3");
+  localStorage.setItem(`${PREFIX}:sync`, JSON.stringify({ enabled: true, endpoint: "https://sync.test", token: "t", cursor: "1", pending: [], docs: {} }));
+  replies = [];
+  requests = [];
+  vi.stubGlobal("fetch", fetchStub);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  localStorage.clear();
+});
+
+it("keeps sessions queued while offline and across a reload", async () => {
+  let page = await openPage();
+  act(() => page.result.current.setHistory([entry("a")]));
+  expect(page.result.current.sync.pending).toEqual(["a"]);
+
+  replies.push(null);
+  await syncNow(page);
+  expect(page.result.current.offline).toBe(true);
+  expect(stored("sync").pending).toEqual(["a"]);
+  page.unmount();
+
+  page = await openPage();
+  expect(page.result.current.queued).toBe(1);
+  replies.push({ cursor: "2" });
+  await syncNow(page);
+  expect(requests.at(-1).entries).toEqual([entry("a")]);
+  expect(page.result.current.offline).toBe(false);
+  expect(stored("sync")).toMatchObject({ pending: [], cursor: "2" });
+  page.unmount();
+});
+
+it("takes a pulled session only when it is a newer edit", async () => {
+  localStorage.setItem(`${PREFIX}:history`, JSON.stringify([entry("a", { updatedAt: 5000, actualSec: 2 })]));
+  const page = await openPage();
+  replies.push({ entries: [entry("a", { updatedAt: 4000 }), entry("b", { startedAt: 3000, endedAt: 4000 })] });
+  await syncNow(page);
+  expect(page.result.current.history.map((e) => [e.id, e.actualSec])).toEqual([["a", 2], ["b", 1]]);
+
+  replies.push({ entries: [entry("a", { updatedAt: 6000, actualSec: 3 })] });
+  await syncNow(page);
+  expect(page.result.current.history[0].actualSec).toBe(3);
+  // What was pulled isn't queued to be sent back.
+  expect(page.result.current.sync.pending).toEqual([]);
+  page.unmount();
+});
+
+it("resolves documents by last writer", async () => {
+  const page = await openPage();
+  act(() => page.result.current.setSettings((s) => ({ ...s, pomodoroMin: 50, customSoundName: "gong.mp3" })));
+  const edited = page.result.current.sync.docs.settings;
+  expect(edited.dirty).toBe(true);
+
+  replies.push({ docs: { settings: { value: { pomodoroMin: 30 }, updatedAt: edited.updatedAt - 1 } } });
+  await syncNow(page);
+  expect(requests.at(-1).docs.settings).toEqual({ value: expect.objectContaining({ pomodoroMin: 50 }), updatedAt: edited.updatedAt });
+  expect(requests.at(-1).docs.settings.value).not.toHaveProperty("customSoundName");
+  expect(page.result.current.settings.pomodoroMin).toBe(50);
+  expect(page.result.current.sync.docs.settings).toEqual({ updatedAt: edited.updatedAt, dirty: false });
+
+  replies.push({ docs: { settings: { value: { pomodoroMin: 40 }, updatedAt: edited.updatedAt + 1 } } });
+  await syncNow(page);
+  expect(requests.at(-1).docs).toEqual({});
+  expect(page.result.current.settings).toMatchObject({ pomodoroMin: 40, customSoundName: "gong.mp3" });
+  expect(page.result.current.sync.docs.settings).toEqual({ updatedAt: edited.updatedAt + 1, dirty: false });
+  page.unmount();
+});
+
+it("shows an unexpected failure instead of throwing it", async () => {
+  const page = await openPage();
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  vi.stubGlobal("fetch", async () => ({ status: 200, ok: true, json: async () => ({ cursor: "2", entries: [], docs: { settings: { value: {}, get updatedAt() { throw new Error("boom"); } } } }) }));
+  await syncNow(page);
+  expect(page.result.current.sync.error).toBe("Sync failed unexpectedly (boom).");
+  expect(page.result.current.syncing).toBe(false);
+  page.unmount();
+});
@@ -0,0 +1,69 @@
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from "react";
+import { useInterval, useStoredState, useWakeUp } from "./hooks.js";
+import { elapsedMs, idleTimer, remainingMs, timerStatus, transition } from "./timer.js";
+
+// ---- useTimer ----------------------------------------------------------------------
+// React binding for the timer core in timer.js. The state is persisted, and
+// mirrored between tabs, through storage.js. Only the `owner` ticks, so with
+// several tabs open a session that runs out is finished exactly once.
+// `onLog` receives history entries, `onEnd` ended sessions ({ mode, next, at })
+// and `onEvent` session events (see timer.js).
+export default function useTimer({ steps, autoStart, taskId, flow = null, owner = true, clock = Date.now, onLog, onEnd, onEvent }) {
+  const [step, setStep] = useStoredState("step");
+  const [cycles, setCycles] = useStoredState("cycles");
+  const [storedTimer, setTimer] = useStoredState("timer");
+  const [now, setNow] = useState(clock);
+  const index = Math.min(step, steps.length - 1);
+  const current = steps[index];
+  const timer = storedTimer ?? idleTimer(current.min * 60);
+  const status = timerStatus(timer);
+
+  // Events apply to the latest state, so several in one handler don't read
+  // values React hasn't re-rendered yet.
+  const latest = useRef(null);
+  useLayoutEffect(() => {
+    latest.current = { state: { step, cycles, timer }, config: { steps, autoStart, taskId, flow }, onLog, onEnd, onEvent };
+  });
+
+  const send = useCallback((event) => {
+    const { state, config } = latest.current;
+    const at = clock();
+    const result = transition(state, { at, ...event }, config);
+    latest.current.state = result.state;
+    setNow(at);
+    if (result.state.step !== state.step) setStep(result.state.step);
+    if (result.state.cycles !== state.cycles) setCycles(result.state.cycles);
+    if (result.state.timer !== state.timer) setTimer(result.state.timer);
+    if (result.logged) latest.current.onLog?.(result.logged);
+    if (result.ended) latest.current.onEnd?.(result.ended);
+    result.events.forEach((e) => latest.current.onEvent?.(e));
+    return result;
+  }, [clock, setStep, setCycles, setTimer]);
+
+  function tick() {
+    if (owner) send({ type: "tick" });
+    else setNow(clock());
+  }
+
+  useInterval(tick, status === "running" ? 250 : null);
+  useWakeUp(tick);
+
+  // Editing the length of the current step resets it while it's idle.
+  const plannedSec = current.min * 60;
+  useEffect(() => { send({ type: "configure" }); }, [send, status, plannedSec, timer.durationMs, timer.custom]);
+
+  return {
+    index,
+    current,
+    mode: current.type,
+    timer,
+    cycles,
+    status,
+    isRunning: status === "running",
+    now,
+    remainingMs: remainingMs(timer, now),
+    overtime: !!timer.overtime,
+    elapsedMs: (at) => elapsedMs(timer, at),
+    send,
+  };
+}
@@ -0,0 +1,120 @@
+import { EVENT_TYPES } from "./events.js";
+
+// ---- Webhooks ----------------------------------------------------------------------
+// Session events are POSTed as JSON to URLs the user configures. The body is
+// the event itself, or the hook's own JSON template with {{placeholders}}.
+// Failed deliveries are retried with growing delays; every delivery, with the
+// outcome of its latest attempt, goes to the delivery log.
+
+export const MAX_RETRIES = 5;
+const RETRY_DELAYS_MS = [2000, 10000, 30000, 60000, 120000];
+const TIMEOUT_MS = 10000;
+const LOG_SIZE = 50;
+
+export class WebhookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WebhookError";
+  }
+}
+
+export function makeWebhook(now = Date.now()) {
+  return { id: `w-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`, url: "", enabled: true, events: [...EVENT_TYPES], template: "", retries: 3 };
+}
+
+export function urlError(url) {
+  try {
+    return /^https?:$/.test(new URL(url.trim()).protocol) ? null : "Webhook URLs start with http:// or https://.";
+  } catch {
+    return "That isn't a valid URL.";
+  }
+}
+
+export const wantsEvent = (hook, type) => hook.enabled && !urlError(hook.url) && hook.events.includes(type);
+
+// ---- Templates ---------------------------------------------------------------------
+// A string that is just a placeholder ("{{plannedSec}}") takes the value as is,
+// so numbers stay numbers; inside longer text values are inserted as text.
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+export function renderTemplate(template, event) {
+  if (!template.trim()) return event;
+  let parsed;
+  try {
+    parsed = JSON.parse(template);
+  } catch {
+    throw new WebhookError("The payload template isn't valid JSON.");
+  }
+  const lookup = (path) => path.split(".").reduce((v, k) => v?.[k], event);
+  const asText = (v) => (v == null ? "" : typeof v === "object" ? JSON.stringify(v) : String(v));
+  const fill = (v) => {
+    if (typeof v === "string") {
+      const whole = WHOLE_PLACEHOLDER.exec(v);
+      return whole ? lookup(whole[1]) ?? null : v.replace(PLACEHOLDER, (_, path) => asText(lookup(path)));
+    }
+    if (Array.isArray(v)) return v.map(fill);
+    if (v != null && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, fill(x)]));
+    return v;
+  };
+  return fill(parsed);
+}
+
+export function templateError(template) {
+  try {
+    renderTemplate(template, {});
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// ---- Delivery ----------------------------------------------------------------------
+// Newest first; a delivery's later attempts replace its earlier entry.
+export function appendLog(log, entry) {
+  return [entry, ...log.filter((e) => e.id !== entry.id)].slice(0, LOG_SIZE);
+}
+
+function retryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// Sends `event` to `hook`, retrying up to `hook.retries` times. `record`
+// receives a log entry ({ id, hookId, url, type, at, attempts, status, code,
+// error }) after every attempt; `status` is "delivered", "retrying" or "failed".
+export function deliver(hook, event, record, fetchImpl = fetch) {
+  const base = { id: `d-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, hookId: hook.id, url: hook.url.trim(), type: event.type, at: Date.now() };
+  let body;
+  try {
+    body = JSON.stringify(renderTemplate(hook.template, event));
+  } catch (err) {
+    record({ ...base, attempts: 0, status: "failed", code: null, error: err.message });
+    return;
+  }
+
+  let attempts = 0;
+  function fail(error, code, again) {
+    const retry = again && attempts <= hook.retries;
+    record({ ...base, attempts, status: retry ? "retrying" : "failed", code, error });
+    if (retry) setTimeout(attempt, RETRY_DELAYS_MS[attempts - 1]);
+  }
+
+  async function attempt() {
+    attempts += 1;
+    try {
+      const res = await fetchImpl(base.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body,
+        keepalive: body.length < 60000,
+        signal: AbortSignal.timeout?.(TIMEOUT_MS),
+      });
+      if (res.ok) record({ ...base, attempts, status: "delivered", code: res.status, error: null });
+      else fail(`The server answered ${res.status}.`, res.status, retryable(res.status));
+    } catch (err) {
+      // Browsers report a missing CORS header exactly like a network failure.
+      fail(err?.name === "TimeoutError" ? "No answer within 10 seconds." : "Couldn't connect (or the server doesn't allow requests from this page).", null, true);
+    }
+  }
+  attempt();
+}
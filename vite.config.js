@@ -1,7 +1,27 @@
+import { readFileSync, readdirSync } from 'node:fs'
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwind from '@tailwindcss/vite'
 
+// Emits sw.js from src/sw.js with the list of built files to precache. The
+// version hash changes whenever the build does, so browsers pick up the update.
+function pomoxServiceWorker() {
+  return {
+    name: 'pomox-service-worker',
+    apply: 'build',
+    generateBundle(_, bundle) {
+      const publicFiles = readdirSync(new URL('./public', import.meta.url))
+      const files = ['./', ...Object.keys(bundle), ...publicFiles].map((f) => (f === './' ? f : `./${f}`))
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+        .replace('__PRECACHE__', JSON.stringify(files))
+        .replace('__VERSION__', JSON.stringify(version))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 export default defineConfig({
-  plugins: [react(), tailwind()],
+  plugins: [react(), tailwind(), pomoxServiceWorker()],
 })